@@ -0,0 +1,225 @@
+jest.mock('child_process', () => ({
+  execFile: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const {
+  runE2ESuite,
+  resolveFlows,
+} = require('../../src/graders/E2ETestGrader');
+
+describe('E2E Test Grader', () => {
+  let projectPath;
+  let mockContext;
+
+  const writeFlow = (file, header) => {
+    const full = path.join(projectPath, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, `${header}\n---\n- launchApp\n`);
+  };
+
+  const writeConfig = (e2e) => {
+    fs.writeFileSync(
+      path.join(projectPath, 'qa-grader.config.json'),
+      JSON.stringify({ e2e: { run: true, ...e2e } })
+    );
+  };
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-e2e-test-'));
+    mockContext = {
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      invocationId: 'test-invocation-id',
+    };
+    execFile.mockReset();
+
+    writeFlow('flows/login.yaml', 'appId: com.example\ntags:\n  - smoke');
+    writeFlow('flows/checkout.yaml', 'appId: com.example\ntags: [smoke, slow]');
+    writeFlow(
+      'flows/profile.yml',
+      'appId: com.example\nname: Edit profile\ntags: [regression]'
+    );
+    writeFlow('flows/config.yaml', 'flows: ["*"]');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  describe('resolveFlows', () => {
+    test('should expand a directory, skipping the workspace config', () => {
+      const flows = resolveFlows(projectPath, 'flows');
+
+      expect(flows).toEqual([
+        {
+          file: path.join('flows', 'checkout.yaml'),
+          name: 'checkout',
+          tags: ['smoke', 'slow'],
+        },
+        {
+          file: path.join('flows', 'login.yaml'),
+          name: 'login',
+          tags: ['smoke'],
+        },
+        {
+          file: path.join('flows', 'profile.yml'),
+          name: 'Edit profile',
+          tags: ['regression'],
+        },
+      ]);
+    });
+
+    test('should reject specs that match no flow', () => {
+      expect(() => resolveFlows(projectPath, 'flows/missing.yaml')).toThrow(
+        'No Maestro flows found for "flows/missing.yaml"'
+      );
+      expect(() => resolveFlows(projectPath, 'flows/*.json')).toThrow(
+        'No Maestro flows found'
+      );
+    });
+
+    test('should accept globs and lists without duplicates', () => {
+      const flows = resolveFlows(projectPath, [
+        'flows/login.yaml',
+        'flows/*.yaml',
+      ]);
+
+      expect(flows.map((flow) => flow.name)).toEqual([
+        'login',
+        'checkout',
+        'config',
+      ]);
+    });
+  });
+
+  describe('runE2ESuite', () => {
+    test('should filter by tags, retry flaky flows and score by weight', async () => {
+      writeConfig({
+        testPath: 'flows',
+        includeTags: ['smoke', 'regression'],
+        excludeTags: ['slow'],
+        retries: 1,
+        minimumScore: 0.5,
+        weights: { login: 3 },
+      });
+
+      const runs = {};
+      execFile.mockImplementation((command, [, flow], options, callback) => {
+        runs[flow] = (runs[flow] || 0) + 1;
+        const passes =
+          flow.endsWith('login.yaml') ||
+          (flow.endsWith('profile.yml') && runs[flow] > 1);
+        if (passes) callback(null, { stdout: 'ok', stderr: '' });
+        else callback(Object.assign(new Error('failed'), { stdout: 'boom' }));
+      });
+
+      const result = await runE2ESuite(projectPath, mockContext);
+
+      expect(result.report.flakyFlows).toEqual(['Edit profile']);
+      expect(result.report.passedFlows).toEqual(['login']);
+      expect(result.report.failedFlows).toEqual([]);
+      expect(result.report.skippedFlows).toEqual([
+        {
+          name: 'checkout',
+          file: path.join('flows', 'checkout.yaml'),
+          reason: 'tag "slow" is in excludeTags',
+        },
+      ]);
+      expect(result.report.flows[1]).toMatchObject({
+        name: 'Edit profile',
+        status: 'flaky',
+        attempts: 2,
+        weight: 1,
+      });
+      expect(result.score).toBe(1);
+      expect(result.success).toBe(true);
+    });
+
+    test('should give partial credit by weight when flows fail', async () => {
+      writeConfig({
+        testPath: ['flows/login.yaml', 'flows/profile.yml'],
+        weights: { login: 3, 'Edit profile': 1 },
+      });
+      execFile.mockImplementation((command, [, flow], options, callback) => {
+        if (flow.includes('login')) callback(null, { stdout: '' });
+        else callback(Object.assign(new Error('failed'), { stdout: 'boom' }));
+      });
+
+      const result = await runE2ESuite(projectPath, mockContext);
+
+      expect(execFile).toHaveBeenCalledTimes(2);
+      expect(result.score).toBe(0.75);
+      expect(result.success).toBe(false); // default minimumScore is 1
+      expect(result.report.failedFlows).toEqual(['Edit profile']);
+      expect(result.report.flows[1].error).toBe('Maestro flow failed');
+    });
+
+    test('should pass flow paths to Maestro as arguments, not through a shell', async () => {
+      writeFlow('flows/$(touch pwned).yaml', 'appId: com.example');
+      execFile.mockImplementation((command, args, options, callback) =>
+        callback(null, { stdout: '' })
+      );
+
+      await runE2ESuite(projectPath, mockContext, {
+        testPath: 'flows/$(touch pwned).yaml',
+      });
+
+      expect(execFile).toHaveBeenCalledWith(
+        'maestro',
+        [
+          'test',
+          'flows/$(touch pwned).yaml',
+          '--format=json',
+          '--debug-output',
+          expect.any(String),
+        ],
+        expect.objectContaining({ cwd: projectPath }),
+        expect.any(Function)
+      );
+    });
+
+    test('should keep screenshots of the newest runs and delete Maestro temp output', async () => {
+      writeConfig({ testPath: 'flows/login.yaml', keepRuns: 2 });
+      const artifactsRoot = path.join(projectPath, '.qa-grader/e2e-artifacts');
+      const oldRuns = [
+        '2024-01-01T00-00-00-000Z-00000001',
+        '2024-01-02T00-00-00-000Z-00000002',
+      ];
+      for (const run of [...oldRuns, 'notes']) {
+        fs.mkdirSync(path.join(artifactsRoot, run), { recursive: true });
+      }
+
+      let outputDir;
+      execFile.mockImplementation((command, args, options, callback) => {
+        outputDir = args[4];
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(path.join(outputDir, 'screenshot-1-(login).png'), '');
+        fs.writeFileSync(path.join(outputDir, 'commands-(login).json'), '[]');
+        callback(null, { stdout: '' });
+      });
+
+      const result = await runE2ESuite(projectPath, mockContext);
+
+      const [screenshot] = result.report.screenshots;
+      expect(path.dirname(path.dirname(screenshot))).toBe(artifactsRoot);
+      expect(path.basename(screenshot)).toBe('screenshot-1-(login).png');
+      expect(fs.existsSync(screenshot)).toBe(true);
+      expect(fs.existsSync(outputDir)).toBe(false);
+      // The newest old run and this one are kept, other directories are left alone
+      expect(fs.readdirSync(artifactsRoot).sort()).toEqual(
+        [oldRuns[1], path.basename(path.dirname(screenshot)), 'notes'].sort()
+      );
+    });
+
+    test('should require flows to run', async () => {
+      writeConfig({});
+
+      await expect(runE2ESuite(projectPath, mockContext)).rejects.toThrow(
+        "Missing required parameter: 'testPath'"
+      );
+    });
+  });
+});
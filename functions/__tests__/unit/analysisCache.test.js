@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AnalysisCache,
+  openAnalysisCache,
+} = require('../../src/utils/analysisCache');
+const FileScanner = require('../../src/utils/fileScanner');
+const { gradeComponents } = require('../../src/graders/componentGrader');
+
+describe('Analysis cache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), content);
+  };
+
+  test('should reuse an analysis until the content, version or config changes', () => {
+    const cacheDirectory = path.join(directory, 'cache');
+    const compute = jest.fn(() => ({ lines: 1 }));
+    const entry = {
+      file: 'App.js',
+      content: 'a',
+      version: 1,
+      config: { t: 1 },
+    };
+
+    const cache = new AnalysisCache({ directory: cacheDirectory });
+    expect(cache.getOrCompute('scanner', entry, compute)).toEqual({
+      value: { lines: 1 },
+      hit: false,
+    });
+    expect(cache.getOrCompute('scanner', entry, compute).hit).toBe(true);
+    cache.save();
+
+    // A new cache reads what the last one saved
+    const reopened = new AnalysisCache({ directory: cacheDirectory });
+    expect(reopened.getOrCompute('scanner', entry, compute).hit).toBe(true);
+    for (const change of [
+      { content: 'b' },
+      { version: 2 },
+      { config: { t: 2 } },
+    ]) {
+      expect(
+        reopened.getOrCompute('scanner', { ...entry, ...change }, compute).hit
+      ).toBe(false);
+    }
+    expect(reopened.stats('scanner')).toEqual({ hits: 1, misses: 3 });
+    expect(compute).toHaveBeenCalledTimes(4);
+  });
+
+  test('should open the directory of the cache section and allow turning it off', () => {
+    const cache = openAnalysisCache(directory, { directory: 'tmp/cache' });
+    expect(cache.directory).toBe(path.join(directory, 'tmp/cache'));
+    expect(cache.enabled).toBe(true);
+
+    const disabled = openAnalysisCache(directory, { enabled: false });
+    const compute = jest.fn(() => 1);
+    disabled.getOrCompute(
+      'scanner',
+      { file: 'a', content: '', version: 1 },
+      compute
+    );
+    disabled.getOrCompute(
+      'scanner',
+      { file: 'a', content: '', version: 1 },
+      compute
+    );
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(disabled.save()).toBeNull();
+    expect(fs.existsSync(path.join(directory, '.qa-grader'))).toBe(false);
+  });
+
+  test('should drop entries of deleted files that were not looked up', () => {
+    const cacheDirectory = path.join(directory, 'cache');
+    write('kept.js', 'a');
+    write('deleted.js', 'b');
+    const entry = (file) => ({
+      file: path.join(directory, file),
+      content: fs.readFileSync(path.join(directory, file), 'utf8'),
+      version: 1,
+    });
+
+    const cache = new AnalysisCache({ directory: cacheDirectory });
+    cache.getOrCompute('scanner', entry('kept.js'), () => 1);
+    cache.getOrCompute('scanner', entry('deleted.js'), () => 2);
+    cache.save();
+    fs.unlinkSync(path.join(directory, 'deleted.js'));
+
+    // The next run only scans kept.js, and saving prunes deleted.js
+    const reopened = new AnalysisCache({ directory: cacheDirectory });
+    expect(
+      reopened.getOrCompute('scanner', entry('kept.js'), () => 1).hit
+    ).toBe(true);
+    expect(reopened.save()).toBeNull();
+    const stored = JSON.parse(
+      fs.readFileSync(path.join(cacheDirectory, 'scanner.json'), 'utf8')
+    );
+    expect(Object.keys(stored.entries)).toEqual([
+      path.join(directory, 'kept.js'),
+    ]);
+  });
+
+  test('should leave the FileScanner cache off unless it is given a directory', () => {
+    expect(new FileScanner().cache.enabled).toBe(false);
+    expect(new FileScanner({ cacheDirectory: directory }).cache.enabled).toBe(
+      true
+    );
+  });
+
+  test('should count FileScanner cache hits and misses in the scan summary', async () => {
+    write(
+      'src/App.js',
+      "import React from 'react';\nexport const App = () => null;\n"
+    );
+    write('src/utils.js', 'export const add = (a, b) => a + b;\n');
+    const scanner = () =>
+      new FileScanner({ cacheDirectory: path.join(directory, 'cache') });
+    const scan = (fileScanner) =>
+      fileScanner.scanFiles('src/**/*.js', {
+        cwd: directory,
+        includeContent: true,
+        analyzeCode: true,
+      });
+
+    const first = await scan(scanner());
+    expect(first.files).toHaveLength(2);
+    expect(first.summary.cache).toEqual({ hits: 0, misses: 2 });
+
+    write('src/utils.js', 'export const add = (a, b) => b + a;\n');
+    const second = await scan(scanner());
+    expect(second.summary.cache).toEqual({ hits: 1, misses: 1 });
+    const app = second.files.find((file) => file.fileName === 'App.js');
+    expect(app.codeAnalysis.isReactComponent).toBe(true);
+  });
+
+  test('should reuse component analyses across grader runs', async () => {
+    write('screens/Home.jsx', 'export const Home = () => <Pressable />;\n');
+    write(
+      'qa-grader.config.json',
+      JSON.stringify({
+        componentPattern: path.join(directory, 'screens/*.jsx'),
+        componentGrader: { run: true, rules: { checkTestID: true } },
+      })
+    );
+    const context = {
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    };
+    const grade = () =>
+      gradeComponents(directory, context, {
+        cache: openAnalysisCache(directory),
+      });
+
+    const first = await grade();
+    const second = await grade();
+
+    expect(first.report.summary.cache).toEqual({ hits: 0, misses: 1 });
+    expect(second.report.summary.cache).toEqual({ hits: 1, misses: 0 });
+    expect(second.report.testIds).toEqual(first.report.testIds);
+    expect(second.report.summary.componentsAnalyzed).toBe(1);
+    expect(
+      fs.existsSync(path.join(directory, '.qa-grader/cache/components.json'))
+    ).toBe(true);
+  });
+});
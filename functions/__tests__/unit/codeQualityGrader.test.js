@@ -3,10 +3,12 @@ jest.mock('fs');
 // Mock child_process BEFORE requiring the grader
 jest.mock('child_process', () => ({
   exec: jest.fn(),
+  execFile: jest.fn(),
 }));
 
 const { exec } = require('child_process');
 const { gradeCodeQuality } = require('../../src/graders/codeQualityGrader');
+const { createBaseline } = require('../../src/utils/baseline');
 const fs = require('fs'); // We need fs to control its mocked version
 
 // We already mock 'fs' in our global test setup, so we just need to use it.
@@ -101,6 +103,242 @@ describe('Code Quality Grader', () => {
     expect(result.success).toBe(false);
   });
 
+  test('should score linting by problems per 1,000 lines', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        checks: { runLint: true, runTests: false, runTypeCheck: false },
+        scoring: { linting: { maxErrorsPerKloc: 10, maxWarningsPerKloc: 40 } }
+      }
+    };
+    setupMocks(mockConfig);
+
+    // 2,000 lines with 4 errors and 8 warnings: 1 - 2/10 - 4/40 = 0.7
+    const source = 'const a = 1;\n'.repeat(1999) + 'export default a;';
+    const messages = [
+      ...Array(4).fill({ ruleId: 'no-undef', severity: 2, message: 'x is not defined.', line: 1 }),
+      ...Array(8).fill({ ruleId: 'no-console', severity: 1, message: 'Unexpected console statement.', line: 2 }),
+    ];
+    exec.mockImplementation((command, options, callback) => {
+      const error = new Error('Linting failed');
+      error.stdout = JSON.stringify([{ filePath: '/app/src/App.js', messages, source }]);
+      callback(error);
+    });
+
+    const result = await gradeCodeQuality('.', mockContext);
+    const { linting } = result.report.summary.breakdown;
+
+    expect(linting).toMatchObject({ weight: 30, errors: 4, warnings: 8, linesOfCode: 2000, errorsPerKloc: 2, warningsPerKloc: 4 });
+    expect(linting.score).toBeCloseTo(0.7);
+    expect(linting.points).toBeCloseTo(21);
+    expect(result.score).toBeCloseTo(0.7);
+  });
+
+  test('should score tests by pass ratio and coverage with partial credit', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        checks: { runLint: false, runTests: true, runTypeCheck: false },
+        weights: { tests: 50, coverage: 50 },
+        coverageTarget: 80,
+        scoring: { coverage: { coverageFloor: 40 } }
+      }
+    };
+    const testResults = {
+      success: false,
+      numTotalTests: 10,
+      numPassedTests: 9,
+      // 6 of 10 statements covered
+      coverageMap: { 'src/App.js': { s: { 0: 1, 1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 6: 0, 7: 0, 8: 0, 9: 0 } } },
+    };
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockImplementation(filePath =>
+      JSON.stringify(filePath.includes('test-results.json') ? testResults : mockConfig));
+    exec.mockImplementation((command, options, callback) => callback(new Error('1 test failed')));
+
+    const result = await gradeCodeQuality('.', mockContext);
+    const { tests, coverage } = result.report.summary.breakdown;
+
+    expect(tests).toMatchObject({ score: 0.9, passedTests: 9, totalTests: 10 });
+    expect(coverage).toMatchObject({ coverage: 60, coverageTarget: 80, coverageFloor: 40, score: 0.5 });
+    expect(result.score).toBeCloseTo(0.7); // (50 * 0.9 + 50 * 0.5) / 100
+
+    mockConfig.codeQuality.scoring = { tests: { mode: 'binary' }, coverage: { mode: 'binary' } };
+    const binary = await gradeCodeQuality('.', mockContext);
+    expect(binary.score).toBe(0);
+  });
+
+  test('should fail the grade when a coverage metric is under its minimum', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        checks: { runLint: false, runTests: true, runTypeCheck: false },
+        coverageMinimums: { statements: 50, branches: 90 }
+      }
+    };
+    const testResults = {
+      success: true,
+      numTotalTests: 2,
+      numPassedTests: 2,
+      coverageMap: {
+        'src/App.js': {
+          statementMap: { 0: { start: { line: 1 } }, 1: { start: { line: 2 } } },
+          s: { 0: 1, 1: 1 },
+          f: { 0: 1 },
+          b: { 0: [1, 0] },
+        },
+      },
+    };
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockImplementation(filePath =>
+      JSON.stringify(filePath.includes('test-results.json') ? testResults : mockConfig));
+    exec.mockImplementation((command, options, callback) => callback(null, { stdout: '', stderr: '' }));
+
+    const result = await gradeCodeQuality('.', mockContext);
+    const { summary } = result.report;
+
+    expect(result.score).toBe(1);
+    expect(result.success).toBe(false);
+    expect(summary.coverage).toEqual({ statements: 100, branches: 50, functions: 100, lines: 100, diff: null });
+    expect(summary.coverageFailures).toEqual([{ metric: 'branches', pct: 50, minimum: 90 }]);
+  });
+
+  test('should run the default commands of the package manager in the lockfile', async () => {
+    const mockConfig = {
+      codeQuality: { run: true, checks: { runLint: true, runTests: true, runTypeCheck: true } }
+    };
+    fs.existsSync.mockImplementation(filePath => /(qa-grader\.config\.json|yarn\.lock)$/.test(filePath));
+    fs.readFileSync.mockImplementation(filePath => {
+      if (filePath.endsWith('package.json')) throw new Error('ENOENT');
+      return JSON.stringify(mockConfig);
+    });
+    exec.mockImplementation((command, options, callback) => callback(null, { stdout: '[]', stderr: '' }));
+
+    const result = await gradeCodeQuality('/app', mockContext);
+
+    expect(result.report.packageManager).toBe('yarn');
+    expect(exec.mock.calls.map(([command]) => command)).toEqual([
+      'yarn lint --format json',
+      'yarn test --coverage --json --outputFile=test-results.json',
+      'yarn tsc --noEmit',
+    ]);
+    expect(exec.mock.calls[1][1]).toMatchObject({ cwd: '/app', timeout: 60000 });
+  });
+
+  test('should take the command, arguments, directory, timeout and environment from the config', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        packageManager: 'pnpm',
+        checks: { runLint: true, runTests: true, runTypeCheck: false },
+        commands: {
+          lint: { args: ['run', 'lint:ci', '--format', 'json'] },
+          tests: { command: 'pnpm vitest run', args: ['--reporter', 'json'], cwd: 'packages/app', timeout: 300000, env: { CI: 'true' } }
+        }
+      }
+    };
+    setupMocks(mockConfig);
+    exec.mockImplementation((command, options, callback) => callback(null, { stdout: '[]', stderr: '' }));
+
+    await gradeCodeQuality('/app', mockContext);
+
+    expect(exec.mock.calls[0][0]).toBe('pnpm run lint:ci --format json');
+    expect(exec.mock.calls[1][0]).toBe('pnpm vitest run --reporter json');
+    expect(exec.mock.calls[1][1]).toMatchObject({ cwd: '/app/packages/app', timeout: 300000, env: expect.objectContaining({ CI: 'true' }) });
+  });
+
+  test('should not pass the default arguments to a command from the config', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        packageManager: 'npm',
+        checks: { runLint: true, runTests: false, runTypeCheck: false },
+        commands: { lint: { command: 'eslint' } }
+      }
+    };
+    setupMocks(mockConfig);
+    exec.mockImplementation((command, options, callback) => callback(null, { stdout: '[]', stderr: '' }));
+
+    await gradeCodeQuality('/app', mockContext);
+
+    expect(exec.mock.calls[0][0]).toBe('eslint');
+  });
+
+  test('should quote arguments so the shell does not expand them', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        packageManager: 'npm',
+        checks: { runLint: true, runTests: false, runTypeCheck: false },
+        commands: { lint: { args: ['run', 'lint', '--', '$HOME', '`id`', "it's", '100%'] } }
+      }
+    };
+    setupMocks(mockConfig);
+    exec.mockImplementation((command, options, callback) => callback(null, { stdout: '[]', stderr: '' }));
+
+    await gradeCodeQuality('/app', mockContext);
+
+    expect(exec.mock.calls[0][0]).toBe("npm run lint -- '$HOME' '`id`' 'it'\\''s' '100%'");
+  });
+
+  test('should parse TypeScript errors into findings with rule metadata', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        checks: { runLint: false, runTests: false, runTypeCheck: true },
+        weights: { linting: 30, tests: 50, typeCheck: 20 }
+      }
+    };
+    setupMocks(mockConfig);
+
+    exec.mockImplementation((command, options, callback) => {
+      const error = new Error('tsc failed');
+      error.stdout = "src/App.tsx(12,5): error TS2322: Type 'string' is not assignable to type 'number'.\n";
+      callback(error);
+    });
+
+    const result = await gradeCodeQuality('.', mockContext);
+
+    expect(result.report.typeCheck.errors).toEqual([{
+      file: 'src/App.tsx',
+      line: 12,
+      column: 5,
+      category: 'error',
+      code: 'TS2322',
+      message: "Type 'string' is not assignable to type 'number'.",
+    }]);
+    expect(result.report.rules['typescript/TS2322'].severity).toBe('error');
+  });
+
+  test('should pass a check whose only errors are in the baseline', async () => {
+    const mockConfig = {
+      codeQuality: {
+        run: true,
+        checks: { runLint: false, runTests: false, runTypeCheck: true },
+        weights: { linting: 30, tests: 50, typeCheck: 20 }
+      }
+    };
+    setupMocks(mockConfig);
+
+    const output = "src/App.tsx(12,5): error TS2322: Type 'string' is not assignable to type 'number'.\n";
+    exec.mockImplementation((command, options, callback) => {
+      const error = new Error('tsc failed');
+      error.stdout = output;
+      callback(error);
+    });
+    const baseline = createBaseline({
+      quality: { report: { typeCheck: { errors: [{ file: 'src/App.tsx', line: 3, category: 'error', code: 'TS2322', message: "Type 'string' is not assignable to type 'number'." }] } } },
+      meta: { projectPath: '.' },
+    });
+
+    const result = await gradeCodeQuality('.', mockContext, { baseline });
+
+    expect(result.report.typeCheck.passed).toBe(true);
+    expect(result.report.typeCheck.errors).toEqual([]);
+    expect(result.report.suppressions.baseline).toBe(1);
+    expect(result.score).toBe(1);
+  });
+
   test('should skip disabled checks and return perfect score', async () => {
     const mockConfig = {
       codeQuality: {
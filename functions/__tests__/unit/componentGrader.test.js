@@ -1,7 +1,7 @@
 jest.mock('glob');
 jest.mock('fs');
 
-const { gradeComponents } = require('../../src/graders/componentGrader');
+const { gradeComponents, analyzeComponent } = require('../../src/graders/componentGrader');
 const fs = require('fs');
 const glob = require('glob');
 
@@ -120,4 +120,235 @@ describe('Component Grader', () => {
     expect(result.report.summary.issuesFound).toBe(0);
     expect(result.score).toBe(1);
   });
-});
\ No newline at end of file
+
+  test('should weigh issues by rule and severity, per file analysed', async () => {
+    const mockConfig = {
+      componentGrader: {
+        run: true,
+        rules: {
+          checkAccessibilityLabel: { severity: 'error', weight: 3 },
+          checkTestID: { severity: 'info' },
+          checkInlineStyles: true,
+          checkMissingKeys: { enabled: false },
+        },
+        scoring: { maxDeductionPerRule: 0.1 },
+      },
+    };
+    setupMocks(mockConfig);
+    fs.readFileSync.mockImplementation(filePath => {
+      if (filePath.includes('qa-grader.config.json')) return JSON.stringify(mockConfig);
+      return `export default () => <View><Pressable style={{ flex: 1 }} /></View>`;
+    });
+
+    const result = await gradeComponents('.', mockContext);
+    const { summary, rules } = result.report;
+
+    // 2 files: each rule has 2 issues, so 1 issue per file
+    expect(summary.deductions).toEqual({
+      checkAccessibilityLabel: { issues: 2, severity: 'error', weight: 3, deduction: 0.1, capped: true },
+      checkTestID: { issues: 2, severity: 'info', weight: 1, deduction: 0.005, capped: false },
+      checkInlineStyles: { issues: 2, severity: 'info', weight: 1, deduction: 0.005, capped: false },
+    });
+    expect(rules.checkTestID.severity).toBe('info');
+    expect(result.score).toBe(0.89);
+
+    // View and Pressable in each file: 4 components
+    mockConfig.componentGrader.scoring.normalizeBy = 'components';
+    const byComponent = await gradeComponents('.', mockContext);
+    expect(byComponent.report.summary.componentsAnalyzed).toBe(4);
+    expect(byComponent.report.summary.deductions.checkAccessibilityLabel).toMatchObject({ deduction: 0.075, capped: false });
+    expect(byComponent.score).toBe(0.92);
+  });
+
+  test('should add a "new issues only" view for changed files', async () => {
+    const mockConfig = {
+      componentGrader: { run: true, minimumScore: 0.8, rules: { checkTestID: true } }
+    };
+    setupMocks(mockConfig);
+
+    fs.readFileSync.mockImplementation(filePath => {
+      if (filePath.includes('qa-grader.config.json')) return JSON.stringify(mockConfig);
+      return `export default () => <Pressable accessibilityLabel="Go" />`;
+    });
+
+    const result = await gradeComponents('.', mockContext, { changedFiles: ['components/List.jsx'] });
+
+    // The whole project is still graded...
+    expect(result.report.testIds).toHaveLength(2);
+    // ...but only the changed file counts as new
+    expect(result.report.incremental.issuesFound).toBe(1);
+    expect(result.report.incremental.issues.testIds[0].file).toBe('./components/List.jsx');
+    expect(result.report.incremental.passed).toBe(false);
+    expect(result.report.summary.newIssuesFound).toBe(1);
+  });
+
+  test('should not count issues disabled by a qa-grader-disable comment', async () => {
+    const mockConfig = {
+      componentGrader: { run: true, minimumScore: 0.8, rules: { checkTestID: true, checkAccessibilityLabel: true } }
+    };
+    setupMocks(mockConfig);
+
+    fs.readFileSync.mockImplementation(filePath => {
+      if (filePath.includes('qa-grader.config.json')) return JSON.stringify(mockConfig);
+      if (filePath.includes('List.jsx')) return `/* qa-grader-disable checkTestID */\nexport default () => <Pressable accessibilityLabel="Go" />`;
+      return `export default () => (\n  // qa-grader-disable-next-line\n  <Pressable />\n);`;
+    });
+
+    const result = await gradeComponents('.', mockContext);
+
+    expect(result.report.summary.issuesFound).toBe(0);
+    expect(result.report.summary.suppressedIssues).toBe(3);
+    expect(result.score).toBe(1);
+  });
+
+  describe('analyzeComponent', () => {
+    const allRules = {
+      checkAccessibilityLabel: true,
+      checkTestID: true,
+      checkInlineStyles: true,
+      checkMissingKeys: true,
+    };
+    const emptyReport = () => ({ accessibility: [], testIds: [], bestPractices: [] });
+
+    test('should see props that span several lines', () => {
+      const report = emptyReport();
+      analyzeComponent('Button.jsx', `
+        const Button = () => (
+          <Pressable
+            onPress={onPress}
+            accessibilityLabel="Save"
+            testID="save-button"
+          />
+        );
+      `, report, allRules);
+
+      expect(report.accessibility).toEqual([]);
+      expect(report.testIds).toEqual([]);
+    });
+
+    test('should resolve spread props and props held in variables', () => {
+      const report = emptyReport();
+      analyzeComponent('Button.jsx', `
+        const a11y = { accessibilityLabel: 'Save' };
+        const ids = { ...a11y, testID: 'save' };
+        export const Save = () => <Pressable {...ids} />;
+        export const Passthrough = (props) => <Pressable {...props} />;
+      `, report, allRules);
+
+      expect(report.accessibility).toEqual([]);
+      expect(report.testIds).toEqual([]);
+    });
+
+    test('should report file, line and column for missing props', () => {
+      const report = emptyReport();
+      analyzeComponent('Button.jsx', 'const a = 1;\nconst B = () => (\n  <Pressable testID="x" />\n);', report, allRules);
+
+      expect(report.accessibility).toEqual([{
+        file: 'Button.jsx',
+        issue: 'Missing accessibilityLabel',
+        component: 'Pressable',
+        rule: 'checkAccessibilityLabel',
+        line: 3,
+        column: 3,
+      }]);
+    });
+
+    test('should detect missing keys in multi-line map callbacks', () => {
+      const report = emptyReport();
+      analyzeComponent('List.tsx', `
+        const List = ({ items }: { items: string[] }) => (
+          <View>
+            {items.map((item) => {
+              const label = item.toUpperCase();
+              return (
+                <Text>{label}</Text>
+              );
+            })}
+            {items.map((item) => <Text key={item}>{item}</Text>)}
+          </View>
+        );
+      `, report, allRules);
+
+      const missingKeys = report.bestPractices.filter(issue => issue.rule === 'checkMissingKeys');
+      expect(missingKeys).toHaveLength(1);
+      expect(missingKeys[0]).toMatchObject({ component: 'Text', line: 7 });
+    });
+
+    test('should detect inline style objects but not StyleSheet references', () => {
+      const report = emptyReport();
+      analyzeComponent('Card.js', `
+        const Card = () => (
+          <View style={styles.card}>
+            <Text style={[styles.title, { color: 'red' }]} />
+          </View>
+        );
+      `, report, { checkInlineStyles: true });
+
+      expect(report.bestPractices).toHaveLength(1);
+      expect(report.bestPractices[0]).toMatchObject({ component: 'Text', line: 4 });
+    });
+
+    const reactNativeRules = {
+      checkImageAccessibility: true,
+      checkAccessibilityRole: true,
+      checkKeyExtractor: true,
+      checkNestedVirtualizedLists: true,
+      checkTextInputLabel: true,
+      checkFontScaling: true,
+    };
+    const reactNativeReport = () => ({
+      imageAccessibility: [],
+      touchableRoles: [],
+      listKeys: [],
+      nestedLists: [],
+      textInputLabels: [],
+      fontScaling: [],
+    });
+
+    test('should file each React Native rule under its own category', () => {
+      const report = reactNativeReport();
+      analyzeComponent('Profile.jsx', `
+        const Profile = ({ user, posts }) => (
+          <ScrollView>
+            <Image source={user.avatar} />
+            <TouchableOpacity onPress={edit}>
+              <Text allowFontScaling={false}>{user.name}</Text>
+            </TouchableOpacity>
+            <TextInput value={user.bio} />
+            <FlatList data={posts} renderItem={renderPost} />
+          </ScrollView>
+        );
+      `, report, reactNativeRules);
+
+      expect(report.imageAccessibility).toEqual([expect.objectContaining({ component: 'Image', line: 4 })]);
+      expect(report.touchableRoles).toEqual([expect.objectContaining({ component: 'TouchableOpacity', line: 5 })]);
+      expect(report.fontScaling).toEqual([expect.objectContaining({ component: 'Text', line: 6 })]);
+      expect(report.textInputLabels).toEqual([expect.objectContaining({ component: 'TextInput', line: 8 })]);
+      expect(report.listKeys).toEqual([expect.objectContaining({ component: 'FlatList', line: 9 })]);
+      expect(report.nestedLists).toEqual([expect.objectContaining({
+        issue: 'FlatList inside a vertical ScrollView',
+        rule: 'checkNestedVirtualizedLists',
+        line: 9,
+      })]);
+    });
+
+    test('should accept the props that satisfy the React Native rules', () => {
+      const report = reactNativeReport();
+      analyzeComponent('Feed.jsx', `
+        const listProps = { horizontal: true, keyExtractor: (item) => item.id };
+        const Feed = ({ stories, user }) => (
+          <ScrollView>
+            <Image source={logo} accessible={false} />
+            <Image source={user.avatar} accessibilityLabel={user.name} />
+            <Pressable role="button" onPress={open} />
+            <Text allowFontScaling maxFontSizeMultiplier={1.5}>{user.name}</Text>
+            <TextInput placeholder="Search" />
+            <FlatList data={stories} {...listProps} />
+          </ScrollView>
+        );
+      `, report, reactNativeRules);
+
+      expect(report).toEqual(reactNativeReport());
+    });
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('fs');
+
+const fs = require('fs');
+const {
+  loadConfig,
+  validateConfig,
+  resolveSection,
+  getDefaultConfig,
+  ConfigValidationError,
+} = require('../../src/utils/configLoader');
+
+describe('Config Loader', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateConfig', () => {
+    test('should accept the repository config', () => {
+      const repoConfig = jest
+        .requireActual('fs')
+        .readFileSync(
+          require('path').resolve(__dirname, '../../../qa-grader.config.json'),
+          'utf8'
+        );
+      const result = validateConfig(JSON.parse(repoConfig));
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should report the JSON path of every problem', () => {
+      const result = validateConfig({
+        codeQuality: { weights: { linting: 'thirty' }, minimumScore: 2 },
+        componentGrader: { rules: { checkTestId: true } },
+        dependencyGraph: { boundaries: [{ disallow: ['src/api/**'] }] },
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(
+        expect.arrayContaining([
+          { path: '$.codeQuality.weights.linting', message: 'must be number' },
+          { path: '$.codeQuality.minimumScore', message: 'must be <= 1' },
+          {
+            path: '$.componentGrader.rules.checkTestId',
+            message:
+              'unknown property "checkTestId" (did you mean "checkTestID"?)',
+          },
+          {
+            path: '$.dependencyGraph.boundaries[0].from',
+            message: 'is required',
+          },
+        ])
+      );
+    });
+
+    test('should fill in defaults for every section', () => {
+      const { config } = validateConfig({ codeQuality: { run: true } });
+
+      expect(config.codeQuality.weights).toEqual({
+        linting: 30,
+        tests: 50,
+        typeCheck: 20,
+        coverage: 20,
+      });
+      expect(config.codeQuality.minimumScore).toBe(0.7);
+      expect(config.componentGrader.rules.checkTestID).toBe(false);
+      expect(config.languageGrader.translationFile).toBe('./store/en.json');
+      expect(config.e2e.run).toBe(false);
+    });
+
+    test('should not overwrite values that are set', () => {
+      const { config } = validateConfig({
+        codeQuality: { weights: { linting: 0 } },
+      });
+
+      expect(config.codeQuality.weights.linting).toBe(0);
+      expect(config.codeQuality.weights.tests).toBe(50);
+    });
+  });
+
+  describe('loadConfig', () => {
+    test('should throw when the config file is missing', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(() => loadConfig('.')).toThrow('not found in the project root');
+    });
+
+    test('should throw a ConfigValidationError for an invalid file', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(
+        JSON.stringify({ componentGrader: { run: 'yes' } })
+      );
+
+      expect(() => loadConfig('.')).toThrow(ConfigValidationError);
+      try {
+        loadConfig('.');
+      } catch (error) {
+        expect(error.errors).toEqual([
+          { path: '$.componentGrader.run', message: 'must be boolean' },
+        ]);
+      }
+    });
+
+    test('should report malformed JSON at the root path', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{ nope');
+
+      expect(() => loadConfig('.')).toThrow(/\$: not valid JSON/);
+    });
+  });
+
+  describe('resolveSection', () => {
+    test('should ignore fields the section does not know about', () => {
+      const config = resolveSection('languageGrader', {
+        projectPath: '.',
+        minimumScore: 0.5,
+      });
+
+      expect(config.projectPath).toBe('.');
+      expect(config.minimumScore).toBe(0.5);
+      expect(config.missingKeyWeight).toBe(0.4);
+    });
+
+    test('should still check the types of known fields', () => {
+      expect(() =>
+        resolveSection('languageGrader', { minimumScore: 'high' })
+      ).toThrow('$.languageGrader.minimumScore: must be number');
+    });
+  });
+
+  test('getDefaultConfig should leave every grader switched off', () => {
+    const config = getDefaultConfig();
+
+    expect(config.codeQuality.run).toBe(false);
+    expect(config.componentGrader.run).toBe(false);
+    expect(config.languageGrader.run).toBe(false);
+    expect(config.dependencyGraph.run).toBe(false);
+  });
+});
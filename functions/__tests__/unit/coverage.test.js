@@ -0,0 +1,88 @@
+const path = require('path');
+const { summarizeCoverage } = require('../../src/utils/coverage');
+const { createChangeSet } = require('../../src/utils/gitDiff');
+
+describe('Coverage', () => {
+  const root = path.resolve('/app');
+  const statement = (line) => ({
+    start: { line, column: 2 },
+    end: { line, column: 20 },
+  });
+
+  // Lines 2-5 of math.js, where the `else` branch and `double` never ran
+  const coverageMap = {
+    [path.join(root, 'src/math.js')]: {
+      path: path.join(root, 'src/math.js'),
+      statementMap: {
+        0: statement(2),
+        1: statement(3),
+        2: statement(4),
+        3: statement(5),
+      },
+      s: { 0: 3, 1: 3, 2: 0, 3: 0 },
+      fnMap: {},
+      f: { 0: 3, 1: 0 },
+      branchMap: {},
+      b: { 0: [3, 0] },
+    },
+    [path.join(root, 'src/format.js')]: {
+      data: {
+        path: path.join(root, 'src/format.js'),
+        statementMap: { 0: statement(1), 1: statement(1) },
+        s: { 0: 1, 1: 0 },
+        f: { 0: 1 },
+        b: {},
+      },
+    },
+  };
+
+  test('should count every metric overall and per file', () => {
+    const summary = summarizeCoverage(coverageMap, { projectRoot: root });
+
+    expect(summary.total).toEqual({
+      statements: { covered: 3, total: 6, pct: 50 },
+      branches: { covered: 1, total: 2, pct: 50 },
+      functions: { covered: 2, total: 3, pct: 66.67 },
+      lines: { covered: 3, total: 5, pct: 60 },
+    });
+    expect(summary.files.map((file) => file.file)).toEqual([
+      'src/format.js',
+      'src/math.js',
+    ]);
+    // Two statements on one line count as one covered line
+    expect(summary.files[0].lines).toEqual({ covered: 1, total: 1, pct: 100 });
+    expect(summary.files[0].branches.pct).toBeNull();
+    expect(summary.diff).toBeNull();
+  });
+
+  test('should list files below the threshold with the metrics that are', () => {
+    const summary = summarizeCoverage(coverageMap, {
+      projectRoot: root,
+      fileThreshold: 60,
+    });
+
+    expect(summary.belowThreshold).toEqual([
+      { file: 'src/format.js', below: ['statements'] },
+      {
+        file: 'src/math.js',
+        below: ['statements', 'branches', 'functions', 'lines'],
+      },
+    ]);
+  });
+
+  test('should measure line coverage of the changed lines', () => {
+    const changeSet = createChangeSet(
+      new Map([
+        [path.join(root, 'src/math.js'), [[3, 4]]],
+        [path.join(root, 'src/new.js'), null],
+      ])
+    );
+
+    const summary = summarizeCoverage(coverageMap, {
+      projectRoot: root,
+      changeSet,
+    });
+
+    expect(summary.diff).toEqual({ covered: 1, total: 2, pct: 50 });
+  });
+});
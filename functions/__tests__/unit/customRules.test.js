@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { gradeComponents } = require('../../src/graders/componentGrader');
+const { loadCustomRules } = require('../../src/utils/customRules');
+const { ConfigValidationError } = require('../../src/utils/configLoader');
+
+describe('Custom rules', () => {
+  let directory;
+  let mockContext;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-custom-rules-test-'));
+    mockContext = {
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), content);
+  };
+
+  const noAxios = `
+    module.exports = {
+      id: 'noDirectAxios',
+      defaultSeverity: 'warning',
+      meta: { description: 'Call the API client instead of axios.' },
+      create: (ctx) => ({
+        ImportDeclaration(importPath) {
+          if (importPath.node.source.value === 'axios') {
+            ctx.report(importPath.node, 'Direct axios import');
+          }
+        },
+      }),
+    };
+  `;
+
+  const requireErrorBoundary = `
+    module.exports = [{
+      id: 'requireErrorBoundary',
+      category: 'houseRules',
+      defaultSeverity: 'error',
+      meta: { name: 'RequireErrorBoundary', description: 'Screens must render an ErrorBoundary.' },
+      create: (ctx) => {
+        let found = false;
+        return {
+          JSXOpeningElement(elementPath) {
+            if (ctx.utils.getBaseName(elementPath.node.name) === 'ErrorBoundary') found = true;
+          },
+          Program: {
+            exit(programPath) {
+              if (!found) ctx.report(programPath.node, 'Screen without an ErrorBoundary');
+            },
+          },
+        };
+      },
+    }];
+  `;
+
+  const setupProject = (componentGrader) => {
+    write('tools/noAxios.js', noAxios);
+    write('.qa-grader/rules/errorBoundary.js', requireErrorBoundary);
+    write(
+      'screens/Home.jsx',
+      "import axios from 'axios';\nexport const Home = () => <View />;\n"
+    );
+    write(
+      'qa-grader.config.json',
+      JSON.stringify({
+        componentPattern: path.join(directory, 'screens/*.jsx'),
+        componentGrader: {
+          run: true,
+          plugins: ['./tools/noAxios.js'],
+          ...componentGrader,
+        },
+      })
+    );
+  };
+
+  test('should run rules from plugins and the rules directory', async () => {
+    setupProject();
+
+    const result = await gradeComponents(directory, mockContext);
+    const { report } = result;
+
+    expect(report.custom).toEqual([
+      expect.objectContaining({
+        issue: 'Direct axios import',
+        rule: 'noDirectAxios',
+        line: 1,
+      }),
+    ]);
+    expect(report.houseRules).toEqual([
+      expect.objectContaining({ rule: 'requireErrorBoundary', line: 1 }),
+    ]);
+    expect(report.rules.noDirectAxios).toMatchObject({
+      name: 'noDirectAxios',
+      category: 'custom',
+      severity: 'warning',
+      source: 'tools/noAxios.js',
+    });
+    expect(report.rules.requireErrorBoundary.source).toBe(
+      '.qa-grader/rules/errorBoundary.js'
+    );
+    expect(report.summary.issuesFound).toBe(2);
+    // One file: 0.05 for the error and 0.025 for the warning
+    expect(result.score).toBeCloseTo(0.925);
+  });
+
+  test('should leave out custom rules switched off in customRules', async () => {
+    setupProject({
+      customRules: { requireErrorBoundary: false, unknown: true },
+    });
+
+    const { report } = await gradeComponents(directory, mockContext);
+
+    expect(report.houseRules).toBeUndefined();
+    expect(report.rules.requireErrorBoundary).toBeUndefined();
+    expect(report.summary.issuesFound).toBe(1);
+    expect(mockContext.log.warn).toHaveBeenCalledWith(
+      'componentGrader.customRules.unknown does not match a loaded custom rule.'
+    );
+  });
+
+  test('should reject missing modules, invalid rules and duplicate ids', () => {
+    expect(() =>
+      loadCustomRules(directory, { plugins: ['./missing.js'] })
+    ).toThrow(ConfigValidationError);
+
+    write('rules/noCreate.js', "module.exports = { id: 'x', meta: {} };");
+    expect(() =>
+      loadCustomRules(directory, { rulesDirectory: 'rules' })
+    ).toThrow('rules/noCreate.js: rule "x" needs a create(ctx) function');
+
+    write('tools/noAxios.js', noAxios);
+    expect(() =>
+      loadCustomRules(directory, { plugins: ['./tools/noAxios.js'] }, [
+        'noDirectAxios',
+      ])
+    ).toThrow('duplicate rule id "noDirectAxios"');
+  });
+
+  test('should reject categories that would overwrite grader output', () => {
+    for (const category of ['summary', 'incremental', 'constructor']) {
+      write(
+        'rules/reserved.js',
+        `module.exports = {
+          id: 'reserved',
+          category: '${category}',
+          defaultSeverity: 'info',
+          meta: { description: 'Reserved.' },
+          create: () => ({}),
+        };`
+      );
+      // Each write is a new module for require
+      jest.resetModules();
+      expect(() =>
+        loadCustomRules(directory, { rulesDirectory: 'rules' })
+      ).toThrow(
+        `rules/reserved.js: rule "reserved" cannot use the reserved category "${category}"`
+      );
+    }
+  });
+});
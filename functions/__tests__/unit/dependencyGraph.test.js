@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadResolveSettings,
+  createResolver,
+  findCycles,
+} = require('../../src/utils/dependencyGraph');
+const FileScanner = require('../../src/utils/fileScanner');
+const { gradeDependencies } = require('../../src/graders/dependencyGrader');
+
+describe('Dependency graph', () => {
+  let directory;
+  let mockContext;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-dependency-test-'));
+    mockContext = {
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (file, content = 'export default 1;\n') => {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), content);
+  };
+  const at = (file) => path.join(directory, file);
+
+  test('should extract static, re-exported, required and dynamic imports', () => {
+    const imports = new FileScanner({ cache: false }).extractImports(
+      [
+        "import React, { useState } from 'react';",
+        "import type {\n  User,\n} from './types';",
+        "import './polyfills';",
+        "export * from './theme';",
+        "const api = require('./api');",
+        "const Screen = lazy(() => import('./Screen'));",
+        "store.require('./notAnImport');",
+      ].join('\n')
+    );
+
+    expect(
+      imports.map(({ module, line, kind }) => [module, line, kind])
+    ).toEqual([
+      ['react', 1, 'import'],
+      ['./types', 2, 'import'],
+      ['./polyfills', 5, 'import'],
+      ['./theme', 6, 'export'],
+      ['./api', 7, 'require'],
+      ['./Screen', 8, 'dynamic'],
+    ]);
+  });
+
+  test('should resolve relative imports, aliases, platform variants and index files', () => {
+    write('tsconfig.base.json', '{ "compilerOptions": { "baseUrl": "." } }');
+    write(
+      'tsconfig.json',
+      `{
+        // Comments and trailing commas are allowed
+        "extends": "./tsconfig.base.json",
+        "compilerOptions": { "paths": { "@hooks/*": ["src/hooks/*"], }, },
+      }`
+    );
+    write(
+      '.babelrc',
+      `{
+        "plugins": [["module-resolver", { "alias": { "@screens": "./src/screens" } }]],
+      }`
+    );
+    write('src/hooks/useUser.ts');
+    write('src/screens/Home/index.tsx');
+    write('src/ui/Button.ios.js');
+    write('src/ui/Button.android.js');
+    write('src/config.js');
+    write('lib/theme.js');
+
+    const resolve = createResolver(
+      loadResolveSettings(directory, { '~theme': './lib/theme.js' })
+    );
+    const from = at('src/App.js');
+
+    expect(resolve('./ui/Button', from)).toEqual({
+      status: 'resolved',
+      files: [at('src/ui/Button.ios.js'), at('src/ui/Button.android.js')],
+    });
+    expect(resolve('@hooks/useUser', from).files).toEqual([
+      at('src/hooks/useUser.ts'),
+    ]);
+    expect(resolve('@screens/Home', from).files).toEqual([
+      at('src/screens/Home/index.tsx'),
+    ]);
+    expect(resolve('~theme', from).files).toEqual([at('lib/theme.js')]);
+    // baseUrl makes project folders importable by name
+    expect(resolve('src/config', from).files).toEqual([at('src/config.js')]);
+    expect(resolve('react-native', from).status).toBe('external');
+    expect(resolve('./ui/Missing', from).status).toBe('unresolved');
+    expect(resolve('@hooks/useMissing', from).status).toBe('unresolved');
+  });
+
+  test('should read babel aliases from package.json and never run JavaScript configs', () => {
+    write(
+      'package.json',
+      JSON.stringify({
+        babel: {
+          plugins: [
+            ['module-resolver', { root: ['./src'], alias: { '@': './src' } }],
+          ],
+        },
+      })
+    );
+    write(
+      'babel.config.js',
+      "require('fs').writeFileSync(__dirname + '/ran.txt', '');\nmodule.exports = {};\n"
+    );
+    write('src/theme.js');
+
+    const settings = loadResolveSettings(directory);
+    const resolve = createResolver(settings);
+
+    expect(fs.existsSync(at('ran.txt'))).toBe(false);
+    expect(settings.warnings).toEqual([
+      `${at('babel.config.js')}: JavaScript babel configs are not run, list their aliases in dependencyGraph.aliases`,
+    ]);
+    expect(resolve('@/theme', at('index.js')).files).toEqual([
+      at('src/theme.js'),
+    ]);
+    expect(resolve('theme', at('index.js')).files).toEqual([
+      at('src/theme.js'),
+    ]);
+  });
+
+  test('should report one cycle per group of files that import each other', () => {
+    const edge = (to, line = 1) => ({ to, module: to, line });
+    const graph = new Map([
+      ['c.js', [edge('a.js', 3)]],
+      ['a.js', [edge('b.js', 2)]],
+      ['b.js', [edge('c.js'), edge('a.js', 5)]],
+      ['self.js', [edge('self.js')]],
+      ['leaf.js', [edge('a.js')]],
+    ]);
+
+    expect(
+      findCycles(graph).map(({ files, size }) => ({ files, size }))
+    ).toEqual([
+      { files: ['a.js', 'b.js', 'a.js'], size: 3 },
+      { files: ['self.js', 'self.js'], size: 1 },
+    ]);
+  });
+
+  test('should grade cycles, unresolved imports, orphans and layer boundaries', async () => {
+    write('index.js', "import { Profile } from './src/components/Profile';\n");
+    write(
+      'src/components/Profile.js',
+      [
+        "import { fetchUser } from '../api/client';",
+        "import { format } from '../utils/format';",
+        '// qa-grader-disable-next-line unresolvedImport',
+        "import legacy from './Legacy';",
+        "import { Avatar } from './Avatar';",
+        'export const Profile = () => fetchUser(format);',
+      ].join('\n')
+    );
+    write(
+      'src/api/client.js',
+      "import { format } from '../utils/format';\nexport const fetchUser = format;\n"
+    );
+    write(
+      'src/utils/format.js',
+      "import { fetchUser } from '../api/client';\nexport const format = fetchUser;\n"
+    );
+    write('src/utils/unused.js');
+    write('src/components/Profile.test.js', "import './Profile';\n");
+    write(
+      'qa-grader.config.json',
+      JSON.stringify({
+        dependencyGraph: {
+          run: true,
+          boundaries: [
+            {
+              from: 'src/components/**',
+              disallow: ['src/api/**'],
+              message: 'Components load data through hooks',
+            },
+          ],
+        },
+      })
+    );
+
+    const result = await gradeDependencies(directory, mockContext);
+    const { report } = result;
+
+    expect(report.cycles).toEqual([
+      expect.objectContaining({
+        file: at('src/api/client.js'),
+        line: 1,
+        rule: 'circularDependency',
+        issue:
+          'Circular dependency: src/api/client.js -> src/utils/format.js -> src/api/client.js',
+      }),
+    ]);
+    expect(report.unresolvedImports).toEqual([
+      expect.objectContaining({ module: './Avatar', line: 5 }),
+    ]);
+    expect(report.orphans).toEqual([
+      expect.objectContaining({ file: at('src/utils/unused.js') }),
+    ]);
+    expect(report.boundaryViolations).toEqual([
+      expect.objectContaining({
+        file: at('src/components/Profile.js'),
+        line: 1,
+        issue:
+          '"../api/client" crosses a layer boundary: Components load data through hooks',
+        target: 'src/api/client.js',
+      }),
+    ]);
+    expect(report.suppressions.comments).toBe(1);
+    expect(report.summary).toMatchObject({ filesAnalyzed: 6, issuesFound: 4 });
+    // 0.1 for the cycle, 0.05 each for the import and the boundary, 0.02 for the orphan
+    expect(result.score).toBeCloseTo(0.78);
+    expect(result.success).toBe(false);
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  getChangeSet,
+  createChangeSet,
+  filterToChanges,
+  parseUnifiedDiff,
+} = require('../../src/utils/gitDiff');
+
+describe('Git diff helpers', () => {
+  describe('parseUnifiedDiff', () => {
+    test('should collect added line ranges per file', () => {
+      const diff = [
+        'diff --git a/src/App.js b/src/App.js',
+        '--- a/src/App.js',
+        '+++ b/src/App.js',
+        '@@ -3,0 +4,2 @@ export default',
+        '+  <Text>Hi</Text>',
+        '+  <Text>There</Text>',
+        '@@ -10 +12 @@',
+        '-old',
+        '+new',
+        '@@ -20,3 +21,0 @@',
+        '--- a/src/Gone.js',
+        '+++ /dev/null',
+      ].join('\n');
+
+      const files = parseUnifiedDiff(diff);
+
+      expect(files.get('src/App.js')).toEqual([
+        [4, 5],
+        [12, 12],
+      ]);
+      expect(files.has('src/Gone.js')).toBe(false);
+    });
+  });
+
+  describe('createChangeSet / filterToChanges', () => {
+    const changeSet = createChangeSet(
+      new Map([
+        [path.resolve('src/App.js'), [[4, 5]]],
+        [path.resolve('src/New.js'), null],
+      ])
+    );
+
+    test('should keep only findings on changed lines', () => {
+      const findings = [
+        { file: 'src/App.js', line: 4 },
+        { file: 'src/App.js', line: 9 },
+        { file: './src/New.js', line: 120 },
+        { file: 'src/Other.js', line: 1 },
+      ];
+
+      expect(filterToChanges(findings, changeSet)).toEqual([
+        { file: 'src/App.js', line: 4 },
+        { file: './src/New.js', line: 120 },
+      ]);
+    });
+  });
+
+  describe('getChangeSet', () => {
+    let repo;
+    const git = (...args) =>
+      execFileSync(
+        'git',
+        ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+        { cwd: repo, stdio: 'pipe' }
+      );
+
+    beforeEach(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-git-test-'));
+      git('init', '-q');
+      fs.writeFileSync(path.join(repo, 'a.js'), 'one\ntwo\nthree\n');
+      git('add', '.');
+      git('commit', '-q', '-m', 'base');
+      git('tag', 'base');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    test('should return null when no base ref or file list is given', async () => {
+      expect(await getChangeSet({ projectPath: repo })).toBeNull();
+    });
+
+    test('should find committed and uncommitted changes since a ref', async () => {
+      fs.writeFileSync(path.join(repo, 'a.js'), 'one\nTWO\nthree\nfour\n');
+      git('commit', '-q', '-am', 'change');
+      fs.writeFileSync(path.join(repo, 'b.js'), 'new\n');
+      git('add', 'b.js');
+
+      const changeSet = await getChangeSet({
+        projectPath: repo,
+        baseRef: 'base',
+      });
+
+      const realRepo = fs.realpathSync(repo);
+      expect(changeSet.hasLine(path.join(realRepo, 'a.js'), 2)).toBe(true);
+      expect(changeSet.hasLine(path.join(realRepo, 'a.js'), 3)).toBe(false);
+      expect(changeSet.hasLine(path.join(realRepo, 'a.js'), 4)).toBe(true);
+      expect(changeSet.hasFile(path.join(realRepo, 'b.js'))).toBe(true);
+      expect(changeSet.warnings).toEqual([]);
+    });
+
+    test('should count untracked new files as changed', async () => {
+      fs.mkdirSync(path.join(repo, 'src'));
+      fs.writeFileSync(path.join(repo, 'src', 'new.js'), 'new\n');
+      fs.writeFileSync(path.join(repo, '.gitignore'), 'ignored.js\n');
+      fs.writeFileSync(path.join(repo, 'ignored.js'), 'ignored\n');
+
+      const changeSet = await getChangeSet({
+        projectPath: path.join(repo, 'src'),
+        baseRef: 'base',
+      });
+
+      const realRepo = fs.realpathSync(repo);
+      expect(changeSet.hasLine(path.join(realRepo, 'src', 'new.js'), 1)).toBe(
+        true
+      );
+      expect(changeSet.hasFile(path.join(realRepo, '.gitignore'))).toBe(true);
+      expect(changeSet.hasFile(path.join(realRepo, 'ignored.js'))).toBe(false);
+    });
+
+    test('should warn when the ref shares no history with HEAD', async () => {
+      const branch = git('rev-parse', '--abbrev-ref', 'HEAD').toString().trim();
+      git('checkout', '-q', '--orphan', 'unrelated');
+      git('rm', '-q', '-rf', '.');
+      fs.writeFileSync(path.join(repo, 'c.js'), 'other\n');
+      git('add', 'c.js');
+      git('commit', '-q', '-m', 'unrelated');
+      git('tag', 'unrelated-base');
+      git('checkout', '-q', branch);
+
+      const changeSet = await getChangeSet({
+        projectPath: repo,
+        baseRef: 'unrelated-base',
+      });
+
+      expect(changeSet.warnings).toEqual([
+        expect.stringContaining(
+          'No merge base between "unrelated-base" and HEAD'
+        ),
+      ]);
+      expect(changeSet.hasFile(path.join(fs.realpathSync(repo), 'a.js'))).toBe(
+        true
+      );
+    });
+
+    test('should treat listed files as fully changed', async () => {
+      const changeSet = await getChangeSet({
+        projectPath: repo,
+        changedFiles: ['a.js'],
+      });
+
+      expect(changeSet.hasLine(path.join(repo, 'a.js'), 999)).toBe(true);
+    });
+
+    test('should explain a bad ref', async () => {
+      await expect(
+        getChangeSet({ projectPath: repo, baseRef: 'no-such-ref' })
+      ).rejects.toThrow('Could not diff against "no-such-ref"');
+    });
+
+    test('should reject a ref that git would read as an option', async () => {
+      const output = path.join(repo, 'written.txt');
+
+      await expect(
+        getChangeSet({ projectPath: repo, baseRef: `--output=${output}` })
+      ).rejects.toThrow('Invalid base ref');
+      expect(fs.existsSync(output)).toBe(false);
+    });
+  });
+});
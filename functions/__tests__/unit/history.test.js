@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FileHistoryStore,
+  openHistoryStore,
+} = require('../../src/history/historyStore');
+const { compareReports, resolveEntry } = require('../../src/history/compare');
+
+const makeReport = (score, graders, accessibility = []) => ({
+  meta: { projectPath: '.' },
+  summary: { score, success: score >= 0.7, graders },
+  components: {
+    success: true,
+    score: graders.componentGrader.score,
+    report: { accessibility, testIds: [], bestPractices: [] },
+  },
+});
+
+const issue = (file, line) => ({
+  file,
+  line,
+  column: 3,
+  issue: 'Missing accessibilityLabel',
+  component: 'Pressable',
+  rule: 'checkAccessibilityLabel',
+});
+
+describe('Grading history', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-history-test-'));
+    store = new FileHistoryStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('FileHistoryStore', () => {
+    test('should record runs and list them per branch, newest first', async () => {
+      const graders = { componentGrader: { score: 1 } };
+      const first = await store.record({
+        projectId: 'app',
+        branch: 'main',
+        commit: 'aaa111',
+        report: makeReport(0.9, graders),
+        createdAt: '2024-01-01T00:00:00Z',
+      });
+      await store.record({
+        projectId: 'app',
+        branch: 'feature/x',
+        commit: 'bbb222',
+        report: makeReport(0.8, graders),
+        createdAt: '2024-01-02T00:00:00Z',
+      });
+      await store.record({
+        projectId: 'app',
+        branch: 'main',
+        commit: 'ccc333',
+        report: makeReport(0.95, graders),
+        createdAt: '2024-01-03T00:00:00Z',
+      });
+
+      const main = await store.list('app', { branch: 'main' });
+      expect(main.map((entry) => entry.commit)).toEqual(['ccc333', 'aaa111']);
+      expect(main[0].score).toBe(0.95);
+      expect(main[0].report).toBeUndefined();
+
+      const saved = await store.get('app', first.id);
+      expect(saved.report.summary.score).toBe(0.9);
+      expect(await store.list('other')).toEqual([]);
+    });
+
+    test('should find entries by id, commit prefix or branch', async () => {
+      const graders = { componentGrader: { score: 1 } };
+      const entry = await store.record({
+        projectId: 'app',
+        branch: 'main',
+        commit: 'abcdef123456',
+        report: makeReport(0.9, graders),
+      });
+
+      expect((await resolveEntry(store, 'app', entry.id)).id).toBe(entry.id);
+      expect((await resolveEntry(store, 'app', 'abcdef1')).id).toBe(entry.id);
+      expect((await resolveEntry(store, 'app', 'main')).id).toBe(entry.id);
+      expect(await resolveEntry(store, 'app', 'nope')).toBeNull();
+    });
+
+    test('should list entries from the index without reading reports', async () => {
+      const graders = { componentGrader: { score: 1 } };
+      const kept = await store.record({
+        projectId: 'app',
+        branch: 'main',
+        report: makeReport(0.9, graders),
+      });
+      const removed = await store.record({
+        projectId: 'app',
+        branch: 'main',
+        report: makeReport(0.8, graders),
+      });
+      expect(await store.remove('app', removed.id)).toBe(true);
+
+      // A report that cannot be parsed does not matter to list()
+      fs.writeFileSync(path.join(directory, 'app', `${kept.id}.json`), '{');
+      const entries = await store.list('app');
+      expect(entries.map((entry) => entry.id)).toEqual([kept.id]);
+      expect(entries[0]).toMatchObject({ score: 0.9, success: true });
+    });
+
+    test('should rebuild a missing index from the entry files', async () => {
+      const graders = { componentGrader: { score: 1 } };
+      const entry = await store.record({
+        projectId: 'app',
+        branch: 'main',
+        report: makeReport(0.9, graders),
+      });
+      fs.unlinkSync(path.join(directory, 'app', '_index.json'));
+
+      const entries = await store.list('app');
+      expect(entries).toEqual([
+        expect.objectContaining({ id: entry.id, branch: 'main' }),
+      ]);
+      expect(entries[0].report).toBeUndefined();
+      expect(fs.existsSync(path.join(directory, 'app', '_index.json'))).toBe(
+        true
+      );
+    });
+
+    test('should open the store the history config points at', () => {
+      expect(
+        openHistoryStore(directory, { directory: 'qa-history' }).directory
+      ).toBe(path.join(directory, 'qa-history'));
+    });
+
+    test('should reject project ids that could escape the store directory', async () => {
+      await expect(store.list('../secrets')).rejects.toThrow(
+        'Invalid project id'
+      );
+    });
+  });
+
+  describe('compareReports', () => {
+    const base = makeReport(
+      0.9,
+      {
+        codeQuality: { score: 1, weight: 40 },
+        componentGrader: { score: 0.9, weight: 30 },
+        e2e: { skipped: true, weight: 10 },
+      },
+      [issue('src/Old.jsx', 4), issue('src/Shared.jsx', 10)]
+    );
+    const head = makeReport(
+      0.8,
+      {
+        codeQuality: { score: 1, weight: 40 },
+        componentGrader: { score: 0.7, weight: 30 },
+        e2e: { skipped: true, weight: 10 },
+      },
+      // Shared.jsx moved down a few lines, New.jsx is new
+      [issue('src/Shared.jsx', 14), issue('src/New.jsx', 2)]
+    );
+
+    test('should report the score change per grader', () => {
+      const comparison = compareReports(base, head);
+
+      expect(comparison.scoreChange).toBeCloseTo(-0.1);
+      expect(comparison.graders.componentGrader.change).toBeCloseTo(-0.2);
+      expect(comparison.graders.codeQuality.change).toBe(0);
+      expect(comparison.graders.e2e).toEqual({
+        before: null,
+        after: null,
+        change: null,
+      });
+    });
+
+    test('should list new and fixed issues, ignoring moved lines', () => {
+      const comparison = compareReports(base, head);
+
+      expect(comparison.newIssues.map((f) => f.file)).toEqual(['src/New.jsx']);
+      expect(comparison.fixedIssues.map((f) => f.file)).toEqual([
+        'src/Old.jsx',
+      ]);
+      expect(comparison.newIssues[0].fingerprint).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    test('should flag a regression larger than the threshold', () => {
+      expect(compareReports(base, head).regression).toBe(false);
+      expect(
+        compareReports(base, head, { failOnRegression: 0.1 }).regression
+      ).toBe(false);
+      expect(
+        compareReports(base, head, { failOnRegression: 0.05 }).regression
+      ).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  findTranslationKeys,
+  getKeyPaths,
+} = require('../../src/utils/i18nUsage');
+
+describe('Translation key usage', () => {
+  const keysOf = (code, options) =>
+    findTranslationKeys(code, options).map(({ key, namespace, dynamic }) => ({
+      key,
+      namespace,
+      dynamic,
+    }));
+
+  test('should find keys in every call style', () => {
+    const code = `
+      const { t } = useTranslation();
+      i18n.t('home.title');
+      i18next.t("home.subtitle", { count: 2 });
+      t('common:save');
+      <Trans i18nKey="home.welcome" ns="onboarding">Hi <b>there</b></Trans>;
+      items.split(',');
+      other.t('not.a.key');
+    `;
+
+    expect(keysOf(code)).toEqual([
+      { key: 'home.title', namespace: null, dynamic: false },
+      { key: 'home.subtitle', namespace: null, dynamic: false },
+      { key: 'save', namespace: 'common', dynamic: false },
+      { key: 'home.welcome', namespace: 'onboarding', dynamic: false },
+    ]);
+    expect(findTranslationKeys(code)[0].line).toBe(3);
+  });
+
+  test('should keep the static prefix of dynamic keys', () => {
+    const code =
+      "t(`errors.${code}`); t('status.' + state); <Trans i18nKey={`tips.${id}`} />; t(`plain`);";
+
+    expect(keysOf(code)).toEqual([
+      { key: 'errors.', namespace: null, dynamic: true },
+      { key: 'status.', namespace: null, dynamic: true },
+      { key: 'tips.', namespace: null, dynamic: true },
+      { key: 'plain', namespace: null, dynamic: false },
+    ]);
+  });
+
+  test('should use the configured functions, components and separator', () => {
+    const code = "translate('a::b'); t('c'); <FormattedMessage id=\"d\" />";
+    const options = {
+      translationFunctions: ['translate'],
+      translationComponents: { FormattedMessage: 'id' },
+      namespaceSeparator: '::',
+    };
+
+    expect(keysOf(code, options)).toEqual([
+      { key: 'b', namespace: 'a', dynamic: false },
+      { key: 'd', namespace: null, dynamic: false },
+    ]);
+    expect(getKeyPaths({ key: 'b', namespace: 'a' })).toEqual(['b', 'a.b']);
+  });
+});
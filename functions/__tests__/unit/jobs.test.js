@@ -0,0 +1,239 @@
+jest.mock('../../src/graders/componentGrader', () => ({
+  gradeComponents: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileJobStore } = require('../../src/jobs/jobStore');
+const { JobRunner, DEFAULT_HANDLERS } = require('../../src/jobs/jobRunner');
+const { gradeComponents } = require('../../src/graders/componentGrader');
+
+describe('Grading jobs', () => {
+  let directory;
+  let store;
+  let mockContext;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-jobs-test-'));
+    store = new FileJobStore({ directory });
+    mockContext = {
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      invocationId: 'test-invocation-id',
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('FileJobStore', () => {
+    test('should create, read, update, list and remove jobs', async () => {
+      await store.create({ id: 'job-1', createdAt: '2024-01-01T00:00:00Z' });
+      await store.create({ id: 'job-2', createdAt: '2024-01-02T00:00:00Z' });
+
+      const updated = await store.update('job-1', { status: 'running' });
+      expect(updated.status).toBe('running');
+      expect((await store.get('job-1')).status).toBe('running');
+
+      const jobs = await store.list();
+      expect(jobs.map((job) => job.id)).toEqual(['job-2', 'job-1']);
+
+      expect(await store.remove('job-2')).toBe(true);
+      expect(await store.get('job-2')).toBeNull();
+    });
+
+    test('should apply concurrent updates to a job one at a time', async () => {
+      await store.create({ id: 'job-1', status: 'running' });
+
+      await Promise.all([
+        store.update('job-1', { progress: { completed: 1 } }),
+        store.update('job-1', { status: 'cancelled' }),
+        store.update('job-1', { progress: { completed: 2 } }),
+      ]);
+
+      const job = await store.get('job-1');
+      expect(job.status).toBe('cancelled');
+      expect(job.progress).toEqual({ completed: 2 });
+      expect(fs.readdirSync(directory)).toEqual(['job-1.json']);
+    });
+
+    test('should return null for unknown jobs', async () => {
+      expect(await store.get('missing')).toBeNull();
+      expect(await store.update('missing', { status: 'x' })).toBeNull();
+    });
+
+    test('should reject ids that could escape the store directory', async () => {
+      await expect(store.get('../secrets')).rejects.toThrow('Invalid job id');
+    });
+  });
+
+  describe('JobRunner', () => {
+    test('should return a queued job at once and record the result', async () => {
+      const runner = new JobRunner({
+        store,
+        handlers: {
+          pipeline: async (params, context, { onProgress }) => {
+            await onProgress({ step: 'codeQuality', completed: 0, total: 2 });
+            await onProgress({
+              step: 'componentGrader',
+              completed: 1,
+              total: 2,
+            });
+            return { success: true, score: 0.9, path: params.projectPath };
+          },
+        },
+      });
+
+      const job = await runner.startJob(
+        'pipeline',
+        { projectPath: './app' },
+        mockContext
+      );
+      expect(job.status).toBe('queued');
+      expect(job.id).toMatch(/^[0-9a-f-]{36}$/);
+
+      const finished = await runner.waitForJob(job.id);
+      expect(finished.status).toBe('completed');
+      expect(finished.result).toEqual({
+        success: true,
+        score: 0.9,
+        path: './app',
+      });
+      expect(finished.progress.percent).toBe(100);
+      expect(finished.finishedAt).toBeTruthy();
+    });
+
+    test('should record failures', async () => {
+      const runner = new JobRunner({
+        store,
+        handlers: {
+          pipeline: async () => {
+            throw new Error('Config missing');
+          },
+        },
+      });
+
+      const job = await runner.startJob('pipeline', {}, mockContext);
+      const finished = await runner.waitForJob(job.id);
+
+      expect(finished.status).toBe('failed');
+      expect(finished.error).toBe('Config missing');
+    });
+
+    test('should run jobs where timers have no unref, as under jsdom', async () => {
+      const setInterval = jest.spyOn(global, 'setInterval').mockReturnValue(0);
+      const runner = new JobRunner({
+        store,
+        handlers: { pipeline: async () => ({ success: true }) },
+      });
+
+      const job = await runner.startJob('pipeline', {}, mockContext);
+      const finished = await runner.waitForJob(job.id);
+      setInterval.mockRestore();
+
+      expect(finished.status).toBe('completed');
+    });
+
+    test('should cancel a running job and abort its signal', async () => {
+      let seenSignal;
+      let release;
+      let markStarted;
+      const started = new Promise((resolve) => {
+        markStarted = resolve;
+      });
+      const runner = new JobRunner({
+        store,
+        handlers: {
+          pipeline: (params, context, { signal }) => {
+            seenSignal = signal;
+            markStarted();
+            return new Promise((resolve) => {
+              release = resolve;
+            });
+          },
+        },
+      });
+
+      const job = await runner.startJob('pipeline', {}, mockContext);
+      await started;
+
+      const cancelled = await runner.cancelJob(job.id);
+      expect(cancelled.status).toBe('cancelled');
+      expect(seenSignal.aborted).toBe(true);
+
+      release({ success: true });
+      const finished = await runner.waitForJob(job.id);
+      expect(finished.status).toBe('cancelled');
+      expect(finished.result).toBeNull();
+    });
+
+    test('should mark a job interrupted when its worker is gone', async () => {
+      const now = new Date().toISOString();
+      const job = (id, owner, heartbeatAt = now) => ({
+        id,
+        type: 'pipeline',
+        params: {},
+        status: 'running',
+        createdAt: now,
+        updatedAt: now,
+        heartbeatAt,
+        owner,
+      });
+      // A pid above the Linux pid limit never belongs to a live process
+      await store.create(
+        job('job-dead', { id: 'old', host: os.hostname(), pid: 99999999 })
+      );
+      await store.create(
+        job(
+          'job-stale',
+          { id: 'other', host: 'elsewhere', pid: 1 },
+          new Date(Date.now() - 10 * 60 * 1000).toISOString()
+        )
+      );
+      await store.create(
+        job('job-alive', { id: 'other', host: 'elsewhere', pid: 1 })
+      );
+      const runner = new JobRunner({ store, handlers: {} });
+
+      const dead = await runner.getJob('job-dead');
+      expect(dead).toMatchObject({ status: 'failed', interrupted: true });
+      expect(dead.error).toMatch(/^Interrupted/);
+      expect(dead.finishedAt).toEqual(expect.any(String));
+
+      const jobs = await runner.listJobs();
+      const status = Object.fromEntries(jobs.map((j) => [j.id, j.status]));
+      expect(status).toEqual({
+        'job-dead': 'failed',
+        'job-stale': 'failed',
+        'job-alive': 'running',
+      });
+      expect((await store.get('job-stale')).interrupted).toBe(true);
+    });
+
+    test('should pass incremental grading params to the default handlers', async () => {
+      gradeComponents.mockResolvedValue({ success: true });
+      const runner = new JobRunner({ store, handlers: DEFAULT_HANDLERS });
+
+      const job = await runner.startJob(
+        'components',
+        { projectPath: 'app', baseRef: 'main', changedFiles: ['a.js'] },
+        mockContext
+      );
+      await runner.waitForJob(job.id);
+
+      expect(gradeComponents).toHaveBeenCalledWith('app', mockContext, {
+        baseRef: 'main',
+        changedFiles: ['a.js'],
+      });
+    });
+
+    test('should reject unknown job types', async () => {
+      const runner = new JobRunner({ store, handlers: {} });
+
+      await expect(runner.startJob('nope', {}, mockContext)).rejects.toThrow(
+        'Unknown job type "nope"'
+      );
+    });
+  });
+});
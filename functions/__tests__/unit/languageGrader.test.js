@@ -138,6 +138,30 @@ describe('Language Grader', () => {
       expect(result.report.summary.filesScanned).toBe(1);
     });
 
+    test('should leave out findings disabled by a qa-grader-disable comment', async () => {
+      fs.readFileSync.mockImplementation((filePath) => {
+        if (filePath.includes('en.json')) {
+          return JSON.stringify({ screen: { title: 'Screen Title', button: 'Click Me' } });
+        }
+        if (filePath.includes('component.js')) {
+          return [
+            `<Text>{i18n.t('screen.title')}</Text>`,
+            `{/* qa-grader-disable-next-line hardcodedStrings -- brand name */}`,
+            `<Text>Acme Mobile</Text>`,
+            `<Text>Welcome back</Text>`
+          ].join('\n');
+        }
+        return '';
+      });
+
+      const config = { translationFile: './en.json' };
+      const result = await gradeLanguageImplementation(config, mockContext, { fix: true });
+
+      expect(result.report.hardcodedStrings.map(entry => entry.text)).toEqual(['Welcome back']);
+      expect(result.report.summary.suppressedCount).toBe(1);
+      expect(result.report.fix.keys.map(entry => entry.text)).toEqual(['Welcome back']);
+    });
+
     test('should detect missing translation keys', async () => {
       fs.readFileSync.mockImplementation((filePath) => {
         if (filePath.includes('en.json')) {
@@ -257,5 +281,176 @@ describe('Language Grader', () => {
       expect(result.success).toBe(true);
       expect(result.report.summary.score).toBe(result.score);
     });
+
+    test('should compare every locale with the base locale', async () => {
+      const files = {
+        './locales/en.json': { home: { title: 'Home', greeting: 'Hello', time: '10:00' } },
+        './locales/fr.json': { home: { title: 'Accueil', greeting: 'Bonjour', time: '10:00' } },
+        './locales/de.json': { home: { title: 'Home', greeting: '' }, extra: 'Extra' },
+      };
+      fs.statSync.mockReturnValue({ isDirectory: () => true });
+      fs.readFileSync.mockImplementation((filePath) => {
+        if (files[filePath]) return JSON.stringify(files[filePath]);
+        return `<Text>{i18n.t('home.title')}</Text>`;
+      });
+      require('glob').sync.mockImplementation((pattern) =>
+        pattern.startsWith('locales') ? Object.keys(files) : ['./src/component.js']
+      );
+
+      const config = {
+        translationFile: './locales/en.json',
+        localeFiles: './locales',
+        minCompleteness: { '*': 0.5, de: 0.9 },
+        minimumScore: 0
+      };
+      const result = await gradeLanguageImplementation(config, mockContext);
+      const { locales } = result.report;
+
+      expect(require('glob').sync).toHaveBeenCalledWith('locales/*.json', { nodir: true });
+      expect(locales.baseLocale).toBe('en');
+      expect(Object.keys(locales.locales)).toEqual(['de', 'fr']);
+      expect(locales.locales.fr).toMatchObject({ completeness: 1, passed: true, missingKeys: [] });
+      expect(locales.locales.de).toMatchObject({
+        missingKeys: ['home.time'],
+        extraKeys: ['extra'],
+        emptyValues: ['home.greeting'],
+        untranslated: ['home.title'],
+        completeness: 0,
+        minCompleteness: 0.9,
+        passed: false
+      });
+      expect(result.report.summary.incompleteLocales).toEqual(['de']);
+      expect(result.success).toBe(false);
+    });
+
+    test('should treat keys under a dynamic prefix as possibly used', async () => {
+      const translations = {
+        common: { save: 'Save' },
+        errors: { network: 'Network error', timeout: 'Timed out' },
+        old: 'Old'
+      };
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockImplementation((filePath) => {
+        if (filePath === './store/en.json') return JSON.stringify(translations);
+        return "const { t } = useTranslation();\n<Text>{t('common:save')}</Text>\n<Text>{t(`errors.${code}`)}</Text>\n<Trans i18nKey=\"missing.key\" />";
+      });
+      require('glob').sync.mockReturnValue(['./src/component.js']);
+
+      const result = await gradeLanguageImplementation({ translationFile: './store/en.json' }, mockContext);
+
+      expect(result.report.missingKeys).toEqual([{ file: './src/component.js', key: 'missing.key', line: 4 }]);
+      expect(result.report.dynamicKeys).toEqual([{ file: './src/component.js', prefix: 'errors.', namespace: null, line: 3 }]);
+      expect(result.report.possiblyUsedKeys).toEqual(['errors.network', 'errors.timeout']);
+      expect(result.report.unusedKeys).toEqual(['old']);
+    });
+
+    test('should extract hardcoded strings into a patch in fix mode', async () => {
+      const files = {
+        './store/en.json': '{\n    "home": {\n        "title": "Home"\n    }\n}\n',
+        './src/LoginScreen.jsx': '<View>\n  <Text>Welcome back!</Text>\n  <Text>{i18n.t(\'home.title\')}</Text>\n  <Button>Sign in now</Button>\n</View>\n'
+      };
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockImplementation((filePath) => files[filePath]);
+      require('glob').sync.mockReturnValue(['./src/LoginScreen.jsx']);
+
+      const config = { translationFile: './store/en.json', translationFunctions: ['t'] };
+      const result = await gradeLanguageImplementation(config, mockContext, { fix: true });
+      const { fix } = result.report;
+
+      expect(fix.keys).toEqual([
+        { file: './src/LoginScreen.jsx', line: 2, text: 'Welcome back!', key: 'loginScreen.welcomeBack', reused: false },
+        { file: './src/LoginScreen.jsx', line: 4, text: 'Sign in now', key: 'loginScreen.signInNow', reused: false }
+      ]);
+      expect(fix.files).toEqual(['./store/en.json', './src/LoginScreen.jsx']);
+      expect(fix.written).toBe(false);
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(fix.patch).toContain([
+        '--- a/src/LoginScreen.jsx',
+        '+++ b/src/LoginScreen.jsx',
+        '@@ -1,5 +1,5 @@',
+        ' <View>',
+        '-  <Text>Welcome back!</Text>',
+        '+  <Text>{t(\'loginScreen.welcomeBack\')}</Text>',
+        '   <Text>{i18n.t(\'home.title\')}</Text>',
+        '-  <Button>Sign in now</Button>',
+        '+  <Button>{t(\'loginScreen.signInNow\')}</Button>',
+        ' </View>'
+      ].join('\n'));
+      expect(fix.patch).toContain('+    "loginScreen": {\n+        "welcomeBack": "Welcome back!",');
+
+      await gradeLanguageImplementation(config, mockContext, { fix: true, write: true });
+      expect(fs.writeFileSync).toHaveBeenCalledWith('./store/en.json', expect.stringContaining('"signInNow": "Sign in now"'), 'utf8');
+      expect(fs.writeFileSync).toHaveBeenCalledWith('./src/LoginScreen.jsx', expect.stringContaining("{t('loginScreen.signInNow')}"), 'utf8');
+    });
+
+    test('should report keys in fixed-width or line-limited components as truncation risks', async () => {
+      const translations = { login: { submit: 'Sign in', hint: 'Use your work email', title: 'Welcome' } };
+      const code = [
+        "import { StyleSheet } from 'react-native';",
+        'const Login = () => (',
+        '  <View>',
+        "    <Button style={[styles.button, busy && styles.busy]} title={t('login.submit')} />",
+        "    <Text numberOfLines={1}>{t('login.hint')}</Text>",
+        "    <Text style={styles.title}>{t('login.title')}</Text>",
+        '  </View>',
+        ');',
+        'const styles = StyleSheet.create({',
+        '  button: { width: 80 },',
+        "  busy: { opacity: 0.5 },",
+        "  title: { width: '100%' }",
+        '});'
+      ].join('\n');
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockImplementation((filePath) =>
+        filePath === './store/en.json' ? JSON.stringify(translations) : code
+      );
+      require('glob').sync.mockReturnValue(['./src/Login.jsx']);
+
+      const result = await gradeLanguageImplementation({ translationFile: './store/en.json', checkTruncation: true }, mockContext);
+
+      expect(result.report.truncationRisks).toEqual([
+        { file: './src/Login.jsx', line: 4, key: 'login.submit', namespace: null, component: 'Button', limits: { width: 80 }, text: 'Sign in', expandedLength: 10 },
+        { file: './src/Login.jsx', line: 5, key: 'login.hint', namespace: null, component: 'Text', limits: { numberOfLines: 1 }, text: 'Use your work email', expandedLength: 26 }
+      ]);
+      expect(result.report.summary.truncationRisksCount).toBe(2);
+    });
+
+    test('should validate message syntax, placeholders and plural forms', async () => {
+      const files = {
+        './locales/en.json': {
+          welcome: 'Hello {{name}}',
+          cart: { items_one: 'One item', items_other: '{{count}} items' },
+          photos: '{count, plural, one {# photo} other {# photos}}',
+          broken: 'Hi {name'
+        },
+        './locales/pl.json': {
+          welcome: 'Cześć {{nmae}}',
+          cart: { items_one: 'Jeden element', items_few: '{{count}} elementy', items_other: '{{count}} elementów' },
+          photos: '{count, plural, one {# zdjęcie} few {# zdjęcia} many {# zdjęć} other {# zdjęcia}}',
+          broken: 'Cześć {name}'
+        }
+      };
+      fs.statSync.mockReturnValue({ isDirectory: () => true });
+      fs.readFileSync.mockImplementation((filePath) => {
+        if (files[filePath]) return JSON.stringify(files[filePath]);
+        return `<Text>{i18n.t('welcome')}</Text>`;
+      });
+      require('glob').sync.mockImplementation((pattern) =>
+        pattern.startsWith('locales') ? Object.keys(files) : ['./src/component.js']
+      );
+
+      const config = { translationFile: './locales/en.json', localeFiles: './locales', minimumScore: 0 };
+      const result = await gradeLanguageImplementation(config, mockContext);
+      const errors = result.report.messageErrors.map(({ key, locale, type, reason }) => ({ key, locale, type, reason }));
+
+      expect(errors).toEqual([
+        { key: 'broken', locale: 'en', type: 'syntax', reason: 'Unclosed "{" at position 8' },
+        { key: 'welcome', locale: 'pl', type: 'placeholder', reason: 'Missing placeholder "name" used by en' },
+        { key: 'welcome', locale: 'pl', type: 'placeholder', reason: 'Placeholder "nmae" is not in en' },
+        { key: 'cart.items', locale: 'pl', type: 'plural', reason: 'Missing plural form "cart.items_many" (needed by pl)' }
+      ]);
+      expect(result.report.messageErrors[0].file).toBe('./locales/en.json');
+      expect(result.report.summary.messageErrorsCount).toBe(4);
+    });
   });
 });
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseMaestroRun,
+  parseConsoleOutput,
+  describeCommand,
+} = require('../../src/utils/maestroOutput');
+
+describe('Maestro output', () => {
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-maestro-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('should read per-step records and artifacts from the debug output', () => {
+    const commands = [
+      {
+        command: { launchAppCommand: { appId: 'com.example.app' } },
+        metadata: {
+          status: 'COMPLETED',
+          timestamp: 1700000000000,
+          duration: 1500,
+        },
+      },
+      {
+        command: {
+          tapOnElement: { selector: { textRegex: 'Login', optional: false } },
+        },
+        metadata: {
+          status: 'COMPLETED',
+          timestamp: 1700000001500,
+          duration: 300,
+        },
+      },
+      {
+        command: {
+          assertConditionCommand: {
+            condition: { visible: { textRegex: 'Welcome' } },
+          },
+        },
+        metadata: {
+          status: 'FAILED',
+          timestamp: 1700000001800,
+          duration: 5000,
+          error: { message: 'Assertion is false: "Welcome" is visible' },
+        },
+      },
+    ];
+    fs.writeFileSync(
+      path.join(outputDir, 'commands-(login).json'),
+      JSON.stringify(commands)
+    );
+    fs.writeFileSync(
+      path.join(outputDir, 'screenshot-❌-1700000006800-(login).png'),
+      ''
+    );
+    fs.writeFileSync(path.join(outputDir, 'maestro.log'), '');
+
+    const { flows, screenshots } = parseMaestroRun({ outputDir });
+
+    expect(flows).toHaveLength(1);
+    expect(flows[0]).toMatchObject({
+      name: 'login',
+      status: 'failed',
+      duration: 6800,
+      error: 'Assertion is false: "Welcome" is visible',
+    });
+    expect(flows[0].steps[1]).toEqual({
+      index: 1,
+      command: 'tapOnElement "Login"',
+      status: 'passed',
+      duration: 300,
+      startedAt: '2023-11-14T22:13:21.500Z',
+      error: null,
+    });
+    expect(flows[0].steps[0].command).toBe('launchApp "com.example.app"');
+    expect(flows[0].screenshots).toEqual([
+      path.join(outputDir, 'screenshot-❌-1700000006800-(login).png'),
+    ]);
+    expect(screenshots).toHaveLength(1);
+  });
+
+  test('should fall back to the console output', () => {
+    const stdout = [
+      'Running on emulator-5554',
+      ' ║',
+      ' ║  > Flow login',
+      ' ║',
+      ' ║    ✅   Launch app "com.example.app"',
+      ' ║    ❌   Assert that "Welcome" is visible',
+      ' ║',
+      'Element not found: Text matching regex: Welcome',
+    ].join('\n');
+
+    const flows = parseConsoleOutput(stdout);
+
+    expect(flows).toHaveLength(1);
+    expect(flows[0].name).toBe('login');
+    expect(flows[0].status).toBe('failed');
+    expect(flows[0].steps.map((step) => step.status)).toEqual([
+      'passed',
+      'failed',
+    ]);
+    expect(flows[0].error).toBe(
+      'Element not found: Text matching regex: Welcome'
+    );
+    expect(parseMaestroRun({ stdout, outputDir }).flows).toEqual(flows);
+  });
+
+  test('should describe commands without readable values by name', () => {
+    expect(describeCommand({ backPressCommand: {} })).toBe('backPress');
+    expect(describeCommand(null)).toBe('unknown');
+  });
+});
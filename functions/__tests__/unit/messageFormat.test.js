@@ -0,0 +1,64 @@
+const {
+  parseMessage,
+  getPluralCategories,
+  parsePluralKey,
+} = require('../../src/utils/messageFormat');
+
+describe('Message format', () => {
+  test('should collect i18next placeholders', () => {
+    expect(
+      parseMessage('Hi {{name}}, {{- link}} costs {{price, currency}}')
+    ).toEqual({
+      placeholders: ['link', 'name', 'price'],
+      plurals: [],
+      error: null,
+    });
+    expect(parseMessage('See $t(terms, { "count": 2 })').error).toBeNull();
+    expect(parseMessage('Hi {{name}').error).toBe(
+      'Missing argument name at position 4'
+    );
+  });
+
+  test('should parse ICU arguments, plurals and quoting', () => {
+    const message = parseMessage(
+      "{gender, select, female {She} other {They}} has {count, plural, offset:1 =0 {no items} one {# item} other {# items}} '{literal}'"
+    );
+
+    expect(message.error).toBeNull();
+    expect(message.placeholders).toEqual(['count', 'gender']);
+    expect(message.plurals).toEqual([
+      { argument: 'count', type: 'plural', categories: ['one', 'other'] },
+    ]);
+  });
+
+  test('should report ICU syntax errors', () => {
+    expect(parseMessage('{count, plural, one {# item}}').error).toBe(
+      '"plural" for "count" needs an "other" case at position 29'
+    );
+    expect(parseMessage('{count, plural, single {x} other {y}}').error).toMatch(
+      'Unknown plural category "single"'
+    );
+    expect(parseMessage('{when, datetime}').error).toMatch(
+      'Unknown argument type "datetime"'
+    );
+    expect(parseMessage('Done}').error).toBe('Unexpected "}" at position 4');
+  });
+
+  test('should look up plural categories and plural keys', () => {
+    expect(getPluralCategories('en')).toEqual(['one', 'other']);
+    expect(getPluralCategories('pt_BR')).toContain('one');
+    expect(getPluralCategories('en', 'ordinal')).toEqual([
+      'few',
+      'one',
+      'two',
+      'other',
+    ]);
+    expect(getPluralCategories('translation')).toBeNull();
+    expect(parsePluralKey('cart.items_ordinal_two')).toEqual({
+      base: 'cart.items',
+      ordinal: true,
+      category: 'two',
+    });
+    expect(parsePluralKey('cart.title')).toBeNull();
+  });
+});
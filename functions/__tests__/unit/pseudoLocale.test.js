@@ -0,0 +1,40 @@
+const {
+  pseudoLocalize,
+  pseudoLocalizeTranslations,
+} = require('../../src/utils/pseudoLocale');
+const { parseMessage } = require('../../src/utils/messageFormat');
+
+describe('Pseudo-localization', () => {
+  test('should accent and expand text by about a third', () => {
+    const text = 'Save your changes before leaving';
+    const pseudo = pseudoLocalize(text);
+
+    expect(pseudo).toMatch(/^\[Šáṽé ýóúŕ çĥáñĝéš ƀéƒóŕé ļéáṽíñĝ ~+\]$/);
+    expect(pseudo.length / text.length).toBeGreaterThanOrEqual(1.3);
+    expect(pseudo.length / text.length).toBeLessThanOrEqual(1.4);
+    expect(pseudoLocalize('OK')).toBe('[ÓĶ]');
+  });
+
+  test('should keep placeholders, tags and ICU syntax intact', () => {
+    const icu =
+      '{count, plural, one {# new message} other {# new messages}} for {name}';
+    const pseudo = pseudoLocalize(icu, { expansion: 0 });
+
+    expect(pseudo).toBe(
+      '[{count, plural, one {# ñéŵ ɱéššáĝé} other {# ñéŵ ɱéššáĝéš}} ƒóŕ {name}]'
+    );
+    expect(parseMessage(pseudo.slice(1, -1)).error).toBeNull();
+    expect(pseudoLocalize('Hi {{name}}, see <b>$t(terms)</b> %s')).toMatch(
+      /^\[Ĥí \{\{name\}\}, šéé <b>\$t\(terms\)<\/b> %s/
+    );
+  });
+
+  test('should keep the shape of a translation tree', () => {
+    expect(
+      pseudoLocalizeTranslations(
+        { home: { title: 'Home', tabs: ['Feed'] }, count: 3 },
+        { expansion: 0 }
+      )
+    ).toEqual({ home: { title: '[Ĥóɱé]', tabs: ['[Ƒééð]'] }, count: 3 });
+  });
+});
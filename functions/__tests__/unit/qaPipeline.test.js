@@ -0,0 +1,292 @@
+jest.mock('fs');
+jest.mock('../../src/graders/codeQualityGrader', () => ({
+  gradeCodeQuality: jest.fn(),
+}));
+jest.mock('../../src/graders/componentGrader', () => ({
+  gradeComponents: jest.fn(),
+}));
+jest.mock('../../src/graders/languageGrader', () => ({
+  gradeLanguageImplementation: jest.fn(),
+}));
+jest.mock('../../src/graders/E2ETestGrader', () => ({
+  runE2ESuite: jest.fn(),
+}));
+jest.mock('../../src/graders/dependencyGrader', () => ({
+  gradeDependencies: jest.fn(),
+}));
+
+const fs = require('fs');
+const { gradeCodeQuality } = require('../../src/graders/codeQualityGrader');
+const { gradeComponents } = require('../../src/graders/componentGrader');
+const {
+  gradeLanguageImplementation,
+} = require('../../src/graders/languageGrader');
+const { runE2ESuite } = require('../../src/graders/E2ETestGrader');
+const { gradeDependencies } = require('../../src/graders/dependencyGrader');
+const {
+  runQaPipeline,
+  regenerateBaseline,
+  resolveFormat,
+  renderReport,
+} = require('../../src/graders/qaPipeline');
+
+describe('QA Pipeline', () => {
+  let mockContext;
+
+  beforeEach(() => {
+    mockContext = {
+      log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      invocationId: 'test-invocation-id',
+    };
+    jest.clearAllMocks();
+    gradeCodeQuality.mockResolvedValue({ success: true, score: 1, report: {} });
+    gradeComponents.mockResolvedValue({
+      success: false,
+      score: 0.5,
+      report: {},
+    });
+    gradeLanguageImplementation.mockResolvedValue({
+      success: true,
+      score: 0.8,
+      report: {},
+    });
+    runE2ESuite.mockResolvedValue({ success: true, score: 1, report: {} });
+    gradeDependencies.mockResolvedValue({
+      success: true,
+      score: 0.9,
+      report: {},
+    });
+  });
+
+  const setupConfig = (mockConfig, baseline) => {
+    fs.existsSync.mockImplementation(
+      (file) =>
+        baseline !== undefined || !file.endsWith('qa-grader.baseline.json')
+    );
+    fs.readFileSync.mockImplementation((file) =>
+      JSON.stringify(
+        file.endsWith('qa-grader.baseline.json') ? baseline : mockConfig
+      )
+    );
+  };
+
+  test('should run only the graders enabled in the config', async () => {
+    setupConfig({
+      codeQuality: { run: true },
+      componentGrader: { run: true },
+      languageGrader: { run: false },
+      dependencyGraph: { run: true },
+    });
+
+    const combined = await runQaPipeline('.', mockContext);
+
+    expect(gradeCodeQuality).toHaveBeenCalled();
+    expect(gradeComponents).toHaveBeenCalled();
+    expect(gradeDependencies).toHaveBeenCalledWith(
+      '.',
+      mockContext,
+      expect.objectContaining({ baseline: null })
+    );
+    expect(gradeLanguageImplementation).not.toHaveBeenCalled();
+    expect(runE2ESuite).not.toHaveBeenCalled();
+    expect(combined.dependencies.score).toBe(0.9);
+    expect(combined.language).toBeUndefined();
+    expect(combined.summary.graders.languageGrader.skipped).toBe(true);
+  });
+
+  test('should compute a weighted overall score', async () => {
+    setupConfig({
+      codeQuality: { run: true },
+      componentGrader: { run: true },
+      qaPipeline: {
+        minimumScore: 0.8,
+        weights: { codeQuality: 60, componentGrader: 40 },
+      },
+    });
+
+    const combined = await runQaPipeline('.', mockContext);
+
+    expect(combined.summary.score).toBeCloseTo(0.8); // (60 * 1 + 40 * 0.5) / 100
+    expect(combined.summary.success).toBe(true);
+  });
+
+  test('should run the E2E grader when a test path is given', async () => {
+    setupConfig({ e2e: { run: true } });
+
+    const combined = await runQaPipeline('.', mockContext, {
+      testPath: 'flows/login.yaml',
+    });
+
+    expect(runE2ESuite).toHaveBeenCalledWith('.', mockContext, {
+      testPath: 'flows/login.yaml',
+      signal: undefined,
+    });
+    expect(combined.e2e.success).toBe(true);
+  });
+
+  test('should pass the baseline to the graders unless it is ignored', async () => {
+    const baseline = {
+      version: 1,
+      findings: [{ fingerprint: 'abc', grader: 'components' }],
+    };
+    setupConfig(
+      { codeQuality: { run: true }, componentGrader: { run: true } },
+      baseline
+    );
+
+    await runQaPipeline('.', mockContext);
+    expect(gradeComponents.mock.calls[0][2].baseline).toEqual(baseline);
+    expect(gradeCodeQuality.mock.calls[0][2].baseline).toEqual(baseline);
+
+    await runQaPipeline('.', mockContext, {
+      ignoreBaseline: true,
+      sections: ['componentGrader'],
+    });
+    expect(gradeComponents.mock.calls[1][2].baseline).toBeNull();
+    expect(gradeCodeQuality).toHaveBeenCalledTimes(1);
+  });
+
+  test('should regenerate the baseline from every current finding', async () => {
+    setupConfig({
+      codeQuality: { run: true },
+      componentGrader: { run: true },
+      e2e: { run: true, testPath: 'flows' },
+    });
+    gradeComponents.mockResolvedValue({
+      success: false,
+      score: 0.5,
+      report: {
+        accessibility: [
+          {
+            file: 'src/Button.jsx',
+            issue: 'Missing accessibilityLabel',
+            rule: 'checkAccessibilityLabel',
+            line: 4,
+          },
+        ],
+        testIds: [],
+        bestPractices: [],
+      },
+    });
+
+    const result = await regenerateBaseline('.', mockContext, {
+      dryRun: true,
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      written: false,
+      findings: 1,
+      byGrader: { components: 1 },
+    });
+    expect(result.baseline.findings[0].file).toBe('src/Button.jsx');
+    expect(gradeComponents.mock.calls[0][2].baseline).toBeNull();
+    expect(runE2ESuite).not.toHaveBeenCalled();
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  test('should keep going when one grader throws', async () => {
+    setupConfig({ codeQuality: { run: true }, componentGrader: { run: true } });
+    gradeCodeQuality.mockRejectedValue(new Error('boom'));
+
+    const combined = await runQaPipeline('.', mockContext);
+
+    expect(combined.quality.report.error).toBe('boom');
+    expect(combined.components.score).toBe(0.5);
+    expect(combined.summary.score).toBeCloseTo((30 * 0.5) / 70);
+  });
+
+  test('should report progress and stop when cancelled', async () => {
+    setupConfig({ codeQuality: { run: true }, componentGrader: { run: true } });
+    const controller = new AbortController();
+    const onProgress = jest.fn(({ step }) => {
+      if (step === 'componentGrader') controller.abort();
+    });
+
+    await expect(
+      runQaPipeline('.', mockContext, { signal: controller.signal, onProgress })
+    ).rejects.toThrow('cancelled');
+
+    expect(onProgress).toHaveBeenCalledWith({
+      step: 'codeQuality',
+      completed: 0,
+      total: 5,
+    });
+    expect(gradeCodeQuality).toHaveBeenCalled();
+    expect(gradeComponents).not.toHaveBeenCalled();
+  });
+
+  test('should record the run and fail on a score regression', async () => {
+    setupConfig({
+      codeQuality: { run: true },
+      componentGrader: { run: true },
+      history: { failOnRegression: 0.05 },
+    });
+    const previous = {
+      id: 'previous-run',
+      branch: 'main',
+      commit: 'aaa111',
+      report: { summary: { score: 0.9, graders: {} } },
+    };
+    const historyStore = {
+      list: jest.fn().mockResolvedValue([previous]),
+      get: jest.fn().mockResolvedValue(previous),
+      record: jest.fn().mockResolvedValue({ id: 'new-run' }),
+    };
+
+    const combined = await runQaPipeline('.', mockContext, {
+      projectId: 'app',
+      branch: 'main',
+      commit: 'bbb222',
+      historyStore,
+    });
+
+    expect(historyStore.list).toHaveBeenCalledWith('app', {
+      branch: 'main',
+      limit: 1,
+    });
+    expect(combined.summary.comparison.scoreChange).toBeCloseTo(
+      (40 * 1 + 30 * 0.5) / 70 - 0.9
+    );
+    expect(combined.summary.comparison.regression).toBe(true);
+    expect(combined.summary.success).toBe(false);
+    expect(historyStore.record).toHaveBeenCalledWith(
+      expect.objectContaining({ projectId: 'app', commit: 'bbb222' })
+    );
+    expect(combined.meta.history.id).toBe('new-run');
+  });
+
+  test('should throw when the config file is missing', async () => {
+    fs.existsSync.mockReturnValue(false);
+
+    await expect(runQaPipeline('.', mockContext)).rejects.toThrow(
+      'qa-grader.config.json'
+    );
+  });
+
+  describe('resolveFormat', () => {
+    test('should prefer the format field over the Accept header', () => {
+      const request = { headers: { accept: 'text/html' } };
+      expect(resolveFormat(request, { format: 'md' })).toBe('markdown');
+    });
+
+    test('should fall back to the Accept header', () => {
+      const request = { headers: new Map([['accept', 'text/html']]) };
+      expect(resolveFormat(request, {})).toBe('html');
+    });
+
+    test('should default to JSON', () => {
+      expect(resolveFormat({ headers: {} }, {})).toBe('json');
+    });
+  });
+
+  test('should render the combined report as Markdown', async () => {
+    setupConfig({ codeQuality: { run: true } });
+
+    const combined = await runQaPipeline('.', mockContext);
+    const markdown = renderReport(combined, 'markdown');
+
+    expect(markdown).toContain('Overall');
+    expect(markdown).toContain('| codeQuality | 100.0 % | 40 |');
+  });
+});
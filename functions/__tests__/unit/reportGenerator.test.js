@@ -0,0 +1,322 @@
+const path = require('path');
+const {
+  combine,
+  toSarif,
+  toJUnit,
+  toMarkdown,
+} = require('../../src/utils/reportGenerator');
+
+describe('Report Generator', () => {
+  const projectRoot = path.resolve('app');
+
+  const combined = combine({
+    components: {
+      success: false,
+      score: 0.95,
+      report: {
+        accessibility: [
+          {
+            file: 'app/src/Button.jsx',
+            issue: 'Missing accessibilityLabel',
+            component: 'Pressable',
+            rule: 'checkAccessibilityLabel',
+            line: 4,
+            column: 10,
+          },
+        ],
+        testIds: [],
+        bestPractices: [],
+        rules: {
+          checkAccessibilityLabel: {
+            name: 'AccessibilityLabel',
+            description: 'Interactive elements need an accessibilityLabel.',
+            help: 'Add one.',
+            category: 'accessibility',
+            severity: 'error',
+          },
+        },
+        summary: { issuesFound: 1 },
+      },
+    },
+    language: {
+      success: true,
+      score: 0.99,
+      report: {
+        missingKeys: [],
+        hardcodedStrings: [],
+        malformedKeys: [],
+        unusedKeys: ['home.old'],
+        translationFile: 'app/store/en.json',
+        rules: {
+          unusedKeys: {
+            name: 'UnusedTranslationKey',
+            description: 'Translation key is never used in code.',
+            severity: 'info',
+          },
+        },
+      },
+    },
+    quality: {
+      success: false,
+      score: 0.5,
+      report: {
+        linting: {
+          run: true,
+          passed: false,
+          errors: [
+            {
+              file: path.join(projectRoot, 'src/App.js'),
+              messages: [
+                {
+                  ruleId: 'eqeqeq',
+                  severity: 2,
+                  message: 'Expected ===',
+                  line: 7,
+                  column: 3,
+                  endLine: 7,
+                  endColumn: 5,
+                },
+              ],
+            },
+          ],
+        },
+        typeCheck: {
+          run: true,
+          passed: false,
+          errors: [
+            {
+              file: 'app/src/App.tsx',
+              line: 2,
+              column: 1,
+              category: 'error',
+              code: 'TS2322',
+              message: 'Type mismatch',
+            },
+          ],
+        },
+        rules: {
+          'eslint/eqeqeq': {
+            name: 'eqeqeq',
+            description: 'ESLint rule eqeqeq',
+            helpUri: 'https://eslint.org/docs/latest/rules/eqeqeq',
+            severity: 'warning',
+          },
+        },
+      },
+    },
+    e2e: {
+      success: true,
+      score: 1,
+      report: { testFlow: 'flows/login.yaml', passed: true, duration: 42 },
+    },
+    meta: { projectPath: 'app' },
+  });
+
+  describe('toSarif', () => {
+    const sarif = toSarif(combined);
+    const run = sarif.runs[0];
+
+    test('should produce a SARIF 2.1.0 log with one run', () => {
+      expect(sarif.version).toBe('2.1.0');
+      expect(run.tool.driver.name).toBe('Companion Grader');
+      expect(run.originalUriBaseIds.PROJECTROOT.uri).toMatch(/\/app\/$/);
+    });
+
+    test('should take rule metadata from the graders', () => {
+      const rule = run.tool.driver.rules.find(
+        (r) => r.id === 'checkAccessibilityLabel'
+      );
+      expect(rule).toMatchObject({
+        name: 'AccessibilityLabel',
+        shortDescription: {
+          text: 'Interactive elements need an accessibilityLabel.',
+        },
+        help: { text: 'Add one.' },
+        defaultConfiguration: { level: 'error' },
+        properties: { grader: 'components', category: 'accessibility' },
+      });
+      expect(
+        run.tool.driver.rules.find((r) => r.id === 'eslint/eqeqeq').helpUri
+      ).toBe('https://eslint.org/docs/latest/rules/eqeqeq');
+    });
+
+    test('should map findings to results with relative file regions', () => {
+      const byRule = Object.fromEntries(
+        run.results.map((result) => [result.ruleId, result])
+      );
+
+      expect(byRule.checkAccessibilityLabel).toMatchObject({
+        level: 'error',
+        message: { text: 'Missing accessibilityLabel (Pressable)' },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: {
+                uri: 'src/Button.jsx',
+                uriBaseId: 'PROJECTROOT',
+              },
+              region: { startLine: 4, startColumn: 10 },
+            },
+          },
+        ],
+      });
+      expect(byRule['eslint/eqeqeq'].level).toBe('error');
+      expect(
+        byRule['eslint/eqeqeq'].locations[0].physicalLocation.region
+      ).toEqual({ startLine: 7, startColumn: 3, endLine: 7, endColumn: 5 });
+      expect(byRule.unusedKeys).toMatchObject({
+        level: 'note',
+        message: { text: 'Translation key "home.old" is never used' },
+      });
+      expect(
+        byRule.unusedKeys.locations[0].physicalLocation.artifactLocation.uri
+      ).toBe('store/en.json');
+    });
+
+    test('should add rules that only appear in findings', () => {
+      const result = run.results.find((r) => r.ruleId === 'typescript/TS2322');
+      expect(run.tool.driver.rules[result.ruleIndex].id).toBe(
+        'typescript/TS2322'
+      );
+    });
+  });
+
+  describe('toJUnit', () => {
+    const xml = toJUnit(combined);
+
+    test('should emit one testsuite per grader', () => {
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(xml.match(/<testsuite /g)).toHaveLength(4);
+      expect(xml).toContain(
+        '<testsuite name="Component Quality" tests="1" failures="1" errors="0"'
+      );
+    });
+
+    test('should list each rule with its failing files and lines', () => {
+      expect(xml).toContain(
+        '<testcase name="checkAccessibilityLabel" classname="companion.components">'
+      );
+      expect(xml).toContain(
+        'app/src/Button.jsx:4:10 Missing accessibilityLabel (Pressable)</failure>'
+      );
+      expect(xml).toContain(
+        'app/store/en.json Translation key &quot;home.old&quot; is never used'
+      );
+    });
+
+    test('should list code quality checks that ran', () => {
+      expect(xml).toContain(
+        '<testcase name="TypeScript" classname="companion.quality">'
+      );
+      expect(xml).toContain('app/src/App.tsx:2:1 Type mismatch');
+    });
+
+    test('should report Maestro flows with their duration', () => {
+      expect(xml).toContain(
+        '<testcase name="flows/login.yaml" classname="companion.e2e" time="42"/>'
+      );
+    });
+
+    test('should drop characters XML does not allow', () => {
+      const withControls = toJUnit(
+        combine({
+          e2e: {
+            success: false,
+            score: 0,
+            report: {
+              testFlow: 'flows/login.yaml',
+              passed: false,
+              output:
+                'Colour \u001b[31mred\u001b[0m\tand\r\nlines \ud83d\ude00\ud800\uffff.',
+              duration: 1,
+            },
+          },
+        })
+      );
+
+      expect(withControls).toContain(
+        'Colour [31mred[0m\tand\r\nlines \ud83d\ude00.'
+      );
+    });
+  });
+
+  describe('Maestro flows', () => {
+    const withFlows = combine({
+      e2e: {
+        success: false,
+        score: 0,
+        report: {
+          testFlow: 'flows',
+          passed: false,
+          output: 'a long console blob',
+          duration: 9,
+          flows: [
+            {
+              name: 'login',
+              status: 'failed',
+              duration: 2500,
+              error: 'Element not found',
+              steps: [
+                {
+                  index: 0,
+                  command: 'tapOn "Login"',
+                  status: 'passed',
+                  duration: 500,
+                  error: null,
+                },
+                {
+                  index: 1,
+                  command: 'assertVisible "Welcome"',
+                  status: 'failed',
+                  duration: 2000,
+                  error: 'Element not found',
+                },
+              ],
+              screenshots: ['/tmp/out/screenshot-(login).png'],
+              recordings: [],
+            },
+          ],
+        },
+      },
+    });
+
+    test('should show a step timeline instead of the console output', () => {
+      const markdown = toMarkdown(withFlows);
+
+      expect(markdown).toContain(
+        '| 2 | assertVisible "Welcome" | ❌ | 2.0 s | Element not found |'
+      );
+      expect(markdown).toContain(
+        '[screenshot-(login).png](file:///tmp/out/screenshot-(login).png)'
+      );
+      expect(markdown).not.toContain('a long console blob');
+    });
+
+    test('should escape Markdown in flow names', () => {
+      const [flow] = withFlows.e2e.report.flows;
+      const markdown = toMarkdown({
+        ...withFlows,
+        e2e: {
+          ...withFlows.e2e,
+          report: {
+            ...withFlows.e2e.report,
+            flows: [{ ...flow, name: 'Log *in* <b>' }],
+          },
+        },
+      });
+
+      expect(markdown).toContain('**Log \\*in\\* \\<b\\>**');
+    });
+
+    test('should output one JUnit testcase per flow', () => {
+      const xml = toJUnit(withFlows);
+
+      expect(xml).toContain(
+        '<testcase name="login" classname="companion.e2e" time="2.5">'
+      );
+      expect(xml).toContain(
+        'Step 2 assertVisible &quot;Welcome&quot;: Element not found'
+      );
+    });
+  });
+});
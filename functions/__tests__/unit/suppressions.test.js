@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseSuppressions,
+  isSuppressed,
+  applySuppressions,
+} = require('../../src/utils/suppressions');
+const {
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+} = require('../../src/utils/baseline');
+
+describe('Suppressions', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-suppressions-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const componentReport = (file) => ({
+    accessibility: [
+      {
+        file,
+        issue: 'Missing accessibilityLabel',
+        component: 'Pressable',
+        rule: 'checkAccessibilityLabel',
+        line: 3,
+      },
+      {
+        file,
+        issue: 'Missing accessibilityLabel',
+        component: 'Button',
+        rule: 'checkAccessibilityLabel',
+        line: 6,
+      },
+    ],
+    testIds: [
+      {
+        file,
+        issue: 'Missing testID for interactive element',
+        component: 'Pressable',
+        rule: 'checkTestID',
+        line: 3,
+      },
+    ],
+    bestPractices: [],
+  });
+
+  test('should read next-line and file-level comments', () => {
+    const suppressions = parseSuppressions(
+      [
+        '/* qa-grader-disable eslint/no-console */',
+        '// qa-grader-disable-next-line checkTestID, checkInlineStyles -- legacy screen',
+        '<Pressable />',
+        '{/* qa-grader-disable-next-line */}',
+        '<Text>Acme</Text>',
+      ].join('\n')
+    );
+
+    expect(isSuppressed(suppressions, 'eslint/no-console', 10)).toBe(true);
+    expect(isSuppressed(suppressions, 'checkTestID', 3)).toBe(true);
+    expect(isSuppressed(suppressions, 'checkInlineStyles', 3)).toBe(true);
+    expect(isSuppressed(suppressions, 'checkAccessibilityLabel', 3)).toBe(
+      false
+    );
+    expect(isSuppressed(suppressions, 'legacy', 3)).toBe(false);
+    expect(isSuppressed(suppressions, 'hardcodedStrings', 5)).toBe(true);
+    expect(isSuppressed(suppressions, 'hardcodedStrings', 6)).toBe(false);
+  });
+
+  test('should remove suppressed findings from a report', () => {
+    const file = path.join(directory, 'Screen.jsx');
+    fs.writeFileSync(
+      file,
+      [
+        'export const Screen = () => (',
+        '  // qa-grader-disable-next-line checkTestID',
+        '  <Pressable>',
+        '  </Pressable>',
+        ')',
+        '<Button />',
+      ].join('\n')
+    );
+    const report = componentReport(file);
+
+    const counts = applySuppressions('components', report, {
+      projectRoot: directory,
+    });
+
+    expect(counts).toEqual({ comments: 1, baseline: 0, baselineUnmatched: 0 });
+    expect(report.testIds).toEqual([]);
+    expect(report.accessibility).toHaveLength(2);
+    expect(report.suppressions).toBe(counts);
+  });
+
+  test('should drop ESLint results left without messages', () => {
+    const file = path.join(directory, 'legacy.js');
+    fs.writeFileSync(
+      file,
+      '/* qa-grader-disable eslint/no-console */\nconsole.log(1);\n'
+    );
+    const report = {
+      linting: {
+        errors: [
+          {
+            file,
+            messages: [
+              {
+                ruleId: 'no-console',
+                severity: 2,
+                message: 'Unexpected console statement.',
+                line: 2,
+              },
+            ],
+          },
+        ],
+      },
+      typeCheck: { errors: [] },
+    };
+
+    applySuppressions('quality', report);
+
+    expect(report.linting.errors).toEqual([]);
+  });
+
+  test('should leave baselined findings out and count the ones fixed since', () => {
+    const file = path.join(directory, 'Screen.jsx');
+    fs.writeFileSync(file, '');
+    const baseline = createBaseline({
+      components: { report: componentReport(file) },
+      meta: { projectPath: directory },
+    });
+    expect(baseline.findings).toHaveLength(3);
+    expect(baseline.findings[0].file).toBe('Screen.jsx');
+
+    // The Button was fixed and a new testID finding was added
+    const report = componentReport(file);
+    report.accessibility.pop();
+    report.testIds.push({
+      file,
+      issue: 'Missing testID for interactive element',
+      component: 'Switch',
+      rule: 'checkTestID',
+      line: 9,
+    });
+
+    const counts = applySuppressions('components', report, {
+      projectRoot: directory,
+      baseline,
+    });
+
+    expect(counts).toEqual({ comments: 0, baseline: 2, baselineUnmatched: 1 });
+    expect(report.accessibility).toEqual([]);
+    expect(report.testIds.map((issue) => issue.component)).toEqual(['Switch']);
+  });
+
+  test('should save and load the baseline file', () => {
+    expect(loadBaseline(directory)).toBeNull();
+
+    const baseline = {
+      version: 1,
+      findings: [{ fingerprint: 'abc', grader: 'language' }],
+    };
+    const file = saveBaseline(directory, baseline, { file: 'baseline.json' });
+
+    expect(path.basename(file)).toBe('baseline.json');
+    expect(loadBaseline(directory, { file: 'baseline.json' })).toEqual(
+      baseline
+    );
+    expect(
+      loadBaseline(directory, { file: 'baseline.json', enabled: false })
+    ).toBeNull();
+
+    fs.writeFileSync(file, '{"findings": {}}');
+    expect(() => loadBaseline(directory, { file: 'baseline.json' })).toThrow(
+      '$.findings: must be an array'
+    );
+  });
+});
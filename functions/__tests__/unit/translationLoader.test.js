@@ -0,0 +1,102 @@
+const {
+  detectFormat,
+  localeFilePattern,
+  parseTranslations,
+  formatTranslations,
+} = require('../../src/utils/translationLoader');
+const { extractAllKeys } = require('../../src/graders/languageGrader');
+
+describe('Translation loader', () => {
+  test('should detect the format from the extension, with an override', () => {
+    expect(detectFormat('locales/fr.yml')).toBe('yaml');
+    expect(detectFormat('locales/fr.po')).toBe('po');
+    expect(detectFormat('locales/fr.xlf')).toBe('xliff');
+    expect(detectFormat('locales/fr.txt', 'json')).toBe('json');
+    expect(() => detectFormat('locales/fr.txt')).toThrow(
+      'Unknown translation format for "locales/fr.txt"'
+    );
+    expect(localeFilePattern('locales', 'yaml')).toBe('locales/*.{yaml,yml}');
+  });
+
+  test('should read YAML into the nested key tree', () => {
+    const translations = parseTranslations(
+      'home:\n  title: Accueil\n  items:\n    - Un\n    - Deux\n',
+      'yaml'
+    );
+
+    expect(extractAllKeys(translations)).toEqual([
+      'home.title',
+      'home.items.0',
+      'home.items.1',
+    ]);
+  });
+
+  test('should read gettext catalogues', () => {
+    const po = [
+      'msgid ""',
+      'msgstr ""',
+      '"Language: fr\\n"',
+      '',
+      '#: src/Home.jsx:4',
+      'msgid "home.title"',
+      'msgstr "Accueil"',
+      '',
+      'msgctxt "home.greeting"',
+      'msgid "Hello \\"friend\\""',
+      'msgstr ""',
+      '"Bonjour "',
+      '"\\"ami\\""',
+      '',
+      '#, fuzzy',
+      'msgid "home.subtitle"',
+      'msgstr "Sous-titre"',
+      '',
+      'msgid "cart.items"',
+      'msgid_plural "cart.items"',
+      'msgstr[0] "{{count}} article"',
+      'msgstr[1] "{{count}} articles"',
+    ].join('\n');
+
+    expect(parseTranslations(po, 'po')).toEqual({
+      home: { title: 'Accueil', greeting: 'Bonjour "ami"', subtitle: '' },
+      cart: { items_0: '{{count}} article', items_1: '{{count}} articles' },
+    });
+  });
+
+  test('should read XLIFF 1.2 and 2.0 units', () => {
+    const xliff12 = `<?xml version="1.0"?>
+      <xliff version="1.2"><file source-language="en" target-language="fr"><body>
+        <trans-unit id="1" resname="home.title"><source>Home</source><target>Accueil</target></trans-unit>
+        <trans-unit id="home.terms"><source>Terms &amp; conditions</source><target>Conditions <g id="b">générales</g> &amp; <![CDATA[<ventes>]]></target></trans-unit>
+        <trans-unit id="home.new"><source>New</source></trans-unit>
+      </body></file></xliff>`;
+    const xliff20 = `<xliff version="2.0"><file id="f1">
+        <unit id="home.title"><segment><source>Home</source><target>Startseite</target></segment></unit>
+      </file></xliff>`;
+
+    expect(parseTranslations(xliff12, 'xliff')).toEqual({
+      home: {
+        title: 'Accueil',
+        terms: 'Conditions générales & <ventes>',
+        new: '',
+      },
+    });
+    expect(parseTranslations(xliff20, 'xliff')).toEqual({
+      home: { title: 'Startseite' },
+    });
+  });
+
+  test('should write JSON and YAML in the style of the original file', () => {
+    const translations = { home: { title: 'Home' } };
+
+    expect(formatTranslations(translations, 'json', '{\n    "a": 1\n}\n')).toBe(
+      '{\n    "home": {\n        "title": "Home"\n    }\n}\n'
+    );
+    expect(formatTranslations(translations, 'yaml', 'a: 1\n')).toBe(
+      'home:\n  title: Home\n'
+    );
+    expect(() => formatTranslations(translations, 'po', '')).toThrow(
+      'Writing po translation files is not supported'
+    );
+  });
+});
@@ -0,0 +1,58 @@
+const { createPatch } = require('../../src/utils/unifiedDiff');
+
+describe('Unified diff', () => {
+  const lines = (count) =>
+    Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+  test('should return an empty patch when nothing changed', () => {
+    expect(createPatch('a.txt', 'same\n', 'same\n')).toBe('');
+  });
+
+  test('should group nearby changes into hunks with context', () => {
+    const before = lines(20);
+    const after = before
+      .replace('line 2\n', 'line two\n')
+      .replace('line 4\n', '')
+      .replace('line 18\n', 'line 18\nline 18.5\n');
+
+    expect(createPatch('./src/a.txt', before, after)).toBe(
+      [
+        '--- a/src/a.txt',
+        '+++ b/src/a.txt',
+        '@@ -1,7 +1,6 @@',
+        ' line 1',
+        '-line 2',
+        '+line two',
+        ' line 3',
+        '-line 4',
+        ' line 5',
+        ' line 6',
+        ' line 7',
+        '@@ -16,5 +15,6 @@',
+        ' line 16',
+        ' line 17',
+        ' line 18',
+        '+line 18.5',
+        ' line 19',
+        ' line 20',
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('should mark a missing newline at the end of the file', () => {
+    expect(createPatch('a.txt', 'a\nb', 'a\nc\n')).toBe(
+      [
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -1,2 +1,2 @@',
+        ' a',
+        '-b',
+        '\\ No newline at end of file',
+        '+c',
+        '',
+      ].join('\n')
+    );
+    expect(createPatch('new.txt', '', 'x\n')).toContain('@@ -0,0 +1 @@\n+x\n');
+  });
+});
@@ -0,0 +1,52 @@
+const { app } = require('@azure/functions');
+const { loadConfig, ConfigValidationError } = require('../utils/configLoader');
+const { runner } = require('./jobs');
+
+// Regenerates the project's qa-grader.baseline.json from a fresh run that
+// ignores the current baseline, accepting every finding the project has now:
+//   POST /baseline   { projectPath, dryRun }
+// `dryRun: true` keeps the baseline in the job result without writing it.
+//
+// The run takes as long as the pipeline, so it is started as a `baseline`
+// job and the response (202) points at it: poll GET /jobs/{id} for the
+// result. Like any job it is still bound by host.json `functionTimeout`.
+app.http('baseline', {
+  methods: ['POST'],
+  authLevel: 'function',
+  route: 'baseline',
+  handler: async (request, context) => {
+    context.log.info('Baseline function processed a request.');
+
+    try {
+      const requestBody = await request.json().catch(() => ({}));
+      const projectPath = requestBody.projectPath || '.';
+      // Report a broken config now rather than in the job
+      loadConfig(projectPath);
+
+      const job = await runner.startJob(
+        'baseline',
+        { projectPath, dryRun: requestBody.dryRun === true },
+        context
+      );
+      return json(202, { ...job, statusUrl: `/api/jobs/${job.id}` });
+    } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return json(400, {
+          success: false,
+          error: error.message,
+          errors: error.errors,
+        });
+      }
+      context.log.error('Error regenerating baseline:', error);
+      return json(500, { success: false, error: error.message });
+    }
+  },
+});
+
+function json(status, body) {
+  return {
+    status,
+    body: JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json' },
+  };
+}
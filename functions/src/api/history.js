@@ -0,0 +1,151 @@
+const { app } = require('@azure/functions');
+const fs = require('fs');
+const path = require('path');
+const { openHistoryStore } = require('../history/historyStore');
+const { compareReports, resolveEntry } = require('../history/compare');
+const {
+  loadConfig,
+  resolveSection,
+  ConfigValidationError,
+  CONFIG_FILE_NAME,
+} = require('../utils/configLoader');
+
+// Grading history per project, kept where the `history` section of the
+// config at ?projectPath= (or `projectPath` in the POST body) points, the
+// same store the pipeline records runs in:
+//   GET  /history/{projectId}              list runs (?branch=, ?commit=, ?limit=)
+//   POST /history/{projectId}              save a combined report { branch, commit, report }
+//   GET  /history/{projectId}/{ref}        one run by id, commit or branch (newest)
+//   GET  /history/{projectId}/compare/{base}/{head}
+//                                          score change and new/fixed issues
+//                                          between two refs [?failOnRegression=0.05]
+app.http('history', {
+  methods: ['GET', 'POST'],
+  authLevel: 'function',
+  route: 'history/{projectId}/{ref?}',
+  handler: async (request, context) => {
+    const { projectId, ref } = request.params || {};
+    const query = (name) =>
+      (request.query && request.query.get && request.query.get(name)) ||
+      undefined;
+    context.log.info(`History function processed a ${request.method} request.`);
+
+    try {
+      const requestBody =
+        request.method === 'POST' ? await request.json().catch(() => ({})) : {};
+      const store = openStore(requestBody.projectPath || query('projectPath'));
+
+      if (request.method === 'POST') {
+        const entry = await store.record({
+          projectId,
+          branch: requestBody.branch,
+          commit: requestBody.commit,
+          report: requestBody.report,
+        });
+        // The caller already has the report
+        const saved = { ...entry };
+        delete saved.report;
+        return json(201, saved);
+      }
+
+      if (!ref) {
+        const entries = await store.list(projectId, {
+          branch: query('branch'),
+          commit: query('commit'),
+          limit: Number(query('limit')) || undefined,
+        });
+        return json(200, { entries });
+      }
+
+      const entry = await resolveEntry(store, projectId, ref);
+      return entry
+        ? json(200, entry)
+        : json(404, { success: false, error: `No history entry for "${ref}"` });
+    } catch (error) {
+      return errorResponse(error, context);
+    }
+  },
+});
+
+// Its own route rather than a reserved ref, so a branch named "compare" can
+// still be looked up above
+app.http('historyCompare', {
+  methods: ['GET'],
+  authLevel: 'function',
+  route: 'history/{projectId}/compare/{base}/{head}',
+  handler: async (request, context) => {
+    const { projectId, base, head } = request.params || {};
+    const query = (name) =>
+      (request.query && request.query.get && request.query.get(name)) ||
+      undefined;
+    context.log.info('History compare function processed a request.');
+
+    try {
+      const store = openStore(query('projectPath'));
+      return json(
+        200,
+        await compare(store, projectId, base, head, query('failOnRegression'))
+      );
+    } catch (error) {
+      return errorResponse(error, context);
+    }
+  },
+});
+
+// A project without a config file uses the default history settings
+function openStore(projectPath = '.') {
+  const settings = fs.existsSync(path.resolve(projectPath, CONFIG_FILE_NAME))
+    ? loadConfig(projectPath).history
+    : resolveSection('history', {});
+  return openHistoryStore(projectPath, settings);
+}
+
+async function compare(store, projectId, baseRef, headRef, threshold) {
+  const head = await resolveEntry(store, projectId, headRef);
+  if (!head) throw notFound(`No history entry for "${headRef}"`);
+  const base = await resolveEntry(store, projectId, baseRef);
+  if (!base) throw notFound(`No history entry for "${baseRef}"`);
+
+  const comparison = compareReports(base.report, head.report, {
+    failOnRegression: threshold === undefined ? undefined : Number(threshold),
+  });
+
+  const describe = (entry) => ({
+    id: entry.id,
+    branch: entry.branch,
+    commit: entry.commit,
+    createdAt: entry.createdAt,
+  });
+  return { base: describe(base), head: describe(head), ...comparison };
+}
+
+function errorResponse(error, context) {
+  if (error instanceof ConfigValidationError) {
+    return json(400, {
+      success: false,
+      error: error.message,
+      errors: error.errors,
+    });
+  }
+  context.log.error('Error in history function:', error);
+  const status =
+    error.status ||
+    (/^(Invalid|A combined report)/.test(error.message) ? 400 : 500);
+  return json(status, { success: false, error: error.message });
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+function json(status, body) {
+  return {
+    status,
+    body: JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json' },
+  };
+}
+
+module.exports = { openStore };
@@ -0,0 +1,75 @@
+const { app } = require('@azure/functions');
+const { FileJobStore } = require('../jobs/jobStore');
+const { JobRunner } = require('../jobs/jobRunner');
+
+// One runner per worker process, so DELETE can abort jobs this process started
+const runner = new JobRunner({ store: new FileJobStore() });
+
+// Asynchronous grading jobs:
+//   POST   /jobs       start a run, returns the job id at once (202)
+//   GET    /jobs       list jobs
+//   GET    /jobs/{id}  status, progress and the final result
+//   DELETE /jobs/{id}  cancel a queued or running job
+//
+// A job runs in the worker that accepted the POST, after the response is
+// sent. It is still bound by host.json `functionTimeout` (5 minutes) and ends
+// when the instance is recycled; such a job is then reported as failed and
+// `interrupted`. Runs longer than that need a host with a longer timeout
+// (Premium or Dedicated plan) or a queue-triggered function.
+app.http('jobs', {
+  methods: ['GET', 'POST', 'DELETE'],
+  authLevel: 'function',
+  route: 'jobs/{id?}',
+  handler: async (request, context) => {
+    const id = request.params && request.params.id;
+    context.log.info(`Jobs function processed a ${request.method} request.`);
+
+    try {
+      if (request.method === 'POST') {
+        const requestBody = await request.json().catch(() => ({}));
+        const { type = 'pipeline', ...params } = requestBody;
+        if (!process.env.QA_JOBS_DIR) {
+          // Scaled out, a poll can reach an instance that cannot see the job file
+          context.log.warn(
+            `QA_JOBS_DIR is not set, so jobs are kept in ${runner.store.directory}, which other instances do not share.`
+          );
+        }
+        const job = await runner.startJob(type, params, context);
+        return json(202, { ...job, statusUrl: `/api/jobs/${job.id}` });
+      }
+
+      if (request.method === 'GET' && !id) {
+        return json(200, { jobs: await runner.listJobs() });
+      }
+
+      if (!id) {
+        return json(400, { success: false, error: 'A job id is required.' });
+      }
+
+      const job =
+        request.method === 'DELETE'
+          ? await runner.cancelJob(id)
+          : await runner.getJob(id);
+
+      return job
+        ? json(200, job)
+        : json(404, { success: false, error: `Job not found: ${id}` });
+    } catch (error) {
+      context.log.error('Error in jobs function:', error);
+      const status = /^(Unknown job type|Invalid job id)/.test(error.message)
+        ? 400
+        : 500;
+      return json(status, { success: false, error: error.message });
+    }
+  },
+});
+
+function json(status, body) {
+  return {
+    status,
+    body: JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json' },
+  };
+}
+
+module.exports = { runner };
@@ -0,0 +1,115 @@
+const { app } = require('@azure/functions');
+const fs = require('fs');
+const path = require('path');
+const {
+  CONFIG_FILE_NAME,
+  loadConfig,
+  resolveSection,
+  ConfigValidationError,
+} = require('../utils/configLoader');
+const {
+  loadTranslations,
+  formatTranslations,
+} = require('../utils/translationLoader');
+const { pseudoLocalizeTranslations } = require('../utils/pseudoLocale');
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  yaml: 'application/x-yaml',
+};
+
+// Downloads a pseudo-locale generated from the base translation file, to load
+// in the app like any other locale:
+//   GET|POST /pseudo-locale   projectPath, expansion (0-1), locale, format (json|yaml)
+// Settings not given come from the languageGrader section of the project's
+// qa-grader.config.json (translationFile, pseudoExpansion, pseudoLocale).
+app.http('pseudoLocale', {
+  methods: ['GET', 'POST'],
+  authLevel: 'function',
+  route: 'pseudo-locale',
+  handler: async (request, context) => {
+    context.log.info('Pseudo-locale function processed a request.');
+
+    try {
+      const requestBody =
+        request.method === 'POST' ? await request.json().catch(() => ({})) : {};
+      const param = (name) =>
+        requestBody[name] !== undefined
+          ? requestBody[name]
+          : (request.query && request.query.get && request.query.get(name)) ||
+            undefined;
+
+      const projectPath = param('projectPath') || '.';
+      const config = fs.existsSync(path.resolve(projectPath, CONFIG_FILE_NAME))
+        ? loadConfig(projectPath).languageGrader
+        : resolveSection('languageGrader', requestBody.config || {});
+
+      const translationFile = path.resolve(projectPath, config.translationFile);
+      if (!fs.existsSync(translationFile)) {
+        return json(404, {
+          success: false,
+          error: `Translation file not found: ${config.translationFile}`,
+        });
+      }
+
+      const expansion =
+        param('expansion') !== undefined
+          ? Number(param('expansion'))
+          : config.pseudoExpansion;
+      if (!(expansion >= 0 && expansion <= 1)) {
+        return json(400, {
+          success: false,
+          error: 'expansion must be a number from 0 to 1',
+        });
+      }
+
+      const base = loadTranslations(translationFile, {
+        format: config.translationFormat,
+      });
+      // gettext and XLIFF can't be written, so those come out as JSON
+      const format =
+        param('format') || (CONTENT_TYPES[base.format] ? base.format : 'json');
+      if (!CONTENT_TYPES[format]) {
+        return json(400, {
+          success: false,
+          error: `Unsupported format "${format}". Use json or yaml.`,
+        });
+      }
+
+      const locale = param('locale') || config.pseudoLocale;
+      const body = formatTranslations(
+        pseudoLocalizeTranslations(base.translations, { expansion }),
+        format,
+        base.format === format ? base.text : '\n'
+      );
+      const fileName = `${locale.replace(/[^\w.-]/g, '_')}.${format}`;
+
+      return {
+        status: 200,
+        body,
+        headers: {
+          'Content-Type': `${CONTENT_TYPES[format]}; charset=utf-8`,
+          'Content-Disposition': `attachment; filename="${fileName}"`,
+        },
+      };
+    } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return json(400, {
+          success: false,
+          error: error.message,
+          errors: error.errors,
+        });
+      }
+      context.log.error('Error generating pseudo-locale:', error);
+      return json(500, { success: false, error: error.message });
+    }
+  },
+});
+
+function json(status, body) {
+  return {
+    status,
+    body: JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json' },
+  };
+}
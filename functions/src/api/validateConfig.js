@@ -0,0 +1,65 @@
+const { app } = require('@azure/functions');
+const path = require('path');
+const fs = require('fs');
+const {
+  CONFIG_FILE_NAME,
+  validateConfig,
+  schema,
+} = require('../utils/configLoader');
+
+// Checks a qa-grader.config.json before it is committed.
+// GET returns the JSON Schema; POST validates either `{ config }`, a raw
+// config object, or the file found under `{ projectPath }`.
+app.http('validateConfig', {
+  methods: ['GET', 'POST'],
+  authLevel: 'function',
+  handler: async (request, context) => {
+    context.log.info('Validate Config function processed a request.');
+
+    if (request.method === 'GET') {
+      return {
+        status: 200,
+        body: JSON.stringify(schema),
+        headers: { 'Content-Type': 'application/schema+json' },
+      };
+    }
+
+    try {
+      const requestBody = await request.json().catch(() => ({}));
+      const rawConfig = readConfigFromRequest(requestBody);
+      const result = validateConfig(rawConfig);
+
+      return {
+        status: result.valid ? 200 : 400,
+        body: JSON.stringify(result),
+        headers: { 'Content-Type': 'application/json' },
+      };
+    } catch (error) {
+      context.log.error('Error validating config:', error);
+      return {
+        status: 400,
+        body: JSON.stringify({
+          valid: false,
+          errors: [{ path: '$', message: error.message }],
+        }),
+        headers: { 'Content-Type': 'application/json' },
+      };
+    }
+  },
+});
+
+function readConfigFromRequest(requestBody) {
+  if (requestBody.config) return requestBody.config;
+
+  if (requestBody.projectPath) {
+    const configPath = path.resolve(requestBody.projectPath, CONFIG_FILE_NAME);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(
+        `${CONFIG_FILE_NAME} not found in ${requestBody.projectPath}`
+      );
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  return requestBody;
+}
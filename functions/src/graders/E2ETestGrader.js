@@ -1,10 +1,21 @@
 const { app } = require('@azure/functions');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { randomUUID } = require('crypto');
+const glob = require('glob');
+const yaml = require('js-yaml');
+const { parseMaestroRun } = require('../utils/maestroOutput');
+const {
+  CONFIG_FILE_NAME,
+  loadConfig,
+  getDefaultConfig,
+  ConfigValidationError
+} = require('../utils/configLoader');
 
-const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
 
 // Define the new HTTP-triggered Azure Function
 app.http('E2ETestGrader', {
@@ -16,14 +27,11 @@ app.http('E2ETestGrader', {
     try {
       const requestBody = await request.json();
       const projectPath = requestBody.projectPath || '.'; // The path to the mobile app's code
-      const testPath = requestBody.testPath; // The path to the specific Maestro .yml test file
-
-      if (!testPath) {
-        throw new Error("Missing required parameter: 'testPath'");
-      }
+      // Flow file, directory, glob or list of flows. Falls back to e2e.testPath in the config.
+      const testPath = requestBody.testPath;
 
       // --- The main logic starts here ---
-      const result = await runMaestroTest(projectPath, testPath, context);
+      const result = await runE2ESuite(projectPath, context, { testPath });
       
       return {
           status: 200,
@@ -32,6 +40,12 @@ app.http('E2ETestGrader', {
       };
 
     } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return {
+          status: 400,
+          body: JSON.stringify({ success: false, error: error.message, errors: error.errors })
+        };
+      }
       context.log.error('Fatal error in E2E Test Grader:', error);
       return {
           status: 500,
@@ -46,17 +60,28 @@ app.http('E2ETestGrader', {
  * @param {string} projectPath The path where the app's source code is.
  * @param {string} testPath The specific Maestro .yml file to run.
  * @param {object} context The Azure Functions context.
+ * @param {object} [options] Optional settings, e.g. an AbortSignal in `signal` to stop Maestro,
+ *   or `outputDir` for Maestro's debug output (screenshots, recordings, per-command logs).
+ *   Without an `outputDir` Maestro writes to a temp directory that is deleted afterwards;
+ *   the screenshots and recordings are copied to `artifactsDir` first, if one is given.
  */
-async function runMaestroTest(projectPath, testPath, context) {
+async function runMaestroTest(projectPath, testPath, context, options = {}) {
   
   context.log.info(`Preparing to run Maestro E2E test: ${testPath}`);
   
+  // Maestro writes per-command timings and screenshots here, we read them back afterwards
+  const outputDir = options.outputDir ||
+    path.join(os.tmpdir(), 'qa-grader-maestro', randomUUID());
+
   const report = {
     testFlow: testPath,
     passed: false,
     output: "",
     duration: 0,
-    screenshots: [] // We will add to this later
+    outputDir: options.outputDir || options.artifactsDir || null,
+    flows: [],
+    screenshots: [],
+    recordings: []
   };
 
   const startTime = Date.now();
@@ -65,9 +90,11 @@ async function runMaestroTest(projectPath, testPath, context) {
     // --- THIS IS THE COMMAND WE ARE RUNNING ---
     // My Note for now: This assumes Maestro is installed on the machine running this function!
     context.log.info('Executing Maestro command...');
-    const { stdout, stderr } = await execAsync(`maestro test ${testPath} --format=json`, {
+    // Arguments go straight to Maestro, without a shell to interpret the request's paths
+    const { stdout } = await execFileAsync('maestro', ['test', testPath, '--format=json', '--debug-output', outputDir], {
         cwd: projectPath, // Run the command from the app's root directory
-        timeout: 900000 // 15 minutes timeout, because emulators and builds can be slow
+        timeout: 900000, // 15 minutes timeout, because emulators and builds can be slow
+        signal: options.signal
     });
 
     report.passed = true;
@@ -75,8 +102,6 @@ async function runMaestroTest(projectPath, testPath, context) {
     context.log.info('Maestro test flow passed successfully!');
     context.log.info(stdout);
     
-    // We can also try to parse the JSON output from Maestro for more details later when i am ready
-    
   } catch (error) {
     report.passed = false;
     // When Maestro tests fail, the details are often in stderr or stdout
@@ -88,6 +113,19 @@ async function runMaestroTest(projectPath, testPath, context) {
   const endTime = Date.now();
   report.duration = Math.round((endTime - startTime) / 1000); // Duration in seconds
 
+  // Per-flow and per-step records, with the screenshots and recordings of each flow
+  let parsed = parseMaestroRun({ stdout: report.output, outputDir });
+  if (!options.outputDir) {
+    try {
+      parsed = keepArtifacts(parsed, options.artifactsDir);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  }
+  report.flows = parsed.flows;
+  report.screenshots = parsed.screenshots;
+  report.recordings = parsed.recordings;
+
   const score = report.passed ? 1 : 0; // Simple binary score for now
 
   return {
@@ -97,5 +135,230 @@ async function runMaestroTest(projectPath, testPath, context) {
   };
 }
 
-// Export the function if we want to test it directly later
-module.exports = { runMaestroTest };
\ No newline at end of file
+/**
+ * Runs a suite of Maestro flows from the `e2e` section of qa-grader.config.json.
+ * Flows run one after another; a failing flow is retried up to `retries` times
+ * and counts as flaky if a retry passes. Each flow adds its weight to the score.
+ * @param {string} projectPath The path where the app's source code is.
+ * @param {object} context The Azure Functions context.
+ * @param {object} [options] `testPath` to override the configured flows, and an AbortSignal in `signal`.
+ * @returns {Promise<object>} The grading result, listing passed, failed and flaky flows.
+ */
+async function runE2ESuite(projectPath, context, options = {}) {
+  // Without a config file the flows from the request run with the default settings
+  const config = fs.existsSync(path.join(projectPath, CONFIG_FILE_NAME))
+    ? loadConfig(projectPath).e2e
+    : getDefaultConfig().e2e;
+  const testPath = options.testPath || config.testPath;
+
+  if (!testPath || testPath.length === 0) {
+    throw new Error("Missing required parameter: 'testPath'");
+  }
+
+  const flows = resolveFlows(projectPath, testPath);
+  const selected = [];
+  const skipped = [];
+  for (const flow of flows) {
+    const reason = tagFilterReason(flow.tags, config);
+    if (reason) skipped.push({ name: flow.name, file: flow.file, reason });
+    else selected.push(flow);
+  }
+
+  context.log.info(`Running ${selected.length} Maestro flows (${skipped.length} skipped by tags)...`);
+
+  const startTime = Date.now();
+  const results = [];
+  // Screenshots and recordings of this run, in a directory named after its start time
+  const artifactsRoot = path.resolve(projectPath, config.artifactsDirectory);
+  const artifactsDir = path.join(
+    artifactsRoot,
+    `${new Date(startTime).toISOString().replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}`
+  );
+
+  for (const flow of selected) {
+    const attempts = [];
+    let result;
+    // First run plus the configured retries, stopping at the first pass
+    for (let attempt = 0; attempt <= config.retries; attempt++) {
+      if (options.signal && options.signal.aborted) break;
+      if (attempt > 0) context.log.warn(`Retrying ${flow.file} (attempt ${attempt + 1})...`);
+      result = await runMaestroTest(projectPath, flow.file, context, { signal: options.signal, artifactsDir });
+      attempts.push({ passed: result.report.passed, duration: result.report.duration });
+      if (result.report.passed) break;
+    }
+    if (!result) break; // cancelled before the flow started
+
+    const passed = result.report.passed;
+    // The last attempt's step timeline, or an empty one when Maestro printed nothing we could parse
+    const parsed = result.report.flows[0] || { steps: [], error: null, duration: null, screenshots: [], recordings: [] };
+    results.push({
+      ...parsed,
+      name: flow.name,
+      file: flow.file,
+      tags: flow.tags,
+      weight: flowWeight(flow, config),
+      status: !passed ? 'failed' : attempts.length > 1 ? 'flaky' : 'passed',
+      attempts: attempts.length,
+      duration: parsed.duration !== null ? parsed.duration : result.report.duration * 1000,
+      error: passed ? null : parsed.error || 'Maestro flow failed',
+      output: passed ? undefined : result.report.output
+    });
+  }
+
+  // --- Score: weight of the flows that passed (flaky ones included) over the total weight ---
+  const totalWeight = results.reduce((sum, flow) => sum + flow.weight, 0);
+  const passedWeight = results
+    .filter((flow) => flow.status !== 'failed')
+    .reduce((sum, flow) => sum + flow.weight, 0);
+  const score = totalWeight > 0 ? passedWeight / totalWeight : (results.length > 0 ? 1 : 0);
+
+  const names = (status) => results.filter((flow) => flow.status === status).map((flow) => flow.name);
+  const report = {
+    testFlow: testPath,
+    passed: names('failed').length === 0 && results.length > 0,
+    duration: Math.round((Date.now() - startTime) / 1000), // Duration in seconds
+    flows: results,
+    passedFlows: names('passed'),
+    failedFlows: names('failed'),
+    flakyFlows: names('flaky'),
+    skippedFlows: skipped,
+    screenshots: results.flatMap((flow) => flow.screenshots),
+    recordings: results.flatMap((flow) => flow.recordings)
+  };
+  report.summary = {
+    total: results.length,
+    passed: report.passedFlows.length,
+    failed: report.failedFlows.length,
+    flaky: report.flakyFlows.length,
+    skipped: skipped.length,
+    score
+  };
+
+  pruneArtifacts(artifactsRoot, config.keepRuns);
+
+  return {
+    success: results.length > 0 && score >= config.minimumScore,
+    score,
+    report
+  };
+}
+
+/**
+ * Expands a flow spec (file, directory, glob or a list of these) into flow files.
+ * Paths stay relative to the project, because that is where Maestro runs.
+ * @param {string} projectPath The path where the app's source code is.
+ * @param {string|Array<string>} testPath The flows to run.
+ * @returns {Array<object>} Flows with `file`, `name` and `tags`, in run order.
+ * @throws {Error} When a spec matches no flow file.
+ */
+function resolveFlows(projectPath, testPath) {
+  const files = [];
+  for (const spec of [].concat(testPath)) {
+    const absolute = path.resolve(projectPath, spec);
+    let matches;
+    if (fs.existsSync(absolute) && fs.statSync(absolute).isDirectory()) {
+      // Like `maestro test <dir>`: the flows at the top of the directory, minus the workspace config
+      matches = glob.sync('*.{yaml,yml}', { cwd: absolute, nodir: true })
+        .filter((file) => !/^config\.ya?ml$/.test(file))
+        .sort()
+        .map((file) => path.join(spec, file));
+    } else if (glob.hasMagic(spec)) {
+      matches = glob.sync(spec, { cwd: projectPath, nodir: true }).sort();
+    } else {
+      matches = fs.existsSync(absolute) ? [spec] : [];
+    }
+    if (matches.length === 0) {
+      throw new Error(`No Maestro flows found for "${spec}"`);
+    }
+    for (const file of matches) {
+      if (!files.includes(file)) files.push(file);
+    }
+  }
+
+  return files.map((file) => {
+    const header = readFlowHeader(path.resolve(projectPath, file));
+    return {
+      file,
+      name: header.name || path.basename(file).replace(/\.ya?ml$/, ''),
+      tags: Array.isArray(header.tags) ? header.tags.map(String) : []
+    };
+  });
+}
+
+// A Maestro flow starts with a config document (appId, name, tags) before `---`
+function readFlowHeader(file) {
+  try {
+    const documents = yaml.loadAll(fs.readFileSync(file, 'utf8'));
+    const header = documents.length > 1 ? documents[0] : null;
+    return header && typeof header === 'object' && !Array.isArray(header) ? header : {};
+  } catch {
+    return {};
+  }
+}
+
+function tagFilterReason(tags, config) {
+  if (config.includeTags.length > 0 && !tags.some((tag) => config.includeTags.includes(tag))) {
+    return `no tag from includeTags (${config.includeTags.join(', ')})`;
+  }
+  const excluded = tags.find((tag) => config.excludeTags.includes(tag));
+  return excluded ? `tag "${excluded}" is in excludeTags` : null;
+}
+
+// Copies the screenshots and recordings Maestro left in its temp output to `artifactsDir`
+// and points the run at the copies. Without a directory the run keeps none.
+function keepArtifacts(parsed, artifactsDir) {
+  const copies = new Map();
+  const keep = (files) => {
+    if (!artifactsDir) return [];
+    return files.map((file) => {
+      if (!copies.has(file)) {
+        const target = path.join(artifactsDir, path.basename(file));
+        fs.mkdirSync(artifactsDir, { recursive: true });
+        fs.copyFileSync(file, target);
+        copies.set(file, target);
+      }
+      return copies.get(file);
+    });
+  };
+
+  return {
+    flows: parsed.flows.map((flow) => ({
+      ...flow,
+      screenshots: keep(flow.screenshots),
+      recordings: keep(flow.recordings)
+    })),
+    screenshots: keep(parsed.screenshots),
+    recordings: keep(parsed.recordings)
+  };
+}
+
+// Artifact directory of one run, e.g. 2024-01-01T12-00-00-000Z-1a2b3c4d
+const RUN_DIRECTORY = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{8}$/;
+
+// Deletes the artifacts of all but the newest `keepRuns` runs. Only directories
+// named like a run are touched, whatever else is in the artifacts directory.
+function pruneArtifacts(artifactsRoot, keepRuns) {
+  let entries;
+  try {
+    entries = fs.readdirSync(artifactsRoot, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  entries
+    .filter((entry) => entry.isDirectory() && RUN_DIRECTORY.test(entry.name))
+    .map((entry) => entry.name)
+    .sort()
+    .reverse()
+    .slice(keepRuns)
+    .forEach((name) => fs.rmSync(path.join(artifactsRoot, name), { recursive: true, force: true }));
+}
+
+function flowWeight(flow, config) {
+  for (const key of [flow.name, flow.file, path.normalize(flow.file)]) {
+    if (config.weights[key] !== undefined) return config.weights[key];
+  }
+  return config.defaultWeight;
+}
+
+// Export the functions so the pipeline and tests can call them directly
+module.exports = { runMaestroTest, runE2ESuite, resolveFlows };
\ No newline at end of file
@@ -3,6 +3,12 @@ const { exec } = require('child_process');
 const util = require('util');
 const fs = require('fs');
 const path = require('path'); // We need the 'path' module to find the config file correctly
+const { loadConfig, ConfigValidationError } = require('../utils/configLoader');
+const { loadBaseline } = require('../utils/baseline');
+const { applySuppressions } = require('../utils/suppressions');
+const { detectPackageManager, resolveCheckCommand } = require('../utils/checkCommands');
+const { summarizeCoverage } = require('../utils/coverage');
+const { getChangeSet } = require('../utils/gitDiff');
 
 const execAsync = util.promisify(exec);
 
@@ -19,7 +25,11 @@ app.http('codeQualityGrader', {
             const requestBody = await request.json().catch(() => ({}));
             const projectPath = requestBody.projectPath || '.'; // The location of the app to be graded
 
-            const result = await gradeCodeQuality(projectPath, context);
+            const result = await gradeCodeQuality(projectPath, context, {
+                baseRef: requestBody.baseRef,
+                changedFiles: requestBody.changedFiles,
+                baseline: loadBaseline(projectPath, loadConfig(projectPath).baseline),
+            });
             
             return {
                 status: 200,
@@ -28,6 +38,13 @@ app.http('codeQualityGrader', {
             };
 
         } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                return {
+                    status: 400,
+                    body: JSON.stringify({ success: false, error: error.message, errors: error.errors }),
+                    headers: { 'Content-Type': 'application/json' }
+                };
+            }
             context.log.error('Fatal error in code quality grader:', error);
             return {
                 status: 500,
@@ -41,86 +58,108 @@ app.http('codeQualityGrader', {
  * Grades the code quality based on a configuration file.
  * @param {string} projectPath The path to the project to be graded.
  * @param {object} context The Azure Functions context object.
+ * @param {object} [options] Optional settings, e.g. an AbortSignal in `signal` to stop running commands,
+ *   a `baseline` from loadBaseline whose ESLint and TypeScript findings don't fail their checks,
+ *   and a git `baseRef` or a list of `changedFiles` for the coverage of changed lines.
  * @returns {Promise<object>} A promise that resolves to the grading result.
  */
-async function gradeCodeQuality(projectPath, context) {
+async function gradeCodeQuality(projectPath, context, options = {}) {
     
     // --- STEP 1: LOAD THE CONFIGURATION FILE ---
     // This makes our function smart. It reads instructions instead of having them hardcoded.
+    // The shared loader validates the file and fills in defaults for anything left out.
     context.log.info('Reading instructions from qa-grader.config.json...');
-    const configPath = path.resolve(projectPath, 'qa-grader.config.json');
-    if (!fs.existsSync(configPath)) {
-        throw new Error('Configuration file "qa-grader.config.json" not found in the project root.');
-    }
-    const configData = fs.readFileSync(configPath, 'utf8');
-    const fullConfig = JSON.parse(configData);
+    const fullConfig = loadConfig(projectPath);
     const config = fullConfig.codeQuality; // We only need the 'codeQuality' section for this grader
     
-    if (!config || !config.run) {
+    if (!config.run) {
         context.log.warn('Skipping Code Quality check because "run" is false in the config.');
         return { success: true, score: 1, report: { summary: "Skipped" } };
     }
     
     // --- STEP 2: RUN CHECKS BASED ON THE LOADED CONFIG ---
+    // Commands default to the project's package manager; the config can change any part of them
+    const packageManager = config.packageManager || detectPackageManager(projectPath);
+    const commandFor = (check) => resolveCheckCommand(check, { projectPath, packageManager, override: config.commands[check] });
+    const run = (command) => execAsync(command.commandLine, { cwd: command.cwd, timeout: command.timeout, env: command.env, signal: options.signal });
+    context.log.info(`Running checks with ${packageManager}.`);
+
     const report = {
+        packageManager,
         linting: { run: false, passed: false, errors: [] },
-        tests: { run: false, passed: false, coverage: 0, failures: [] },
+        tests: { run: false, passed: false, coverage: null, failures: [] },
         typeCheck: { run: false, passed: false, errors: [] },
     };
 
-    let totalScore = 0;
-    let maxScore = 0;
-
     // Run ESLint (only if config says so)
     if (config.checks.runLint) {
+        const command = commandFor('lint');
         report.linting.run = true;
-        maxScore += config.weights.linting; // Use weight from file
-        context.log.info(`Running ESLint (Weight: ${config.weights.linting})...`);
+        report.linting.command = command.commandLine;
+        context.log.info(`Running ESLint: ${command.commandLine} (Weight: ${config.weights.linting})...`);
         try {
-            await execAsync('npm run lint -- --format json', { cwd: projectPath, timeout: 30000 });
+            const { stdout } = await run(command);
             report.linting.passed = true;
-            totalScore += config.weights.linting; // Add score
+            // A passing run can still have warnings
+            report.linting.errors = parseEslintResults(stdout) ? parseEslintOutput(stdout) : [];
+            report.linting.linesOfCode = countLintedLines(stdout);
             context.log.info('ESLint passed successfully.');
         } catch (error) {
             report.linting.passed = false;
             const output = error.stdout || error.stderr || '[]';
             report.linting.errors = parseEslintOutput(output);
+            report.linting.linesOfCode = countLintedLines(output);
             context.log.error('ESLint failed:', error.message);
         }
     }
 
     // Run Jest Tests (only if config says so)
     if (config.checks.runTests) {
+        const command = commandFor('tests');
         report.tests.run = true;
-        maxScore += config.weights.tests; // Use weight from file
-        context.log.info(`Running Jest tests (Weight: ${config.weights.tests})...`);
+        report.tests.command = command.commandLine;
+        context.log.info(`Running Jest tests: ${command.commandLine} (Weight: ${config.weights.tests})...`);
         try {
-            await execAsync('npm test -- --coverage --json --outputFile=test-results.json', { cwd: projectPath, timeout: 60000 });
+            await run(command);
             report.tests.passed = true;
-            totalScore += config.weights.tests; // Add score
         } catch (error) {
             report.tests.passed = false;
             const output = error.stdout || error.stderr || '';
             report.tests.failures = parseTestOutput(output);
             context.log.error('Jest tests failed:', error.message);
         }
-        const testResultsPath = path.resolve(projectPath, 'test-results.json');
+        const testResultsPath = path.resolve(command.cwd, 'test-results.json');
         if (fs.existsSync(testResultsPath)) {
             const testResults = JSON.parse(fs.readFileSync(testResultsPath, 'utf8'));
             if(report.tests.passed === false) report.tests.passed = testResults.success;
-            report.tests.coverage = calculateCoveragePercentage(testResults.coverageMap);
+            if (typeof testResults.numTotalTests === 'number') {
+                report.tests.totalTests = testResults.numTotalTests;
+                report.tests.passedTests = testResults.numPassedTests || 0;
+            }
+            if (testResults.coverageMap) {
+                const changeSet = await getChangeSet({ projectPath, baseRef: options.baseRef, changedFiles: options.changedFiles });
+                if (changeSet) changeSet.warnings.forEach((warning) => context.log.warn(warning));
+                const coverage = summarizeCoverage(testResults.coverageMap, {
+                    projectRoot: projectPath,
+                    fileThreshold: config.coverageFileThreshold,
+                    changeSet,
+                });
+                report.tests.coverage = Math.round(coverage.total.statements.pct || 0);
+                report.tests.coverageSummary = coverage;
+                report.tests.coverageFailures = checkCoverageMinimums(coverage, config.coverageMinimums);
+            }
         }
     }
 
     // Run TypeScript type checking (only if config says so)
     if (config.checks.runTypeCheck) {
+        const command = commandFor('typeCheck');
         report.typeCheck.run = true;
-        maxScore += config.weights.typeCheck; // Use weight from file
-        context.log.info(`Running TypeScript type check (Weight: ${config.weights.typeCheck})...`);
+        report.typeCheck.command = command.commandLine;
+        context.log.info(`Running TypeScript type check: ${command.commandLine} (Weight: ${config.weights.typeCheck})...`);
         try {
-            await execAsync('npx tsc --noEmit', { cwd: projectPath, timeout: 30000 });
+            await run(command);
             report.typeCheck.passed = true;
-            totalScore += config.weights.typeCheck;
             context.log.info('TypeScript type check passed.');
         } catch (error) {
             report.typeCheck.passed = false;
@@ -130,14 +169,46 @@ async function gradeCodeQuality(projectPath, context) {
         }
     }
 
+    // Drop findings disabled by qa-grader-disable comments or accepted in the baseline.
+    // A check that failed only on those findings counts as passed.
+    const lintErrorsBefore = countLintErrors(report);
+    const typeErrorsBefore = countTypeErrors(report);
+    applySuppressions('quality', report, { projectRoot: projectPath, baseline: options.baseline });
+    if (report.linting.run && !report.linting.passed && lintErrorsBefore > 0 && countLintErrors(report) === 0) {
+        report.linting.passed = true;
+    }
+    if (report.typeCheck.run && !report.typeCheck.passed && typeErrorsBefore > 0 && countTypeErrors(report) === 0) {
+        report.typeCheck.passed = true;
+    }
+
     // --- STEP 3: CALCULATE FINAL SCORE BASED ON WEIGHTS ---
+    // Each check scores 0-1 on its curve (config.scoring) and counts with its weight
+    const breakdown = scoreChecks(report, config);
+    let totalScore = 0;
+    let maxScore = 0;
+    for (const part of Object.values(breakdown)) {
+        maxScore += part.weight; // Use weight from file
+        totalScore += part.points;
+    }
     const finalScore = maxScore > 0 ? (totalScore / maxScore) : 1; // Score is 1 (perfect) if no checks were run
     
+    // A coverage metric under its minimum fails the grade whatever the score
+    const coverageFailures = report.tests.coverageFailures || [];
     const summary = {
-        overallPassed: finalScore >= (config.minimumScore || 0.7),
-        score: finalScore
+        overallPassed: finalScore >= config.minimumScore && coverageFailures.length === 0,
+        score: finalScore,
+        breakdown
     };
+    if (report.tests.coverageSummary) {
+        const { total, diff } = report.tests.coverageSummary;
+        summary.coverage = {
+            ...Object.fromEntries(Object.entries(total).map(([metric, value]) => [metric, value.pct])),
+            diff: diff && diff.pct,
+        };
+        summary.coverageFailures = coverageFailures;
+    }
     report.summary = summary;
+    report.rules = describeRules(report);
 
     return {
         success: summary.overallPassed,
@@ -151,31 +222,224 @@ async function gradeCodeQuality(projectPath, context) {
 // ... (Your parseEslintOutput, parseTestOutput, parseTypeScriptOutput, calculateCoveragePercentage functions go here) ...
 function parseEslintOutput(output) {
     if (typeof output !== 'string') return [{ error: 'Invalid ESLint output' }];
+    const parsed = parseEslintResults(output);
+    if (!parsed) return output ? [{ error: output }] : [];
+    const errors = [];
+    parsed.forEach(file => {
+        if (file.messages.length > 0) errors.push({ file: file.filePath, messages: file.messages });
+    });
+    return errors;
+}
+// The JSON array of `eslint --format json`, or null when the output isn't one
+function parseEslintResults(output) {
+    if (typeof output !== 'string') return null;
     try {
-        const parsed = JSON.parse(output);
-        const errors = [];
-        parsed.forEach(file => {
-            if (file.messages.length > 0) errors.push({ file: file.filePath, messages: file.messages });
-        });
-        return errors;
-    } catch { return output ? [{ error: output }] : []; }
+        // `npm run` prints its own header lines before the JSON array
+        const start = output.search(/^\[/m);
+        const parsed = JSON.parse(start > 0 ? output.slice(start) : output);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch { return null; }
+}
+// Lines in every file ESLint checked, with or without messages
+function countLintedLines(output) {
+    let lines = 0;
+    for (const result of parseEslintResults(output) || []) {
+        let source = result.source;
+        if (typeof source !== 'string') {
+            try { source = fs.readFileSync(result.filePath, 'utf8'); } catch { continue; }
+        }
+        if (typeof source === 'string' && source.length > 0) lines += source.split('\n').length;
+    }
+    return lines;
 }
 function parseTestOutput(output) {
     if (typeof output !== 'string') return [];
     return output.split('\n').filter(line => line.includes('FAIL') || /Test suite failed/.test(line));
 }
+// Matches `file(line,col): error TS1234: message` and the `--pretty` form `file:line:col - error TS1234: message`
+const TS_DIAGNOSTIC_REGEX = /^(?:(.+?)(?:\((\d+),(\d+)\)|:(\d+):(\d+)) ?[:-] )?(error|warning) (TS\d+): (.*)$/;
 function parseTypeScriptOutput(output) {
     if (typeof output !== 'string') return [];
-    return output.split('\n').filter(line => line.match(/error TS\d+:/));
+    const errors = [];
+    for (const line of output.split('\n')) {
+        const match = TS_DIAGNOSTIC_REGEX.exec(line.trim());
+        if (!match) continue;
+        const [, file, line1, col1, line2, col2, category, code, message] = match;
+        errors.push({
+            file: file || null,
+            line: Number(line1 || line2) || undefined,
+            column: Number(col1 || col2) || undefined,
+            category,
+            code,
+            message,
+        });
+    }
+    return errors;
 }
-function calculateCoveragePercentage(coverageMap) {
-    if (!coverageMap) return 0;
-    let totalStatements = 0, coveredStatements = 0;
-    for (const file in coverageMap) {
-        const statements = coverageMap[file].s;
-        for (const key in statements) { totalStatements++; if (statements[key] > 0) coveredStatements++; }
+
+/**
+ * Scores each check that ran from 0 to 1, following `config.scoring`:
+ * - linting: 1 minus the error and warning density (per 1,000 lines) as a share of
+ *   `maxErrorsPerKloc` / `maxWarningsPerKloc`
+ * - tests: the share of tests that pass
+ * - coverage: linear from `coverageFloor` (0) up to `coverageTarget` (1)
+ * - typeCheck: 1 when `tsc` passes
+ * A check in "binary" mode scores 1 when it passes and 0 otherwise.
+ * @param {object} report The code quality report.
+ * @param {object} config The codeQuality config section.
+ * @returns {object} Per check: `weight`, `score`, `points` (weight x score), the inputs and an `explanation`.
+ */
+function scoreChecks(report, config) {
+    const { weights, scoring } = config;
+    const parts = {};
+
+    if (report.linting.run) parts.linting = { weight: weights.linting, ...scoreLinting(report.linting, scoring.linting) };
+    if (report.tests.run) {
+        parts.tests = { weight: weights.tests, ...scoreTests(report.tests, scoring.tests) };
+        // No coverage map means the test run didn't measure coverage, so there is nothing to score
+        if (report.tests.coverage !== null) {
+            parts.coverage = { weight: weights.coverage, ...scoreCoverage(report.tests.coverage, config.coverageTarget, scoring.coverage) };
+        }
+    }
+    if (report.typeCheck.run) {
+        const typeErrors = countTypeErrors(report);
+        parts.typeCheck = {
+            weight: weights.typeCheck,
+            mode: 'binary',
+            score: report.typeCheck.passed ? 1 : 0,
+            errors: typeErrors,
+            explanation: report.typeCheck.passed ? 'tsc --noEmit passed' : `tsc --noEmit failed with ${typeErrors} errors`,
+        };
+    }
+
+    for (const part of Object.values(parts)) {
+        part.points = part.weight * part.score;
+    }
+    return parts;
+}
+
+function scoreLinting(linting, { mode, maxErrorsPerKloc, maxWarningsPerKloc }) {
+    const messages = linting.errors.flatMap(result => result.messages || []);
+    const errors = messages.filter(message => message.severity === 2).length;
+    const warnings = messages.length - errors;
+    const counts = { mode, errors, warnings, linesOfCode: linting.linesOfCode || 0 };
+
+    if (mode === 'binary') {
+        return { ...counts, score: linting.passed ? 1 : 0, explanation: `ESLint ${linting.passed ? 'passed' : 'failed'}` };
+    }
+    if (linting.errors.some(result => !result.messages)) {
+        return { ...counts, score: 0, explanation: 'ESLint failed without a report to count' };
+    }
+    if (!linting.passed && messages.length === 0) {
+        return { ...counts, score: 0, explanation: 'ESLint failed without reporting any problems' };
+    }
+
+    // Small projects count as 1,000 lines, so a handful of problems isn't a high density
+    const kloc = Math.max(1, counts.linesOfCode / 1000);
+    const errorsPerKloc = errors / kloc;
+    const warningsPerKloc = warnings / kloc;
+    const score = clamp(1 - errorsPerKloc / maxErrorsPerKloc - warningsPerKloc / maxWarningsPerKloc);
+    return {
+        ...counts,
+        errorsPerKloc: round(errorsPerKloc),
+        warningsPerKloc: round(warningsPerKloc),
+        score,
+        explanation: `${errors} errors and ${warnings} warnings in ${counts.linesOfCode} lines: ` +
+            `1 - ${round(errorsPerKloc)}/${maxErrorsPerKloc} - ${round(warningsPerKloc)}/${maxWarningsPerKloc} per 1k lines = ${round(score)}`,
+    };
+}
+
+function scoreTests(tests, { mode }) {
+    const counted = typeof tests.totalTests === 'number' && tests.totalTests > 0;
+    if (mode === 'binary' || !counted) {
+        return {
+            mode,
+            score: tests.passed ? 1 : 0,
+            explanation: `Tests ${tests.passed ? 'passed' : 'failed'}${mode === 'binary' ? '' : ' (no test counts in test-results.json)'}`,
+        };
+    }
+    const score = tests.passedTests / tests.totalTests;
+    return {
+        mode,
+        passedTests: tests.passedTests,
+        totalTests: tests.totalTests,
+        score,
+        explanation: `${tests.passedTests} of ${tests.totalTests} tests passed = ${round(score)}`,
+    };
+}
+
+function scoreCoverage(coverage, target, { mode, coverageFloor }) {
+    let score;
+    if (coverage >= target) score = 1;
+    else if (mode === 'binary' || coverage <= coverageFloor) score = 0;
+    else score = (coverage - coverageFloor) / (target - coverageFloor);
+    return {
+        mode,
+        coverage,
+        coverageTarget: target,
+        coverageFloor,
+        score,
+        explanation: mode === 'binary' || coverage >= target || coverage <= coverageFloor
+            ? `${coverage}% statement coverage, target ${target}%`
+            : `(${coverage}% - ${coverageFloor}%) / (${target}% - ${coverageFloor}%) = ${round(score)}`,
+    };
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// ESLint errors (not warnings) and output that couldn't be parsed
+function countLintErrors(report) {
+    return report.linting.errors.reduce((count, result) =>
+        count + (result.messages ? result.messages.filter(message => message.severity === 2).length : 1), 0);
+}
+function countTypeErrors(report) {
+    return report.typeCheck.errors.filter(error => error.category !== 'warning').length;
+}
+
+// Rule metadata for the ESLint rules and TypeScript diagnostics found in this run
+function describeRules(report) {
+    const rules = {};
+    for (const result of report.linting.errors) {
+        for (const message of result.messages || []) {
+            const ruleId = message.ruleId || 'fatal';
+            // Plugin rules are namespaced ("react/jsx-key"); only core rules have docs on eslint.org
+            const helpUri = message.ruleId && !message.ruleId.includes('/')
+                ? `https://eslint.org/docs/latest/rules/${message.ruleId}`
+                : undefined;
+            rules[`eslint/${ruleId}`] = {
+                name: ruleId,
+                description: message.ruleId ? `ESLint rule ${message.ruleId}` : 'ESLint could not parse the file',
+                help: 'See the ESLint configuration of the project for how this rule is set up.',
+                helpUri,
+                severity: 'warning',
+            };
+        }
+    }
+    for (const error of report.typeCheck.errors) {
+        rules[`typescript/${error.code}`] = {
+            name: error.code,
+            description: `TypeScript compiler diagnostic ${error.code}`,
+            help: 'Fix the type error reported by `tsc --noEmit`.',
+            severity: 'error',
+        };
+    }
+    return rules;
+}
+
+// Metrics under their `coverageMinimums`; diff coverage only counts when lines changed
+function checkCoverageMinimums(coverage, minimums = {}) {
+    const failures = [];
+    for (const [metric, minimum] of Object.entries(minimums)) {
+        const value = metric === 'diff' ? coverage.diff : coverage.total[metric];
+        if (!value || value.pct === null) continue;
+        if (value.pct < minimum) failures.push({ metric, pct: value.pct, minimum });
     }
-    return totalStatements > 0 ? Math.round((coveredStatements / totalStatements) * 100) : 0;
+    return failures;
 }
 
 module.exports = { gradeCodeQuality };
\ No newline at end of file
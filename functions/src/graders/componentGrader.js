@@ -1,7 +1,22 @@
 const { app } = require('@azure/functions');
 const glob = require('glob');
 const fs = require('fs');
-const path = require('path'); // Add 'path' so we can find the config file
+const { loadConfig, ConfigValidationError } = require('../utils/configLoader');
+const { getChangeSet, filterToChanges } = require('../utils/gitDiff');
+const { loadBaseline } = require('../utils/baseline');
+const { applySuppressions } = require('../utils/suppressions');
+const { loadCustomRules } = require('../utils/customRules');
+const { AnalysisCache, openAnalysisCache } = require('../utils/analysisCache');
+const jsxAst = require('../utils/jsxAst');
+const {
+    parseSource,
+    traverse,
+    getElementName,
+    getBaseName,
+    getProp,
+    getPropValue,
+    getLocation,
+} = require('../utils/jsxAst');
 
 // The main Azure Function entry point (we don't need to change much here)
 app.http('componentGrader', {
@@ -12,9 +27,18 @@ app.http('componentGrader', {
     try {
         const requestBody = await request.json().catch(() => ({}));
         const projectPath = requestBody.projectPath || '.';
-        const result = await gradeComponents(projectPath, context);
+        const config = loadConfig(projectPath);
+        const result = await gradeComponents(projectPath, context, {
+            baseRef: requestBody.baseRef,
+            changedFiles: requestBody.changedFiles,
+            baseline: loadBaseline(projectPath, config.baseline),
+            cache: openAnalysisCache(projectPath, config.cache),
+        });
         return { body: JSON.stringify(result) };
     } catch (error) {
+        if (error instanceof ConfigValidationError) {
+            return { status: 400, body: JSON.stringify({ success: false, error: error.message, errors: error.errors })};
+        }
         context.log.error('Fatal error in component grader:', error);
         return { status: 500, body: JSON.stringify({ success: false, error: error.message })};
     }
@@ -25,101 +49,558 @@ app.http('componentGrader', {
  * Grades React Native components based on rules in a config file.
  * @param {string} projectPath The path to the project to be graded.
  * @param {object} context The Azure Functions context object.
+ * @param {object} [options] Incremental grading: a git `baseRef` or a list of `changedFiles`.
+ *   The whole project is still scored; `report.incremental` adds the issues on changed lines only.
+ *   A `baseline` from loadBaseline leaves the findings it accepts out of the score.
+ *   With a `cache` (AnalysisCache, see openAnalysisCache) unchanged files reuse their last analysis.
  * @returns {Promise<object>} A promise that resolves to the grading result.
  */
-async function gradeComponents(projectPath, context) {
+async function gradeComponents(projectPath, context, options = {}) {
     // --- STEP 1: LOAD THE CONFIGURATION FILE ---
     context.log.info('Component Grader reading instructions from qa-grader.config.json...');
-    const configPath = path.resolve(projectPath, 'qa-grader.config.json');
-    if (!fs.existsSync(configPath)) {
-        throw new Error('Configuration file "qa-grader.config.json" not found in the project root.');
-    }
-    const configData = fs.readFileSync(configPath, 'utf8');
-    const fullConfig = JSON.parse(configData);
+    const fullConfig = loadConfig(projectPath);
     const config = fullConfig.componentGrader; // We only need the 'componentGrader' section
 
-    if (!config || !config.run) {
+    if (!config.run) {
         context.log.warn('Skipping Component Grading because "run" is false in the config.');
         return { success: true, score: 1, report: { summary: "Skipped" } };
     }
 
+    // House rules from `plugins` and the rules directory run next to the built-in ones
+    const loadedRules = loadCustomRules(projectPath, config, RULES.map(rule => rule.id));
+    const customRules = loadedRules.filter(rule => getRuleSettings(rule, config).enabled);
+    const categories = getCategories(customRules);
+    const loadedIds = new Set(loadedRules.map(rule => rule.id));
+    for (const id of Object.keys(config.customRules).filter(id => !loadedIds.has(id))) {
+        context.log.warn(`componentGrader.customRules.${id} does not match a loaded custom rule.`);
+    }
+
     // --- STEP 2: FIND FILES AND RUN CHECKS BASED ON THE LOADED CONFIG ---
-    const componentFiles = glob.sync(fullConfig.componentPattern || 'src/**/*.{js,jsx,ts,tsx}', { 
+    const componentFiles = glob.sync(fullConfig.componentPattern, { 
         ignore: fullConfig.ignorePattern 
     });
     
     context.log.info(`Analyzing ${componentFiles.length} component files...`);
 
     const report = {
-        accessibility: [],
-        testIds: [],
-        bestPractices: [],
+        ...Object.fromEntries(categories.map(category => [category, []])),
+        rules: describeRules(config, customRules),
     };
+    let componentsAnalyzed = 0;
+
+    // Unchanged files reuse their issues from the last run with the same rules
+    const cache = options.cache || new AnalysisCache({ enabled: false });
+    const cacheConfig = getEnabledRules(config.rules, customRules).map(rule => rule.hash ? [rule.id, rule.hash] : rule.id);
+    const cacheStats = { hits: 0, misses: 0 };
     
     for (const file of componentFiles) {
         try {
             const code = fs.readFileSync(file, 'utf8');
             // We pass the config rules into the analyzer now
-            analyzeComponent(file, code, report, config.rules);
+            const { value, hit } = cache.getOrCompute('components', { file, content: code, version: ANALYZER_VERSION, config: cacheConfig }, () => {
+                const issues = {};
+                const components = analyzeComponent(file, code, issues, config.rules, customRules);
+                return { issues, components };
+            });
+            for (const [category, issues] of Object.entries(value.issues)) {
+                report[category].push(...issues);
+            }
+            componentsAnalyzed += value.components;
+            if (cache.enabled) cacheStats[hit ? 'hits' : 'misses']++;
         } catch (error) {
             context.log.warn(`Error analyzing file: ${file}`, error.message);
         }
     }
+    cache.save();
     
+    // Drop findings disabled by qa-grader-disable comments or accepted in the baseline
+    applySuppressions('components', report, { projectRoot: projectPath, baseline: options.baseline });
+
     // --- STEP 3: CALCULATE SCORE ---
-    const issuesFound = report.accessibility.length + report.testIds.length + report.bestPractices.length;
-    // Simple scoring: 1 point, minus 0.05 for every issue found. Cannot go below 0.
-    const score = Math.max(0, 1 - (issuesFound * 0.05)); 
+    const activeRules = getEnabledRules(config.rules, customRules)
+        .map(rule => ({ id: rule.id, ...getRuleSettings(rule, config) }));
+    const units = Math.max(1, {
+        files: componentFiles.length,
+        components: componentsAnalyzed,
+        none: 1,
+    }[config.scoring.normalizeBy]);
+    const scoreOf = (issues) => calculateScore(issues, categories, activeRules, config.scoring, units);
+
+    const issuesFound = countIssues(report, categories);
+    const { score, deductions } = scoreOf(report);
     
     const summary = {
         filesAnalyzed: componentFiles.length,
+        componentsAnalyzed,
         issuesFound: issuesFound,
+        suppressedIssues: report.suppressions.comments + report.suppressions.baseline,
         overallPassed: score >= config.minimumScore,
+        normalizedBy: config.scoring.normalizeBy,
+        deductions,
+        cache: cacheStats,
     };
     report.summary = summary;
 
+    // --- STEP 4: "NEW ISSUES ONLY" VIEW FOR PULL REQUESTS ---
+    const changeSet = await getChangeSet({ projectPath, ...options });
+    if (changeSet) {
+        changeSet.warnings.forEach((warning) => context.log.warn(warning));
+        const issues = {};
+        for (const category of categories) {
+            issues[category] = filterToChanges(report[category], changeSet);
+        }
+        const newIssuesFound = countIssues(issues, categories);
+        report.incremental = {
+            baseRef: changeSet.baseRef,
+            changedFiles: changeSet.files.size,
+            warnings: changeSet.warnings,
+            issues,
+            issuesFound: newIssuesFound,
+            score: scoreOf(issues).score,
+            passed: newIssuesFound === 0,
+        };
+        summary.newIssuesFound = newIssuesFound;
+    }
+
     return { success: summary.overallPassed, score, report };
 }
 
+// Bump when the built-in rules change, so cached analyses are redone
+const ANALYZER_VERSION = 1;
+
+// Report categories the rules file their issues under
+const ISSUE_CATEGORIES = [
+    'accessibility',
+    'testIds',
+    'bestPractices',
+    'imageAccessibility',
+    'touchableRoles',
+    'listKeys',
+    'nestedLists',
+    'textInputLabels',
+    'fontScaling',
+];
+
+// The built-in categories, then the ones custom rules add
+function getCategories(customRules) {
+    const categories = [...ISSUE_CATEGORIES];
+    for (const rule of customRules) {
+        if (!categories.includes(rule.category)) categories.push(rule.category);
+    }
+    return categories;
+}
+
+function countIssues(issues, categories = ISSUE_CATEGORIES) {
+    return categories.reduce((total, category) => total + issues[category].length, 0);
+}
+
+/**
+ * Scores the issues from 1 down to 0. Each issue takes off `deductionPerIssue`
+ * times its rule's weight and severity weight, divided by the files or
+ * components analysed, so issue density counts rather than app size.
+ * @param {object} issues Issues by category.
+ * @param {Array<string>} categories Categories to count.
+ * @param {Array<object>} activeRules Enabled rules with their `severity` and `weight`.
+ * @param {object} scoring The `componentGrader.scoring` config.
+ * @param {number} units Files or components analysed (1 when not normalised).
+ * @returns {{score: number, deductions: object}} The score and, per rule id, its issues and deduction.
+ */
+function calculateScore(issues, categories, activeRules, scoring, units) {
+    const deductions = {};
+    for (const rule of activeRules) {
+        deductions[rule.id] = { issues: 0, severity: rule.severity, weight: rule.weight, deduction: 0, capped: false };
+    }
+    for (const category of categories) {
+        for (const issue of issues[category]) {
+            if (deductions[issue.rule]) deductions[issue.rule].issues++;
+        }
+    }
+
+    let total = 0;
+    for (const entry of Object.values(deductions)) {
+        const severityWeight = scoring.severityWeights[entry.severity];
+        let deduction = entry.issues * scoring.deductionPerIssue * entry.weight * severityWeight / units;
+        if (scoring.maxDeductionPerRule !== undefined && deduction > scoring.maxDeductionPerRule) {
+            deduction = scoring.maxDeductionPerRule;
+            entry.capped = true;
+        }
+        entry.deduction = round(deduction);
+        total += deduction;
+    }
+    return { score: round(Math.max(0, 1 - total)), deductions };
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// `true`/`false` or `{ enabled, severity, weight }` from `rules` (built-in) or
+// `customRules`; built-in rules are off by default, custom rules on
+function getRuleSettings(rule, config = {}) {
+    const custom = Boolean(rule.source);
+    const setting = ((custom ? config.customRules : config.rules) || {})[rule.id];
+    if (typeof setting !== 'object' || setting === null) {
+        return { enabled: setting === undefined ? custom : Boolean(setting), severity: rule.defaultSeverity, weight: 1 };
+    }
+    return {
+        enabled: setting.enabled !== false,
+        severity: setting.severity || rule.defaultSeverity,
+        weight: setting.weight ?? 1,
+    };
+}
+
+// Components a user can interact with, so they need a label and a testID
+const INTERACTIVE_COMPONENTS = ['Pressable', 'TouchableOpacity', 'Button', 'TextInput', 'Switch'];
+
+// Components that take presses but do not tell screen readers what they are
+const TOUCHABLE_COMPONENTS = [
+    'Pressable',
+    'TouchableOpacity',
+    'TouchableHighlight',
+    'TouchableWithoutFeedback',
+    'TouchableNativeFeedback',
+];
+
+// Virtualized lists that must not sit inside a ScrollView scrolling the same way
+const VIRTUALIZED_LISTS = ['FlatList', 'SectionList', 'VirtualizedList'];
+
+// The built-in rules. Each one is switched on by the matching key in
+// `componentGrader.rules` and returns a Babel visitor for a parsed file.
+// Custom rules follow the same shape (see utils/customRules.js).
+// `meta` and `defaultSeverity` are published in the report for exporters (e.g. SARIF).
+const RULES = [
+    {
+        id: 'checkAccessibilityLabel',
+        category: 'accessibility',
+        defaultSeverity: 'error',
+        meta: {
+            name: 'AccessibilityLabel',
+            description: 'Interactive elements need an accessibilityLabel.',
+            help: 'Screen readers announce the accessibilityLabel of Pressable, Touchable, Button, TextInput and Switch elements. Without one the user hears nothing useful.',
+        },
+        create: (ctx) => ({
+            JSXOpeningElement(elementPath) {
+                const componentName = getBaseName(elementPath.node.name);
+                if (!INTERACTIVE_COMPONENTS.includes(componentName)) return;
+                if (getProp(elementPath.node, 'accessibilityLabel', elementPath.scope).status === 'missing') {
+                    ctx.report(elementPath.node, 'Missing accessibilityLabel', { component: componentName });
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkTestID',
+        category: 'testIds',
+        defaultSeverity: 'warning',
+        meta: {
+            name: 'TestID',
+            description: 'Interactive elements need a testID.',
+            help: 'End-to-end flows find elements by testID. Give every interactive element a stable testID.',
+        },
+        create: (ctx) => ({
+            JSXOpeningElement(elementPath) {
+                const componentName = getBaseName(elementPath.node.name);
+                if (!INTERACTIVE_COMPONENTS.includes(componentName)) return;
+                if (getProp(elementPath.node, 'testID', elementPath.scope).status === 'missing') {
+                    ctx.report(elementPath.node, 'Missing testID for interactive element', { component: componentName });
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkInlineStyles',
+        category: 'bestPractices',
+        defaultSeverity: 'info',
+        meta: {
+            name: 'InlineStyles',
+            description: 'Avoid inline style objects.',
+            help: 'Inline style objects are created on every render. Move them into a StyleSheet.create() call.',
+        },
+        create: (ctx) => ({
+            JSXAttribute(attributePath) {
+                if (getElementName(attributePath.node.name) !== 'style') return;
+                const value = getPropValue(attributePath.node);
+                const isInline = value && (
+                    value.type === 'ObjectExpression' ||
+                    (value.type === 'ArrayExpression' && value.elements.some(el => el && el.type === 'ObjectExpression'))
+                );
+                if (isInline) {
+                    ctx.report(attributePath.node, 'Inline styles detected - consider using StyleSheet', {
+                        component: getElementName(attributePath.parent.name),
+                    });
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkMissingKeys',
+        category: 'bestPractices',
+        defaultSeverity: 'warning',
+        meta: {
+            name: 'MissingKeys',
+            description: 'Elements returned from .map() need a key prop.',
+            help: 'React uses the key prop to match list items between renders. Give each mapped element a unique, stable key.',
+        },
+        create: (ctx) => ({
+            CallExpression(callPath) {
+                const { callee, arguments: args } = callPath.node;
+                const isMap = callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression'
+                    ? !callee.computed && callee.property.name === 'map'
+                    : false;
+                const callback = args[0];
+                if (!isMap || !callback || !/^(Arrow)?FunctionExpression$/.test(callback.type)) return;
+
+                for (const element of getReturnedJsx(callPath.get('arguments.0'))) {
+                    if (element.type === 'JSXFragment') {
+                        ctx.report(element, 'Missing key prop in mapped component', { component: 'Fragment' });
+                    } else if (getProp(element.openingElement, 'key', callPath.scope).status === 'missing') {
+                        ctx.report(element, 'Missing key prop in mapped component', {
+                            component: getElementName(element.openingElement.name),
+                        });
+                    }
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkImageAccessibility',
+        category: 'imageAccessibility',
+        defaultSeverity: 'error',
+        meta: {
+            name: 'ImageAccessibility',
+            description: 'Images need accessible or an accessibilityLabel.',
+            help: 'Give meaningful images an accessibilityLabel. Mark decorative ones with accessible={false} so screen readers skip them on purpose.',
+        },
+        create: (ctx) => ({
+            JSXOpeningElement(elementPath) {
+                const componentName = getBaseName(elementPath.node.name);
+                if (componentName !== 'Image' && componentName !== 'ImageBackground') return;
+                const accessible = getProp(elementPath.node, 'accessible', elementPath.scope).status;
+                const label = getProp(elementPath.node, 'accessibilityLabel', elementPath.scope).status;
+                if (accessible === 'missing' && label === 'missing') {
+                    ctx.report(elementPath.node, 'Image without accessible or accessibilityLabel', { component: componentName });
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkAccessibilityRole',
+        category: 'touchableRoles',
+        defaultSeverity: 'warning',
+        meta: {
+            name: 'AccessibilityRole',
+            description: 'Touchables need an accessibilityRole.',
+            help: 'Pressable and Touchable* elements are announced as plain views. Set accessibilityRole (or role), e.g. "button" or "link".',
+        },
+        create: (ctx) => ({
+            JSXOpeningElement(elementPath) {
+                const componentName = getBaseName(elementPath.node.name);
+                if (!TOUCHABLE_COMPONENTS.includes(componentName)) return;
+                const role = getProp(elementPath.node, 'accessibilityRole', elementPath.scope).status;
+                if (role === 'missing' && getProp(elementPath.node, 'role', elementPath.scope).status === 'missing') {
+                    ctx.report(elementPath.node, 'Missing accessibilityRole', { component: componentName });
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkKeyExtractor',
+        category: 'listKeys',
+        defaultSeverity: 'warning',
+        meta: {
+            name: 'KeyExtractor',
+            description: 'FlatList needs a keyExtractor.',
+            help: 'Without keyExtractor FlatList falls back to item.key or the index, so rows are re-rendered or mixed up when the data changes.',
+        },
+        create: (ctx) => ({
+            JSXOpeningElement(elementPath) {
+                if (getBaseName(elementPath.node.name) !== 'FlatList') return;
+                if (getProp(elementPath.node, 'keyExtractor', elementPath.scope).status === 'missing') {
+                    ctx.report(elementPath.node, 'FlatList without keyExtractor', { component: 'FlatList' });
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkNestedVirtualizedLists',
+        category: 'nestedLists',
+        defaultSeverity: 'warning',
+        meta: {
+            name: 'NestedVirtualizedLists',
+            description: 'Do not put a FlatList inside a ScrollView with the same orientation.',
+            help: 'The ScrollView renders the whole list at once, so virtualization is lost. Use the list alone, with ListHeaderComponent and ListFooterComponent for the content around it.',
+        },
+        create: (ctx) => ({
+            JSXElement(elementPath) {
+                const opening = elementPath.node.openingElement;
+                if (getBaseName(opening.name) !== 'ScrollView') return;
+                const horizontal = getBooleanProp(opening, 'horizontal', elementPath.scope);
+                if (horizontal === null) return;
+
+                elementPath.traverse({
+                    JSXElement(childPath) {
+                        const child = childPath.node.openingElement;
+                        const componentName = getBaseName(child.name);
+                        // A nested ScrollView is checked on its own visit
+                        if (componentName === 'ScrollView') return childPath.skip();
+                        if (!VIRTUALIZED_LISTS.includes(componentName)) return;
+                        childPath.skip();
+                        if (getBooleanProp(child, 'horizontal', childPath.scope) === horizontal) {
+                            ctx.report(child, `${componentName} inside a ${horizontal ? 'horizontal' : 'vertical'} ScrollView`, {
+                                component: componentName,
+                            });
+                        }
+                    },
+                });
+            },
+        }),
+    },
+    {
+        id: 'checkTextInputLabel',
+        category: 'textInputLabels',
+        defaultSeverity: 'error',
+        meta: {
+            name: 'TextInputLabel',
+            description: 'TextInput needs an accessibilityLabel or a placeholder.',
+            help: 'Screen readers announce a TextInput by its accessibilityLabel, or its placeholder when it has none. Without either the user cannot tell what to type.',
+        },
+        create: (ctx) => ({
+            JSXOpeningElement(elementPath) {
+                if (getBaseName(elementPath.node.name) !== 'TextInput') return;
+                const label = getProp(elementPath.node, 'accessibilityLabel', elementPath.scope).status;
+                const placeholder = getProp(elementPath.node, 'placeholder', elementPath.scope).status;
+                if (label === 'missing' && placeholder === 'missing') {
+                    ctx.report(elementPath.node, 'TextInput without accessibilityLabel or placeholder', { component: 'TextInput' });
+                }
+            },
+        }),
+    },
+    {
+        id: 'checkFontScaling',
+        category: 'fontScaling',
+        defaultSeverity: 'warning',
+        meta: {
+            name: 'FontScaling',
+            description: 'Do not turn off font scaling on Text.',
+            help: 'allowFontScaling={false} ignores the font size the user chose in the system settings. Limit growth with maxFontSizeMultiplier instead.',
+        },
+        create: (ctx) => ({
+            JSXOpeningElement(elementPath) {
+                if (getBaseName(elementPath.node.name) !== 'Text') return;
+                if (getBooleanProp(elementPath.node, 'allowFontScaling', elementPath.scope) === false) {
+                    ctx.report(elementPath.node, 'Text with allowFontScaling={false}', { component: 'Text' });
+                }
+            },
+        }),
+    },
+];
+
 /**
  * Analyzes a single component file based on a set of rules.
+ * The file is parsed into a JSX/TypeScript AST so props that span several
+ * lines, spread props and props set through variables are all seen.
  * @param {string} file The file path of the component.
  * @param {string} code The source code of the component.
  * @param {object} report The main report object to add issues to.
  * @param {object} rules The rules object from the config file.
+ * @param {Array<object>} [customRules] Enabled custom rules, from loadCustomRules.
+ * @returns {number} The number of components (capitalised JSX elements) in the file.
  */
-function analyzeComponent(file, code, report, rules) {
-    const lines = code.split('\n');
-    const mapWithoutKeyRegex = /\.map\([\s\S]*?=>\s*\(?\s*<([A-Za-z0-9_.]+)[^>]*?(?<!\skey=|\skey={)[^>]*?>/g;
-    const inlineStyleRegex = /style\s*=\s*\{\{/g;
-    const interactiveComponentRegex = /<(Pressable|TouchableOpacity|Button|TextInput|Switch)([^>]*)>/g;
-
-    lines.forEach((line, index) => {
-        // Only check for map without key if the rule is enabled
-        if (rules.checkMissingKeys && mapWithoutKeyRegex.test(line)) {
-            report.bestPractices.push({ file, issue: 'Missing key prop in mapped component', line: index + 1 });
-        }
-        
-        // Only check for inline styles if the rule is enabled
-        if (rules.checkInlineStyles && inlineStyleRegex.test(line)) {
-             report.bestPractices.push({ file, issue: 'Inline styles detected - consider using StyleSheet', line: index + 1 });
-        }
-        
-        // Check interactive components based on rules
-        let match;
-        while ((match = interactiveComponentRegex.exec(line)) !== null) {
-            const fullTag = match[0];
-            const componentName = match[1];
-            
-            if (rules.checkAccessibilityLabel && !/accessibilityLabel=/.test(fullTag)) {
-                report.accessibility.push({ file, issue: 'Missing accessibilityLabel', component: componentName, line: index + 1 });
-            }
-            if (rules.checkTestID && !/testID=/.test(fullTag)) {
-                report.testIds.push({ file, issue: 'Missing testID for interactive element', component: componentName, line: index + 1 });
-            }
-        }
+function analyzeComponent(file, code, report, rules = {}, customRules = []) {
+    const enabledRules = getEnabledRules(rules, customRules);
+    if (enabledRules.length === 0) return 0;
+
+    const ast = parseSource(code, file);
+
+    const visitors = enabledRules.map(rule => rule.create({
+        file,
+        code,
+        utils: jsxAst,
+        report: (node, issue, extra = {}) => {
+            if (!report[rule.category]) report[rule.category] = [];
+            report[rule.category].push({ file, issue, ...extra, rule: rule.id, ...getLocation(node) });
+        },
+    }));
+
+    let components = 0;
+    visitors.push({
+        JSXOpeningElement(elementPath) {
+            if (/^[A-Z]/.test(getBaseName(elementPath.node.name))) components++;
+        },
+    });
+
+    traverse(ast, traverse.visitors.merge(visitors));
+    return components;
+}
+
+function getEnabledRules(rules, customRules) {
+    return [...RULES.filter(rule => getRuleSettings(rule, { rules }).enabled), ...customRules];
+}
+
+/**
+ * Describes the enabled rules for the report, keyed by rule id.
+ * @param {object} config The componentGrader section of the config file.
+ * @param {Array<object>} [customRules] Enabled custom rules, from loadCustomRules.
+ * @returns {object} Rule metadata with its category, configured severity and, for custom rules, source file.
+ */
+function describeRules(config, customRules = []) {
+    const described = {};
+    for (const rule of getEnabledRules(config.rules, customRules)) {
+        const { severity } = getRuleSettings(rule, config);
+        described[rule.id] = { ...rule.meta, category: rule.category, severity };
+        if (rule.source) described[rule.id].source = rule.source;
+    }
+    return described;
+}
+
+/**
+ * Reads a boolean prop: `horizontal` and `horizontal={true}` are true, a
+ * missing prop is false, and anything that is not a literal is unknown.
+ * @param {object} openingElement JSXOpeningElement node.
+ * @param {string} propName Prop to read.
+ * @param {object} scope Babel scope used to resolve spread variables.
+ * @returns {boolean|null} The value, or null when it cannot be known statically.
+ */
+function getBooleanProp(openingElement, propName, scope) {
+    const { status, node } = getProp(openingElement, propName, scope);
+    if (status === 'missing') return false;
+    if (status === 'unknown') return null;
+    let value = node.value;
+    if (node.type === 'JSXAttribute') {
+        value = getPropValue(node);
+        if (value === null) return true;
+    }
+    return value && value.type === 'BooleanLiteral' ? value.value : null;
+}
+
+/**
+ * Collects the JSX a `.map()` callback can return: the expression body of an
+ * arrow function, or the `return` statements of its block (nested functions
+ * are skipped), looking through conditionals and `&&`/`||`.
+ * @param {object} callbackPath Babel path of the callback function.
+ * @returns {Array<object>} JSXElement and JSXFragment nodes.
+ */
+function getReturnedJsx(callbackPath) {
+    const returned = [];
+    const collect = (node) => {
+        if (!node) return;
+        if (node.type === 'JSXElement' || node.type === 'JSXFragment') returned.push(node);
+        else if (node.type === 'ConditionalExpression') { collect(node.consequent); collect(node.alternate); }
+        else if (node.type === 'LogicalExpression') collect(node.right);
+    };
+
+    const body = callbackPath.node.body;
+    if (body.type !== 'BlockStatement') {
+        collect(body);
+        return returned;
+    }
+
+    callbackPath.get('body').traverse({
+        Function(innerPath) { innerPath.skip(); },
+        ReturnStatement(returnPath) { collect(returnPath.node.argument); },
     });
+    return returned;
 }
 
 
-module.exports = { gradeComponents };
\ No newline at end of file
+module.exports = { gradeComponents, analyzeComponent };
\ No newline at end of file
@@ -0,0 +1,270 @@
+const { app } = require('@azure/functions');
+const path = require('path');
+const { loadConfig, ConfigValidationError } = require('../utils/configLoader');
+const { getChangeSet, filterToChanges } = require('../utils/gitDiff');
+const { loadBaseline } = require('../utils/baseline');
+const { applySuppressions } = require('../utils/suppressions');
+const { openAnalysisCache } = require('../utils/analysisCache');
+const { analyzeDependencies } = require('../utils/dependencyGraph');
+
+app.http('dependencyGrader', {
+  methods: ['GET', 'POST'],
+  authLevel: 'function',
+  handler: async (request, context) => {
+    context.log.info('Dependency Grader function processed a request.');
+    try {
+      const requestBody = await request.json().catch(() => ({}));
+      const projectPath = requestBody.projectPath || '.';
+      const config = loadConfig(projectPath);
+      const result = await gradeDependencies(projectPath, context, {
+        baseRef: requestBody.baseRef,
+        changedFiles: requestBody.changedFiles,
+        baseline: loadBaseline(projectPath, config.baseline),
+        cache: openAnalysisCache(projectPath, config.cache),
+      });
+      return { body: JSON.stringify(result) };
+    } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return {
+          status: 400,
+          body: JSON.stringify({
+            success: false,
+            error: error.message,
+            errors: error.errors,
+          }),
+        };
+      }
+      context.log.error('Fatal error in dependency grader:', error);
+      return {
+        status: 500,
+        body: JSON.stringify({ success: false, error: error.message }),
+      };
+    }
+  },
+});
+
+/**
+ * Grades the module dependency graph of a project: circular dependencies,
+ * imports that do not resolve, orphan files and layering violations.
+ * @param {string} projectPath The path to the project to be graded.
+ * @param {object} context The Azure Functions context object.
+ * @param {object} [options] Incremental grading: a git `baseRef` or a list of `changedFiles`.
+ *   The whole project is still scored; `report.incremental` adds the issues on changed lines only.
+ *   A `baseline` from loadBaseline leaves the findings it accepts out of the score.
+ *   With a `cache` (AnalysisCache, see openAnalysisCache) unchanged files reuse their imports.
+ * @returns {Promise<object>} A promise that resolves to the grading result.
+ */
+async function gradeDependencies(projectPath, context, options = {}) {
+  const fullConfig = loadConfig(projectPath);
+  const config = fullConfig.dependencyGraph;
+
+  if (!config.run) {
+    context.log.warn(
+      'Skipping Dependency Grading because "run" is false in the config.'
+    );
+    return { success: true, score: 1, report: { summary: 'Skipped' } };
+  }
+
+  const analysis = await analyzeDependencies(projectPath, config, {
+    cache: options.cache,
+  });
+  for (const warning of analysis.warnings) {
+    context.log.warn(`Could not read aliases: ${warning}`);
+  }
+  context.log.info(`Analyzed the imports of ${analysis.files.length} files.`);
+
+  const root = path.resolve(projectPath);
+  const relative = (file) =>
+    path.relative(root, file).split(path.sep).join('/');
+
+  const report = {
+    cycles: analysis.cycles.map((cycle) => ({
+      file: cycle.files[0],
+      line: cycle.edges[0].line,
+      rule: 'circularDependency',
+      issue: `Circular dependency: ${cycle.files.map(relative).join(' -> ')}`,
+      cycle: cycle.files.map(relative),
+      size: cycle.size,
+    })),
+    unresolvedImports: analysis.unresolved.map((entry) => ({
+      file: entry.file,
+      line: entry.line,
+      rule: 'unresolvedImport',
+      issue: `Cannot resolve "${entry.module}"`,
+      module: entry.module,
+    })),
+    // An orphan is about the whole file, so it has no line
+    orphans: analysis.orphans.map((file) => ({
+      file,
+      rule: 'orphanFile',
+      issue: 'No other file imports this file',
+    })),
+    boundaryViolations: analysis.boundaryViolations.map((violation) => ({
+      file: violation.file,
+      line: violation.line,
+      rule: 'boundaryViolation',
+      issue: `"${violation.module}" crosses a layer boundary: ${describeBoundary(config.boundaries[violation.boundary], violation.pattern)}`,
+      module: violation.module,
+      target: relative(violation.target),
+    })),
+    rules: describeRules(config.checks),
+  };
+
+  // Drop findings disabled by qa-grader-disable comments or accepted in the baseline
+  applySuppressions('dependencies', report, {
+    projectRoot: projectPath,
+    baseline: options.baseline,
+  });
+
+  const { score, deductions } = calculateScore(report, config.deductions);
+  const issuesFound = countIssues(report);
+
+  const summary = {
+    filesAnalyzed: analysis.files.length,
+    projectImports: [...analysis.graph.values()].reduce(
+      (total, edges) => total + edges.length,
+      0
+    ),
+    cycles: report.cycles.length,
+    unresolvedImports: report.unresolvedImports.length,
+    orphans: report.orphans.length,
+    boundaryViolations: report.boundaryViolations.length,
+    issuesFound,
+    suppressedIssues:
+      report.suppressions.comments + report.suppressions.baseline,
+    overallPassed: score >= config.minimumScore,
+    deductions,
+    cache: analysis.cache,
+  };
+  report.summary = summary;
+
+  // "New issues only" view for pull requests
+  const changeSet = await getChangeSet({ projectPath, ...options });
+  if (changeSet) {
+    changeSet.warnings.forEach((warning) => context.log.warn(warning));
+    const issues = {};
+    for (const category of ISSUE_CATEGORIES) {
+      issues[category] = filterToChanges(report[category], changeSet);
+    }
+    const newIssuesFound = countIssues(issues);
+    report.incremental = {
+      baseRef: changeSet.baseRef,
+      changedFiles: changeSet.files.size,
+      warnings: changeSet.warnings,
+      issues,
+      issuesFound: newIssuesFound,
+      score: calculateScore(issues, config.deductions).score,
+      passed: newIssuesFound === 0,
+    };
+    summary.newIssuesFound = newIssuesFound;
+  }
+
+  return { success: summary.overallPassed, score, report };
+}
+
+// Report categories, which are also the keys of `dependencyGraph.deductions`
+const ISSUE_CATEGORIES = [
+  'cycles',
+  'unresolvedImports',
+  'orphans',
+  'boundaryViolations',
+];
+
+// Rule metadata, with the `dependencyGraph.checks` switch of each rule
+const RULES = [
+  {
+    id: 'circularDependency',
+    check: 'cycles',
+    category: 'cycles',
+    defaultSeverity: 'error',
+    meta: {
+      name: 'CircularDependency',
+      description: 'Modules must not import each other in a cycle.',
+      help: 'Move the code both modules need into a third module, or pass it in instead of importing it.',
+    },
+  },
+  {
+    id: 'unresolvedImport',
+    check: 'unresolvedImports',
+    category: 'unresolvedImports',
+    defaultSeverity: 'error',
+    meta: {
+      name: 'UnresolvedImport',
+      description:
+        'Relative and alias imports must point to a file in the project.',
+      help: 'Fix the path, or add the alias to tsconfig.json paths, babel module-resolver or dependencyGraph.aliases.',
+    },
+  },
+  {
+    id: 'orphanFile',
+    check: 'orphans',
+    category: 'orphans',
+    defaultSeverity: 'info',
+    meta: {
+      name: 'OrphanFile',
+      description:
+        'Every file should be imported somewhere or be an entry point.',
+      help: 'Delete dead files, or list the file in dependencyGraph.entryPoints.',
+    },
+  },
+  {
+    id: 'boundaryViolation',
+    check: 'boundaries',
+    category: 'boundaryViolations',
+    defaultSeverity: 'warning',
+    meta: {
+      name: 'BoundaryViolation',
+      description:
+        'Imports must follow the layering rules in dependencyGraph.boundaries.',
+    },
+  },
+];
+
+function describeRules(checks) {
+  const described = {};
+  for (const rule of RULES.filter((rule) => checks[rule.check])) {
+    described[rule.id] = {
+      ...rule.meta,
+      category: rule.category,
+      severity: rule.defaultSeverity,
+    };
+  }
+  return described;
+}
+
+// The rule's own message, or which files must not import which
+function describeBoundary(boundary, pattern) {
+  return (
+    boundary.message ||
+    `${[].concat(boundary.from).join(', ')} must not import ${pattern}`
+  );
+}
+
+function countIssues(issues) {
+  return ISSUE_CATEGORIES.reduce(
+    (total, category) => total + issues[category].length,
+    0
+  );
+}
+
+/**
+ * Scores the issues from 1 down to 0: each one takes off the deduction of its category.
+ * @param {object} issues Issues by category.
+ * @param {object} deductions The `dependencyGraph.deductions` config.
+ * @returns {{score: number, deductions: object}} The score and the deduction per category.
+ */
+function calculateScore(issues, deductions) {
+  const taken = {};
+  let total = 0;
+  for (const category of ISSUE_CATEGORIES) {
+    taken[category] = round(issues[category].length * deductions[category]);
+    total += issues[category].length * deductions[category];
+  }
+  return { score: round(Math.max(0, 1 - total)), deductions: taken };
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = { gradeDependencies };
@@ -3,6 +3,23 @@ const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 const chalk = require('chalk');
+const {
+    CONFIG_FILE_NAME,
+    loadConfig,
+    getDefaultConfig,
+    resolveSection,
+    ConfigValidationError
+} = require('../utils/configLoader');
+const { getChangeSet, filterToChanges } = require('../utils/gitDiff');
+const { parseMessage, getPluralCategories, parsePluralKey } = require('../utils/messageFormat');
+const { findTranslationKeys, getKeyPaths } = require('../utils/i18nUsage');
+const { extractStrings } = require('../utils/stringExtraction');
+const { detectFormat, localeFilePattern, loadTranslations, formatTranslations } = require('../utils/translationLoader');
+const { createPatch } = require('../utils/unifiedDiff');
+const { findTruncationRisks } = require('../utils/textExpansion');
+const { loadBaseline } = require('../utils/baseline');
+const { parseSuppressions, isSuppressed, applySuppressions } = require('../utils/suppressions');
+const { AnalysisCache, openAnalysisCache } = require('../utils/analysisCache');
 
 // Language Implementation Grader Function
 app.http('languageGrader', {
@@ -13,15 +30,22 @@ app.http('languageGrader', {
 
         try {
             const requestBody = await request.json().catch(() => ({}));
-            const config = {
-                translationFile: requestBody.translationFile || './store/en.json',
-                sourcePattern: requestBody.sourcePattern || './**/*.{js,jsx,ts,tsx}',
-                ignorePattern: requestBody.ignorePattern || 'node_modules/**',
-                strictMode: requestBody.strictMode || false,
-                ...requestBody
-            };
+            const config = resolveSection('languageGrader', requestBody);
+            // Baseline and cache settings come from the project's config file, when it has one
+            const projectPath = requestBody.projectPath || '.';
+            const projectConfig = fs.existsSync(path.join(projectPath, CONFIG_FILE_NAME))
+                ? loadConfig(projectPath)
+                : getDefaultConfig();
 
-            const result = await gradeLanguageImplementation(config, context);
+            const result = await gradeLanguageImplementation(config, context, {
+                projectPath: requestBody.projectPath,
+                baseRef: requestBody.baseRef,
+                changedFiles: requestBody.changedFiles,
+                fix: requestBody.fix === true,
+                write: requestBody.write === true,
+                baseline: loadBaseline(projectPath, projectConfig.baseline),
+                cache: openAnalysisCache(projectPath, projectConfig.cache)
+            });
             
             return {
                 status: result.success ? 200 : 400,
@@ -38,6 +62,20 @@ app.http('languageGrader', {
             };
 
         } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                return {
+                    status: 400,
+                    body: JSON.stringify({
+                        success: false,
+                        error: error.message,
+                        errors: error.errors,
+                        timestamp: new Date().toISOString()
+                    }),
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                };
+            }
             context.log.error('Error in language grader:', error);
             return {
                 status: 500,
@@ -54,22 +92,85 @@ app.http('languageGrader', {
     }
 });
 
-async function gradeLanguageImplementation(config, context) {
+// Metadata for each finding category, published in the report for exporters (e.g. SARIF)
+const LANGUAGE_RULES = {
+    missingKeys: {
+        name: 'MissingTranslationKey',
+        description: 'Translation key used in code but not in the translation file.',
+        help: 'Add the key to the translation file, or fix the key in the t() call.',
+        severity: 'error'
+    },
+    hardcodedStrings: {
+        name: 'HardcodedString',
+        description: 'User-facing text is hardcoded in JSX.',
+        help: 'Move the text into the translation file and render it with t().',
+        severity: 'warning'
+    },
+    malformedKeys: {
+        name: 'MalformedTranslationKey',
+        description: 'Translation key uses bracket notation.',
+        help: 'Write nested keys with dot notation, e.g. "items.0.title".',
+        severity: 'warning'
+    },
+    unusedKeys: {
+        name: 'UnusedTranslationKey',
+        description: 'Translation key is never used in code.',
+        help: 'Remove the key from the translation file if it is no longer needed.',
+        severity: 'info'
+    },
+    messageErrors: {
+        name: 'InvalidTranslationMessage',
+        description: 'Translation message has a syntax error, placeholders that differ from the base locale, or lacks plural forms the locale needs.',
+        help: 'Fix the {{var}} / ICU syntax, keep the same placeholders as the base locale, and add every plural form the locale uses.',
+        severity: 'error'
+    },
+    truncationRisks: {
+        name: 'TruncationRisk',
+        description: 'Translated text is rendered in a component with a fixed width or numberOfLines, so longer translations may be cut off.',
+        help: 'Let the component grow with its text, or check the screen with the pseudo-locale (about 35% longer text).',
+        severity: 'warning'
+    }
+};
+
+/**
+ * Grades how well a project uses its translation file.
+ * @param {object} config The languageGrader config (defaults are filled in).
+ * @param {object} context The Azure Functions context object.
+ * @param {object} [options] Incremental grading: a git `baseRef` or a list of `changedFiles`,
+ *   resolved against `projectPath`. Adds `report.incremental` with issues on changed lines only.
+ *   Fix mode: `fix: true` adds `report.fix` with a patch that moves hardcoded strings into the
+ *   translation file; `write: true` also applies it to the files on disk.
+ *   A `baseline` from loadBaseline leaves the findings it accepts out of the score.
+ *   With a `cache` (AnalysisCache, see openAnalysisCache) unchanged files reuse their last analysis.
+ * @returns {Promise<object>} A promise that resolves to the grading result.
+ */
+async function gradeLanguageImplementation(config, context, options = {}) {
+    // Same defaults and checks as the languageGrader section of qa-grader.config.json
+    config = resolveSection('languageGrader', config);
+
     const report = {
         missingKeys: [],
         hardcodedStrings: [],
         unusedKeys: [],
         malformedKeys: [],
-        summary: {}
+        messageErrors: [],
+        dynamicKeys: [],
+        possiblyUsedKeys: [],
+        truncationRisks: [],
+        summary: {},
+        rules: LANGUAGE_RULES,
+        translationFile: config.translationFile
     };
 
     let translations = {};
+    let translationText = '';
+    let translationFormat;
     
-    // Load translation file
+    // Load translation file (JSON, YAML, gettext or XLIFF)
     try {
         if (fs.existsSync(config.translationFile)) {
-            const data = fs.readFileSync(config.translationFile, 'utf8');
-            translations = JSON.parse(data);
+            ({ translations, text: translationText, format: translationFormat } =
+                loadTranslations(config.translationFile, { format: config.translationFormat }));
         } else {
             throw new Error(`Translation file not found: ${config.translationFile}`);
         }
@@ -83,10 +184,6 @@ async function gradeLanguageImplementation(config, context) {
         };
     }
 
-    // Patterns for detecting i18n usage and hardcoded text
-    const I18N_REGEX = /i18n\.t\(['"`]([^'"`]+)['"`]\)/g;
-    const HARDCODED_TEXT_REGEX = />\s*([A-Za-z][^<{]+?)\s*</g;
-
     // Get all source files
     const srcFiles = glob.sync(config.sourcePattern, { 
         ignore: config.ignorePattern,
@@ -96,21 +193,47 @@ async function gradeLanguageImplementation(config, context) {
     context.log(`Scanning ${srcFiles.length} files...`);
 
     let usedKeys = new Set();
+    const dynamicPrefixes = new Set();
+    const allTranslationKeys = extractAllKeys(translations);
+    const fixSources = [];
+
+    // Unchanged files reuse their scan from the last run; the lookups in the
+    // translation file below are done every time
+    const cache = options.cache || new AnalysisCache({ enabled: false });
+    const cacheConfig = {
+        translationFunctions: config.translationFunctions,
+        translationComponents: config.translationComponents,
+        namespaceSeparator: config.namespaceSeparator,
+        checkTruncation: config.checkTruncation,
+        truncationComponents: config.truncationComponents,
+    };
+    const cacheStats = { hits: 0, misses: 0 };
 
     // Scan each file
     for (const file of srcFiles) {
         try {
             const code = fs.readFileSync(file, 'utf8');
+            const { value: scan, hit } = cache.getOrCompute('language', { file, content: code, version: ANALYZER_VERSION, config: cacheConfig },
+                () => scanSourceFile(code, file, config));
+            if (cache.enabled) cacheStats[hit ? 'hits' : 'misses']++;
             
-            // Check for i18n key usage
-            let match;
-            while ((match = I18N_REGEX.exec(code)) !== null) {
-                const key = match[1];
-                usedKeys.add(key);
+            // Check for i18n key usage: t('key'), i18n.t('ns:key'), <Trans i18nKey="key">, t(`prefix.${id}`)
+            for (const usage of scan.usages) {
+                const { line } = usage;
 
-                // Check if key exists in translations
+                // Only the static prefix of a dynamic key is known
+                if (usage.dynamic) {
+                    const prefix = getKeyPaths(usage).find(candidate => allTranslationKeys.some(key => key.startsWith(candidate))) || usage.key;
+                    report.dynamicKeys.push({ file, prefix, namespace: usage.namespace, line });
+                    if (prefix) dynamicPrefixes.add(prefix);
+                    continue;
+                }
+
+                // Check if key exists in translations, directly or under its namespace
+                const key = getKeyPaths(usage).find(candidate => resolveKey(translations, candidate)) || usage.key;
+                usedKeys.add(key);
                 if (!resolveKey(translations, key)) {
-                    report.missingKeys.push({ file, key });
+                    report.missingKeys.push(usage.namespace ? { file, key, namespace: usage.namespace, line } : { file, key, line });
                 }
 
                 // Check for bracket notation (should use dot notation)
@@ -118,17 +241,34 @@ async function gradeLanguageImplementation(config, context) {
                     report.malformedKeys.push({ 
                         file, 
                         key, 
+                        line,
                         issue: 'Use dot notation instead of bracket notation' 
                     });
                 }
             }
 
             // Check for hardcoded strings in JSX
-            let hcMatch;
-            while ((hcMatch = HARDCODED_TEXT_REGEX.exec(code)) !== null) {
-                const text = hcMatch[1].trim();
-                if (shouldFlagAsHardcoded(text)) {
-                    report.hardcodedStrings.push({ file, text });
+            const strings = scan.strings;
+            for (const { text, line } of strings) {
+                report.hardcodedStrings.push({ file, text, line });
+            }
+            if (options.fix && strings.length > 0) {
+                // Strings with a qa-grader-disable comment are meant to stay as they are
+                const suppressions = parseSuppressions(code);
+                const fixable = strings.filter(string => !isSuppressed(suppressions, 'hardcodedStrings', string.line));
+                if (fixable.length > 0) fixSources.push({ file, code, strings: fixable });
+            }
+
+            // Translated text in fixed-width or line-limited components
+            if (config.checkTruncation) {
+                for (const risk of scan.truncationRisks) {
+                    const text = getKeyPaths(risk).map(candidate => resolveKey(translations, candidate)).find(value => typeof value === 'string');
+                    if (text === undefined) continue;
+                    report.truncationRisks.push({
+                        ...risk,
+                        text,
+                        expandedLength: Math.ceil(text.length * (1 + config.pseudoExpansion))
+                    });
                 }
             }
 
@@ -136,15 +276,34 @@ async function gradeLanguageImplementation(config, context) {
             context.log.warn(`Error scanning file ${file}:`, error.message);
         }
     }
+    cache.save();
 
-    // Find unused translation keys
-    const allTranslationKeys = extractAllKeys(translations);
+    // Find unused translation keys; keys under a dynamic key's prefix may be used
     for (const key of allTranslationKeys) {
-        if (!usedKeys.has(key)) {
+        if (usedKeys.has(key)) continue;
+        if ([...dynamicPrefixes].some(prefix => key.startsWith(prefix))) {
+            report.possiblyUsedKeys.push(key);
+        } else {
             report.unusedKeys.push(key);
         }
     }
 
+    // Compare every other locale with the base translation file
+    const baseLocale = getBaseLocale(config);
+    const locales = config.localeFiles ? loadLocales(config, baseLocale) : [];
+    if (config.localeFiles) {
+        report.locales = checkLocaleParity(config, translations, allTranslationKeys, locales);
+    }
+
+    // Message syntax, placeholders and plural forms of every locale
+    report.messageErrors = validateMessages(
+        { locale: baseLocale, file: config.translationFile, translations },
+        locales.filter(entry => entry.translations)
+    );
+
+    // Drop findings disabled by qa-grader-disable comments or accepted in the baseline
+    applySuppressions('language', report, { projectRoot: options.projectPath || '.', baseline: options.baseline });
+
     // Calculate score
     const score = calculateScore(report, config);
     
@@ -156,11 +315,58 @@ async function gradeLanguageImplementation(config, context) {
         missingKeysCount: report.missingKeys.length,
         hardcodedStringsCount: report.hardcodedStrings.length,
         unusedKeysCount: report.unusedKeys.length,
+        possiblyUsedKeysCount: report.possiblyUsedKeys.length,
         malformedKeysCount: report.malformedKeys.length,
+        messageErrorsCount: report.messageErrors.length,
+        truncationRisksCount: report.truncationRisks.length,
+        suppressedCount: report.suppressions.comments + report.suppressions.baseline,
+        cache: cacheStats,
         score: score
     };
 
-    const success = score >= (config.minimumScore || 0.8);
+    // A locale below its minimum completeness fails the grade whatever the score
+    let success = score >= config.minimumScore;
+    if (report.locales) {
+        report.summary.localeCompleteness = Object.fromEntries(
+            Object.entries(report.locales.locales).map(([locale, result]) => [locale, result.completeness])
+        );
+        report.summary.incompleteLocales = report.locales.failing;
+        success = success && report.locales.failing.length === 0;
+    }
+
+    if (options.fix) {
+        report.fix = fixHardcodedStrings(config, { translations, text: translationText, format: translationFormat }, fixSources, options);
+        context.log(report.fix.error
+            ? `Fix mode: ${report.fix.error}`
+            : `Fix mode: ${report.fix.keys.length} strings, ${report.fix.files.length} files${report.fix.written ? ' written' : ' (dry run)'}`);
+    }
+
+    // "New issues only" view: file-level findings on changed lines. Unused keys and
+    // message errors belong to translation files, not a source line, so they stay project-wide.
+    const changeSet = await getChangeSet(options);
+    if (changeSet) {
+        changeSet.warnings.forEach((warning) => context.log.warn(warning));
+        const issues = {
+            missingKeys: filterToChanges(report.missingKeys, changeSet),
+            hardcodedStrings: filterToChanges(report.hardcodedStrings, changeSet),
+            malformedKeys: filterToChanges(report.malformedKeys, changeSet),
+            unusedKeys: [],
+            messageErrors: [],
+            truncationRisks: filterToChanges(report.truncationRisks, changeSet)
+        };
+        const issuesFound = issues.missingKeys.length + issues.hardcodedStrings.length + issues.malformedKeys.length +
+            issues.truncationRisks.length;
+        report.incremental = {
+            baseRef: changeSet.baseRef,
+            changedFiles: changeSet.files.size,
+            warnings: changeSet.warnings,
+            issues,
+            issuesFound,
+            score: calculateScore(issues, config),
+            passed: issuesFound === 0
+        };
+        report.summary.newIssuesCount = issuesFound;
+    }
 
     return {
         success,
@@ -169,6 +375,296 @@ async function gradeLanguageImplementation(config, context) {
     };
 }
 
+/**
+ * Fix mode: gives each hardcoded string a key in the base translation file
+ * (nested, e.g. "loginScreen.welcomeBack") and replaces the text with a call
+ * to the first configured translation function. Importing that function in
+ * files that don't have it yet is left to the developer.
+ * @param {object} config The languageGrader config.
+ * @param {object} base The base translation file: `{ translations, text, format }`.
+ * @param {Array<object>} sources `{ file, code, strings }` for each file with hardcoded strings.
+ * @param {object} options `write: true` writes the changes; otherwise it's a dry run.
+ * @returns {object} `{ patch, keys, files, written }`, or `error` when the translation
+ *   file's format can't be written.
+ */
+function fixHardcodedStrings(config, base, sources, options) {
+    const result = extractStrings({
+        translations: base.translations,
+        sources,
+        translationFunction: config.translationFunctions[0] || 'i18n.t'
+    });
+
+    const changes = [...result.sources];
+    if (result.keys.some(entry => !entry.reused)) {
+        let after;
+        try {
+            after = formatTranslations(result.translations, base.format, base.text);
+        } catch (error) {
+            return { error: error.message, patch: '', keys: [], files: [], written: false };
+        }
+        changes.unshift({ file: config.translationFile, before: base.text, after });
+    }
+
+    const patch = changes
+        .map(({ file, before, after }) => createPatch(path.relative(process.cwd(), path.resolve(file)), before, after))
+        .join('');
+
+    if (options.write) {
+        for (const { file, after } of changes) {
+            fs.writeFileSync(file, after, 'utf8');
+        }
+    }
+
+    return {
+        patch,
+        keys: result.keys,
+        files: changes.map(change => change.file),
+        written: Boolean(options.write)
+    };
+}
+
+/**
+ * Loads every locale file except the base translation file.
+ * @param {object} config The languageGrader config.
+ * @param {string} baseLocale Name of the base locale.
+ * @returns {Array<object>} `{ locale, file, translations }`, or `{ locale, file, error }`
+ *   when a file can't be parsed.
+ */
+function loadLocales(config, baseLocale) {
+    // A directory of locales is expected to hold files in the base file's format
+    const format = config.translationFormat || detectFormat(config.translationFile);
+    const files = findLocaleFiles(config.localeFiles, format);
+    const names = getLocaleNames(files);
+    const locales = [];
+
+    files.forEach((file, index) => {
+        const locale = names[index];
+        if (locale === baseLocale || path.resolve(file) === path.resolve(config.translationFile)) return;
+        try {
+            locales.push({ locale, file, translations: loadTranslations(file, { format: config.translationFormat }).translations });
+        } catch (error) {
+            locales.push({ locale, file, error: `Failed to load locale file: ${error.message}` });
+        }
+    });
+
+    return locales;
+}
+
+/**
+ * Compares each locale file with the base translations: keys missing from the
+ * locale, extra keys the base doesn't have, empty values, values left the same
+ * as the base (untranslated), and the share of base keys that are translated.
+ * @param {object} config The languageGrader config.
+ * @param {object} baseTranslations The parsed base translation file.
+ * @param {Array<string>} baseKeys All keys of the base translation file.
+ * @param {Array<object>} localeFiles The other locales, from loadLocales.
+ * @returns {object} `{ baseLocale, locales: { [locale]: result }, failing: [locale] }`
+ */
+function checkLocaleParity(config, baseTranslations, baseKeys, localeFiles) {
+    const locales = {};
+
+    for (const { locale, file, translations, error } of localeFiles) {
+        const minCompleteness = getMinCompleteness(config.minCompleteness, locale);
+        if (error) {
+            locales[locale] = { file, error, completeness: 0, minCompleteness, passed: false };
+            continue;
+        }
+
+        const missingKeys = [];
+        const emptyValues = [];
+        const untranslated = [];
+        for (const key of baseKeys) {
+            const value = resolveKey(translations, key);
+            if (value === undefined) {
+                missingKeys.push(key);
+            } else if (value === null || (typeof value === 'string' && value.trim() === '')) {
+                emptyValues.push(key);
+            } else if (typeof value === 'string' && value === resolveKey(baseTranslations, key) && /\p{L}/u.test(value)) {
+                // Only text with letters counts: "10:00" or "%" stay the same in every language
+                untranslated.push(key);
+            }
+        }
+
+        const baseKeySet = new Set(baseKeys);
+        const extraKeys = extractAllKeys(translations).filter(key => !baseKeySet.has(key));
+        const translatedKeys = baseKeys.length - missingKeys.length - emptyValues.length - untranslated.length;
+        const completeness = baseKeys.length > 0 ? translatedKeys / baseKeys.length : 1;
+
+        locales[locale] = {
+            file,
+            totalKeys: baseKeys.length,
+            translatedKeys,
+            completeness: Math.round(completeness * 1000) / 1000,
+            minCompleteness,
+            passed: completeness >= minCompleteness,
+            missingKeys,
+            extraKeys,
+            emptyValues,
+            untranslated
+        };
+    }
+
+    return {
+        baseLocale: getBaseLocale(config),
+        locales,
+        failing: Object.keys(locales).filter(locale => !locales[locale].passed)
+    };
+}
+
+/**
+ * Validates the messages of the base locale and every other locale:
+ * - syntax errors in `{{var}}` interpolation and ICU MessageFormat
+ * - placeholders that differ from the base message for the same key
+ * - plural forms the locale needs (per CLDR) but doesn't have, both in ICU
+ *   `{count, plural, ...}` blocks and in i18next `key_one` / `key_other` keys
+ * @param {object} base The base locale: `{ locale, file, translations }`.
+ * @param {Array<object>} locales The other locales, same shape.
+ * @returns {Array<object>} Findings: `{ key, locale, file, type, reason }`.
+ */
+function validateMessages(base, locales) {
+    const errors = [];
+    const baseMessages = getMessages(base.translations);
+
+    for (const { locale, file, translations } of [base, ...locales]) {
+        const messages = locale === base.locale ? baseMessages : getMessages(translations);
+        const add = (key, type, reason) => errors.push({ key, locale, file, type, reason });
+
+        for (const [key, message] of messages) {
+            if (message.error) {
+                add(key, 'syntax', message.error);
+                continue;
+            }
+
+            for (const plural of message.plurals) {
+                const needed = getPluralCategories(locale, plural.type === 'selectordinal' ? 'ordinal' : 'cardinal') || [];
+                const missing = needed.filter(category => !plural.categories.includes(category));
+                if (missing.length > 0) {
+                    add(key, 'plural', `"${plural.argument}" ${plural.type} is missing ${formatList(missing)} (needed by ${locale})`);
+                }
+            }
+
+            if (locale === base.locale) continue;
+
+            // i18next plural forms the base locale doesn't have ("_few") compare with its "_other"
+            const pluralKey = parsePluralKey(key);
+            const baseMessage = baseMessages.get(key) ||
+                (pluralKey && baseMessages.get(`${pluralKey.base}${pluralKey.ordinal ? '_ordinal' : ''}_other`));
+            if (!baseMessage || baseMessage.error) continue;
+
+            // Singular forms often spell out the number ("One item"), so a
+            // plural form may leave out {{count}}
+            const missing = baseMessage.placeholders.filter(name =>
+                !message.placeholders.includes(name) && !(pluralKey && name === 'count'));
+            const unknown = message.placeholders.filter(name => !baseMessage.placeholders.includes(name));
+            if (missing.length > 0) {
+                add(key, 'placeholder', `Missing placeholder ${formatList(missing)} used by ${base.locale}`);
+            }
+            if (unknown.length > 0) {
+                add(key, 'placeholder', `Placeholder ${formatList(unknown)} is not in ${base.locale}`);
+            }
+        }
+
+        // i18next plural keys: every category the locale uses needs its own key
+        const groups = new Map();
+        for (const key of messages.keys()) {
+            const pluralKey = parsePluralKey(key);
+            if (!pluralKey) continue;
+            const group = `${pluralKey.base}${pluralKey.ordinal ? '_ordinal' : ''}`;
+            if (!groups.has(group)) groups.set(group, { ordinal: pluralKey.ordinal, categories: [] });
+            groups.get(group).categories.push(pluralKey.category);
+        }
+        for (const [group, { ordinal, categories }] of groups) {
+            const needed = getPluralCategories(locale, ordinal ? 'ordinal' : 'cardinal') || [];
+            const missing = needed.filter(category => !categories.includes(category));
+            if (missing.length > 0) {
+                add(group, 'plural', `Missing plural ${missing.length === 1 ? 'form' : 'forms'} ${formatList(missing.map(category => `${group}_${category}`))} (needed by ${locale})`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Parsed string messages of a translation file, keyed by dot-notation key
+function getMessages(translations) {
+    const messages = new Map();
+    for (const key of extractAllKeys(translations)) {
+        const value = resolveKey(translations, key);
+        if (typeof value === 'string') messages.set(key, parseMessage(value));
+    }
+    return messages;
+}
+
+function formatList(items) {
+    return items.map(item => `"${item}"`).join(', ');
+}
+
+// Base locale name: `baseLocale`, or the translation file name ("en.json")
+function getBaseLocale(config) {
+    return config.baseLocale || path.basename(config.translationFile, path.extname(config.translationFile));
+}
+
+// `localeFiles` may be a directory (every file of the format in it) or a glob
+function findLocaleFiles(localeFiles, format) {
+    const stat = fs.existsSync(localeFiles) && fs.statSync(localeFiles);
+    const pattern = stat && stat.isDirectory() ? localeFilePattern(localeFiles, format) : localeFiles;
+    return glob.sync(pattern, { nodir: true }).sort();
+}
+
+// Locale name from the file name ("fr.json"), or from the folder when every
+// locale uses the same file name ("fr/common.json")
+function getLocaleNames(files) {
+    const baseNames = files.map(file => path.basename(file, path.extname(file)));
+    const unique = new Set(baseNames).size === baseNames.length;
+    return unique ? baseNames : files.map(file => path.basename(path.dirname(file)));
+}
+
+function getMinCompleteness(minCompleteness, locale) {
+    if (typeof minCompleteness === 'number') return minCompleteness;
+    if (minCompleteness[locale] !== undefined) return minCompleteness[locale];
+    return minCompleteness['*'] !== undefined ? minCompleteness['*'] : 0;
+}
+
+// Bump when scanSourceFile changes, so cached scans are redone
+const ANALYZER_VERSION = 1;
+
+// Pattern for detecting hardcoded text; translation calls come from i18nUsage
+const HARDCODED_TEXT_REGEX = />\s*([A-Za-z][^<{]+?)\s*</g;
+
+/**
+ * The part of a file's scan that does not depend on the translation file, and
+ * so can be cached: translation calls, hardcoded strings (with their offsets,
+ * for fix mode) and text in components that may truncate it.
+ * @param {string} code File content.
+ * @param {string} file File path.
+ * @param {object} config The languageGrader config.
+ * @returns {{usages: Array<object>, strings: Array<object>, truncationRisks: Array<object>}} Scan results.
+ */
+function scanSourceFile(code, file, config) {
+    const strings = [];
+    const regex = new RegExp(HARDCODED_TEXT_REGEX.source, 'g');
+    let hcMatch;
+    while ((hcMatch = regex.exec(code)) !== null) {
+        const text = hcMatch[1].trim();
+        if (shouldFlagAsHardcoded(text)) {
+            const start = hcMatch.index + hcMatch[0].indexOf(hcMatch[1], 1);
+            strings.push({ text, start, end: start + hcMatch[1].length, line: getLineNumber(code, hcMatch.index) });
+        }
+    }
+
+    return {
+        usages: findTranslationKeys(code, config),
+        strings,
+        truncationRisks: config.checkTruncation
+            ? findTruncationRisks(code, file, { components: config.truncationComponents, i18n: config })
+            : [],
+    };
+}
+
+function getLineNumber(content, index) {
+    return content.substring(0, index).split('\n').length;
+}
+
 function resolveKey(obj, key) {
     const parts = key.split('.');
     let current = obj;
@@ -230,17 +726,21 @@ function extractAllKeys(obj, prefix = '') {
 
 function calculateScore(report, config) {
     const weights = {
-        missingKeys: config.missingKeyWeight || 0.4,
-        hardcodedStrings: config.hardcodedWeight || 0.3,
-        malformedKeys: config.malformedWeight || 0.2,
-        unusedKeys: config.unusedKeyWeight || 0.1
+        missingKeys: config.missingKeyWeight,
+        hardcodedStrings: config.hardcodedWeight,
+        malformedKeys: config.malformedWeight,
+        unusedKeys: config.unusedKeyWeight,
+        messageErrors: config.messageErrorWeight,
+        truncationRisks: config.truncationRiskWeight
     };
 
     const penalties = {
         missingKeys: report.missingKeys.length * weights.missingKeys,
         hardcodedStrings: report.hardcodedStrings.length * weights.hardcodedStrings,
         malformedKeys: report.malformedKeys.length * weights.malformedKeys,
-        unusedKeys: report.unusedKeys.length * weights.unusedKeys
+        unusedKeys: report.unusedKeys.length * weights.unusedKeys,
+        messageErrors: report.messageErrors.length * weights.messageErrors,
+        truncationRisks: report.truncationRisks.length * weights.truncationRisks
     };
 
     const totalPenalty = Object.values(penalties).reduce((sum, penalty) => sum + penalty, 0);
@@ -0,0 +1,437 @@
+const { app } = require('@azure/functions');
+const path = require('path');
+
+const { gradeCodeQuality } = require('./codeQualityGrader');
+const { gradeComponents } = require('./componentGrader');
+const { gradeLanguageImplementation } = require('./languageGrader');
+const { gradeDependencies } = require('./dependencyGrader');
+const { runE2ESuite } = require('./E2ETestGrader');
+const reportGenerator = require('../utils/reportGenerator');
+const { loadConfig, ConfigValidationError } = require('../utils/configLoader');
+const { getRevision } = require('../utils/gitDiff');
+const {
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+} = require('../utils/baseline');
+const { openAnalysisCache } = require('../utils/analysisCache');
+const { openHistoryStore } = require('../history/historyStore');
+const { compareReports, resolveEntry } = require('../history/compare');
+
+// Graders whose file-level findings go into the baseline
+const BASELINE_SECTIONS = [
+  'codeQuality',
+  'componentGrader',
+  'languageGrader',
+  'dependencyGraph',
+];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  markdown: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  sarif: 'application/sarif+json',
+  junit: 'application/xml; charset=utf-8',
+};
+
+// Runs every enabled grader and returns one combined report
+app.http('qaPipeline', {
+  methods: ['GET', 'POST'],
+  authLevel: 'function',
+  handler: async (request, context) => {
+    context.log.info('QA Pipeline function processed a request.');
+
+    try {
+      const requestBody = await request.json().catch(() => ({}));
+      const projectPath = requestBody.projectPath || '.';
+      const format = resolveFormat(request, requestBody);
+
+      const combined = await runQaPipeline(projectPath, context, {
+        testPath: requestBody.testPath,
+        baseRef: requestBody.baseRef,
+        changedFiles: requestBody.changedFiles,
+        projectId: requestBody.projectId,
+        branch: requestBody.branch,
+        commit: requestBody.commit,
+        compareTo: requestBody.compareTo,
+      });
+
+      return {
+        status: 200,
+        body: renderReport(combined, format),
+        headers: { 'Content-Type': CONTENT_TYPES[format] },
+      };
+    } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return {
+          status: 400,
+          body: JSON.stringify({
+            success: false,
+            error: error.message,
+            errors: error.errors,
+          }),
+          headers: { 'Content-Type': 'application/json' },
+        };
+      }
+      context.log.error('Fatal error in QA pipeline:', error);
+      return {
+        status: 500,
+        body: JSON.stringify({ success: false, error: error.message }),
+        headers: { 'Content-Type': 'application/json' },
+      };
+    }
+  },
+});
+
+/**
+ * Runs every grader enabled in qa-grader.config.json and combines the results.
+ * @param {string} projectPath The path to the project to be graded.
+ * @param {object} context The Azure Functions context object.
+ * @param {object} [options] Extra options: `testPath` for the E2E grader,
+ *   `baseRef` or `changedFiles` for incremental grading, an AbortSignal in
+ *   `signal` to stop between graders, an `onProgress` callback that
+ *   receives `{ step, completed, total }`, and a `projectId` (with optional
+ *   `branch`, `commit` and `compareTo`) to record the run in the history and
+ *   compare it with the previous run. Findings in the project's baseline are
+ *   left out of the scores unless `ignoreBaseline` is set, and `sections`
+ *   limits the run to some graders, e.g. `['componentGrader']`.
+ * @returns {Promise<object>} The combined report from reportGenerator.combine,
+ *   with an overall weighted score in `summary` and the analysis cache's hits
+ *   and misses in `summary.cache`.
+ */
+async function runQaPipeline(projectPath, context, options = {}) {
+  const startedAt = new Date().toISOString();
+  const fullConfig = loadConfig(projectPath);
+  const { weights, minimumScore } = fullConfig.qaPipeline;
+  const baseline = options.ignoreBaseline
+    ? null
+    : loadBaseline(projectPath, fullConfig.baseline);
+  const cache = openAnalysisCache(projectPath, fullConfig.cache);
+  const changes = {
+    baseRef: options.baseRef,
+    changedFiles: options.changedFiles,
+    baseline,
+    cache,
+  };
+
+  const steps = [
+    {
+      section: 'codeQuality',
+      key: 'quality',
+      run: () =>
+        gradeCodeQuality(projectPath, context, {
+          ...changes,
+          signal: options.signal,
+        }),
+    },
+    {
+      section: 'componentGrader',
+      key: 'components',
+      run: () => gradeComponents(projectPath, context, changes),
+    },
+    {
+      section: 'languageGrader',
+      key: 'language',
+      run: () =>
+        gradeLanguageImplementation(
+          buildLanguageConfig(projectPath, fullConfig.languageGrader),
+          context,
+          { projectPath, ...changes }
+        ),
+    },
+    {
+      section: 'dependencyGraph',
+      key: 'dependencies',
+      run: () => gradeDependencies(projectPath, context, changes),
+    },
+    {
+      section: 'e2e',
+      key: 'e2e',
+      enabled: (section) => Boolean(options.testPath || section.testPath),
+      run: () =>
+        runE2ESuite(projectPath, context, {
+          testPath: options.testPath,
+          signal: options.signal,
+        }),
+    },
+  ];
+
+  const results = {};
+  const graders = {};
+  const reportProgress = async (step, completed) => {
+    if (options.onProgress) {
+      await options.onProgress({ step, completed, total: steps.length });
+    }
+  };
+
+  for (const [index, step] of steps.entries()) {
+    await reportProgress(step.section, index);
+    throwIfCancelled(options.signal);
+
+    const section = fullConfig[step.section];
+    const enabled =
+      section.run &&
+      (!step.enabled || step.enabled(section)) &&
+      (!options.sections || options.sections.includes(step.section));
+
+    if (!enabled) {
+      context.log.info(`Skipping ${step.section}: disabled in the config.`);
+      graders[step.section] = { skipped: true, weight: weights[step.section] };
+      continue;
+    }
+
+    context.log.info(`Running ${step.section}...`);
+    try {
+      results[step.key] = await step.run();
+    } catch (error) {
+      if (options.signal && options.signal.aborted) throw cancelledError();
+      // One broken grader should not throw away the results of the others
+      context.log.error(`${step.section} failed:`, error.message);
+      results[step.key] = {
+        success: false,
+        score: 0,
+        report: { error: error.message },
+      };
+    }
+
+    graders[step.section] = {
+      skipped: false,
+      weight: weights[step.section],
+      score: results[step.key].score,
+      success: results[step.key].success,
+    };
+  }
+
+  await reportProgress(null, steps.length);
+  throwIfCancelled(options.signal);
+
+  const summary = calculateOverallScore(graders, minimumScore);
+  summary.cache = cache.stats();
+  if (changes.baseRef || changes.changedFiles) {
+    summary.incremental = summarizeIncremental(results, changes.baseRef);
+  }
+
+  const combined = reportGenerator.combine({
+    ...results,
+    summary,
+    meta: { startedAt, projectPath },
+  });
+
+  if (options.projectId) {
+    await recordHistory(combined, projectPath, fullConfig.history, options);
+  }
+
+  return combined;
+}
+
+/**
+ * Regenerates the project's baseline from a fresh run that ignores the
+ * current one, accepting every finding the project has now.
+ * @param {string} projectPath The path to the project.
+ * @param {object} context The Azure Functions context object.
+ * @param {object} [options] `dryRun` to return the baseline without writing
+ *   it, plus the `signal` and `onProgress` options of runQaPipeline.
+ * @returns {Promise<object>} Where the baseline went, whether it was written
+ *   and its finding count per grader; the baseline itself on a dry run.
+ */
+async function regenerateBaseline(projectPath, context, options = {}) {
+  const settings = loadConfig(projectPath).baseline;
+
+  const combined = await runQaPipeline(projectPath, context, {
+    ignoreBaseline: true,
+    sections: BASELINE_SECTIONS,
+    signal: options.signal,
+    onProgress: options.onProgress,
+  });
+  const baseline = createBaseline(combined);
+
+  const counts = {};
+  for (const finding of baseline.findings) {
+    counts[finding.grader] = (counts[finding.grader] || 0) + 1;
+  }
+
+  const written = options.dryRun !== true;
+  const file = written
+    ? saveBaseline(projectPath, baseline, settings)
+    : settings.file;
+  context.log.info(
+    `Baseline: ${baseline.findings.length} findings${written ? ` written to ${file}` : ' (dry run)'}`
+  );
+
+  return {
+    success: true,
+    file,
+    written,
+    findings: baseline.findings.length,
+    byGrader: counts,
+    baseline: written ? undefined : baseline,
+  };
+}
+
+/**
+ * Compares the run with an earlier one (the newest on the same branch, or
+ * `options.compareTo`) and saves it to the history. A score drop larger than
+ * `history.failOnRegression` fails the run.
+ * @param {object} combined The combined report; `summary` and `meta` are updated in place.
+ * @param {string} projectPath The path to the project being graded.
+ * @param {object} settings The `history` section of the config.
+ * @param {object} options The runQaPipeline options.
+ */
+async function recordHistory(combined, projectPath, settings, options) {
+  const store = options.historyStore || openHistoryStore(projectPath, settings);
+  const { projectId } = options;
+
+  let { branch, commit } = options;
+  if (!branch || !commit) {
+    const revision = await getRevision(projectPath);
+    branch = branch || revision.branch;
+    commit = commit || revision.commit;
+  }
+
+  let base = null;
+  if (options.compareTo) {
+    base = await resolveEntry(store, projectId, options.compareTo);
+  } else {
+    const [previous] = await store.list(projectId, { branch, limit: 1 });
+    base = previous ? await store.get(projectId, previous.id) : null;
+  }
+
+  if (base) {
+    const comparison = compareReports(base.report, combined, {
+      failOnRegression: settings.failOnRegression,
+    });
+    combined.summary.comparison = {
+      base: { id: base.id, branch: base.branch, commit: base.commit },
+      ...comparison,
+    };
+    if (comparison.regression) combined.summary.success = false;
+  }
+
+  const entry = await store.record({
+    projectId,
+    branch,
+    commit,
+    report: combined,
+  });
+  combined.meta.history = { projectId, id: entry.id, branch, commit };
+}
+
+/**
+ * Computes the weighted overall score across the graders that ran.
+ * @param {object} graders Per-grader entries with `skipped`, `weight` and `score`.
+ * @param {number} minimumScore The overall score needed to pass.
+ * @returns {object} The overall summary.
+ */
+function calculateOverallScore(graders, minimumScore) {
+  let totalScore = 0;
+  let maxScore = 0;
+
+  for (const grader of Object.values(graders)) {
+    if (grader.skipped) continue;
+    totalScore += grader.score * grader.weight;
+    maxScore += grader.weight;
+  }
+
+  // Score is 1 (perfect) if nothing ran, the same rule the graders use
+  const score = maxScore > 0 ? totalScore / maxScore : 1;
+
+  return {
+    score,
+    minimumScore,
+    success: score >= minimumScore,
+    graders,
+  };
+}
+
+/**
+ * Rolls the graders' "new issues only" views up into one gate result, so a
+ * pull request fails only on issues it adds.
+ * @param {object} results Grader results keyed like the combined report.
+ * @param {string} [baseRef] The ref the changes were measured against.
+ * @returns {object} New issue counts per grader and whether the gate passes.
+ */
+function summarizeIncremental(results, baseRef) {
+  const newIssues = {};
+  for (const [key, result] of Object.entries(results)) {
+    const incremental = result.report && result.report.incremental;
+    if (incremental) newIssues[key] = incremental.issuesFound;
+  }
+  return {
+    baseRef: baseRef || null,
+    newIssues,
+    passed: Object.values(newIssues).every((count) => count === 0),
+  };
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+function cancelledError() {
+  const error = new Error('QA pipeline was cancelled.');
+  error.name = 'AbortError';
+  return error;
+}
+
+// The language grader takes its config directly, so resolve its paths
+// against the project being graded.
+function buildLanguageConfig(projectPath, section) {
+  const ignore = [].concat(section.ignorePattern);
+  return {
+    ...section,
+    translationFile: path.resolve(projectPath, section.translationFile),
+    sourcePattern: path.join(projectPath, section.sourcePattern),
+    ignorePattern: ignore.map((pattern) => path.join(projectPath, pattern)),
+    localeFiles:
+      section.localeFiles && path.join(projectPath, section.localeFiles),
+  };
+}
+
+/**
+ * Picks the output format from the `format` field/query or the Accept header.
+ * @param {object} request The Azure Functions HTTP request.
+ * @param {object} requestBody The parsed request body.
+ * @returns {'json'|'markdown'|'html'|'sarif'|'junit'} The output format.
+ */
+function resolveFormat(request, requestBody = {}) {
+  const query =
+    request.query && request.query.get && request.query.get('format');
+  const requested = (requestBody.format || query || '').toLowerCase();
+  if (requested === 'md') return 'markdown';
+  if (CONTENT_TYPES[requested]) return requested;
+
+  const headers = request.headers || {};
+  const accept =
+    (typeof headers.get === 'function'
+      ? headers.get('accept')
+      : headers.accept || headers.Accept) || '';
+
+  if (accept.includes('text/html')) return 'html';
+  if (accept.includes('text/markdown')) return 'markdown';
+  if (accept.includes('application/sarif+json')) return 'sarif';
+  return 'json';
+}
+
+/**
+ * Renders a combined report in the requested format.
+ * @param {object} combined The output of runQaPipeline.
+ * @param {'json'|'markdown'|'html'|'sarif'|'junit'} format The output format.
+ * @returns {string} The rendered report.
+ */
+function renderReport(combined, format) {
+  if (format === 'html') return reportGenerator.toHtml(combined);
+  if (format === 'markdown') return reportGenerator.toMarkdown(combined);
+  if (format === 'junit') return reportGenerator.toJUnit(combined);
+  if (format === 'sarif') {
+    return JSON.stringify(reportGenerator.toSarif(combined), null, 2);
+  }
+  return JSON.stringify(combined);
+}
+
+module.exports = {
+  runQaPipeline,
+  regenerateBaseline,
+  calculateOverallScore,
+  resolveFormat,
+  renderReport,
+};
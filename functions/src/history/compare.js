@@ -0,0 +1,113 @@
+const { collectFindings, fingerprintFinding } = require('../utils/findings');
+
+/**
+ * Compare two combined reports: the overall and per-grader score change, and
+ * the findings that are new in `head` or fixed since `base`. Findings are
+ * matched by fingerprint, so moving code up or down does not count as a change.
+ * @param {Object} base - Earlier combined report
+ * @param {Object} head - Later combined report
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.failOnRegression] - Largest allowed drop in the
+ *   overall score (0-1). A bigger drop sets `regression` to true.
+ * @returns {Object} Score changes, new and fixed issues, and `regression`
+ */
+function compareReports(base, head, options = {}) {
+  const before = base.summary || {};
+  const after = head.summary || {};
+  const scoreChange = difference(before.score, after.score);
+
+  const graders = {};
+  const names = new Set([
+    ...Object.keys(before.graders || {}),
+    ...Object.keys(after.graders || {}),
+  ]);
+  for (const name of names) {
+    const was = scoreOf((before.graders || {})[name]);
+    const now = scoreOf((after.graders || {})[name]);
+    graders[name] = { before: was, after: now, change: difference(was, now) };
+  }
+
+  const baseFindings = fingerprinted(base);
+  const headFindings = fingerprinted(head);
+  const newIssues = subtract(headFindings, baseFindings);
+  const fixedIssues = subtract(baseFindings, headFindings);
+
+  const threshold = options.failOnRegression;
+  const regression =
+    typeof threshold === 'number' &&
+    scoreChange !== null &&
+    // Allow for floating point noise when the drop equals the threshold
+    -scoreChange > threshold + 1e-9;
+
+  return {
+    score: { before: before.score ?? null, after: after.score ?? null },
+    scoreChange,
+    graders,
+    newIssues,
+    fixedIssues,
+    failOnRegression: typeof threshold === 'number' ? threshold : null,
+    regression,
+  };
+}
+
+/**
+ * Find a history entry by id, commit (or a commit prefix) or branch name
+ * (the newest entry on that branch).
+ * @param {import('./historyStore').HistoryStore} store - History store
+ * @param {string} projectId - Project id
+ * @param {string} ref - Entry id, commit or branch
+ * @returns {Promise<Object|null>} The entry with its report, or null
+ */
+async function resolveEntry(store, projectId, ref) {
+  if (/^[A-Za-z0-9-]+$/.test(ref)) {
+    const byId = await store.get(projectId, ref);
+    if (byId) return byId;
+  }
+
+  const entries = await store.list(projectId);
+  const match =
+    entries.find((entry) => entry.commit && entry.commit.startsWith(ref)) ||
+    entries.find((entry) => entry.branch === ref);
+  return match ? store.get(projectId, match.id) : null;
+}
+
+function fingerprinted(combined) {
+  const projectRoot = (combined.meta && combined.meta.projectPath) || '.';
+  return collectFindings(combined).map((finding) => ({
+    ...finding,
+    fingerprint: fingerprintFinding(finding, projectRoot),
+  }));
+}
+
+// Findings in `from` that are not matched in `other`. The same fingerprint
+// can occur more than once, so matches are counted rather than just looked up.
+function subtract(from, other) {
+  const remaining = new Map();
+  for (const finding of other) {
+    remaining.set(
+      finding.fingerprint,
+      (remaining.get(finding.fingerprint) || 0) + 1
+    );
+  }
+
+  return from.filter((finding) => {
+    const count = remaining.get(finding.fingerprint) || 0;
+    if (count === 0) return true;
+    remaining.set(finding.fingerprint, count - 1);
+    return false;
+  });
+}
+
+function scoreOf(grader) {
+  return grader && !grader.skipped && typeof grader.score === 'number'
+    ? grader.score
+    : null;
+}
+
+function difference(before, after) {
+  return typeof before === 'number' && typeof after === 'number'
+    ? after - before
+    : null;
+}
+
+module.exports = { compareReports, resolveEntry };
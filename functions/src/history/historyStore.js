@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+/**
+ * Storage interface for grading history. Each entry is one combined report
+ * tagged with the project id, branch and commit it was graded at.
+ *
+ * @typedef {Object} HistoryStore
+ * @property {function(Object): Promise<Object>} record - Save a combined report
+ * @property {function(string, string): Promise<(Object|null)>} get - Read an entry with its report
+ * @property {function(string, Object=): Promise<Array<Object>>} list - Entries without reports, newest first
+ * @property {function(string, string): Promise<boolean>} remove - Delete an entry
+ */
+
+// Summaries of a project's entries, so listing does not read every report.
+// The underscore keeps it apart from entry ids.
+const INDEX_FILE = '_index.json';
+
+/**
+ * History store that keeps one JSON file per run in a directory per project,
+ * so history works (and can be tested) without a database. Each project
+ * directory also has an index with the entries minus their reports.
+ */
+class FileHistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} [options.directory] - Where history files are written
+   */
+  constructor(options = {}) {
+    this.directory =
+      options.directory ||
+      process.env.QA_HISTORY_DIR ||
+      path.join(os.tmpdir(), 'qa-grader-history');
+    // Pending index changes per project, so they run one after the other
+    this.indexUpdates = new Map();
+  }
+
+  /**
+   * Save a combined report.
+   * @param {Object} run - The run to save
+   * @param {string} run.projectId - Project the report belongs to
+   * @param {string} [run.branch] - Branch that was graded
+   * @param {string} [run.commit] - Commit that was graded
+   * @param {Object} run.report - Combined report from reportGenerator.combine
+   * @param {string} [run.createdAt] - Defaults to now
+   * @returns {Promise<Object>} The saved entry
+   */
+  async record({ projectId, branch, commit, report, createdAt }) {
+    if (!report || typeof report !== 'object') {
+      throw new Error('A combined report is required.');
+    }
+
+    const { score, success } = report.summary || {};
+    const summary = {
+      id: randomUUID(),
+      projectId,
+      branch: branch || null,
+      commit: commit || null,
+      createdAt: createdAt || new Date().toISOString(),
+      score: typeof score === 'number' ? score : null,
+      success: typeof success === 'boolean' ? success : null,
+    };
+    const entry = { ...summary, report };
+
+    await fs.mkdir(this.projectDirectory(projectId), { recursive: true });
+    await this.write(this.filePath(projectId, entry.id), entry);
+    // A rebuilt index already has the new entry
+    await this.updateIndex(projectId, (index) => [
+      ...index.filter((other) => other.id !== summary.id),
+      summary,
+    ]);
+    return entry;
+  }
+
+  /**
+   * Read an entry, including its report.
+   * @param {string} projectId - Project id
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} The entry, or null when it does not exist
+   */
+  async get(projectId, id) {
+    try {
+      const data = await fs.readFile(this.filePath(projectId, id), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * List a project's entries without their reports, newest first.
+   * @param {string} projectId - Project id
+   * @param {Object} [filter] - Optional filters
+   * @param {string} [filter.branch] - Only entries for this branch
+   * @param {string} [filter.commit] - Only entries whose commit starts with this
+   * @param {number} [filter.limit] - At most this many entries
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async list(projectId, filter = {}) {
+    const entries = await this.readIndex(projectId);
+
+    const matching = entries
+      .filter((entry) => !filter.branch || entry.branch === filter.branch)
+      .filter(
+        (entry) =>
+          !filter.commit ||
+          (entry.commit && entry.commit.startsWith(filter.commit))
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return filter.limit ? matching.slice(0, filter.limit) : matching;
+  }
+
+  /**
+   * Delete an entry.
+   * @param {string} projectId - Project id
+   * @param {string} id - Entry id
+   * @returns {Promise<boolean>} Whether an entry was deleted
+   */
+  async remove(projectId, id) {
+    try {
+      await fs.unlink(this.filePath(projectId, id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    await this.updateIndex(projectId, (index) =>
+      index.filter((entry) => entry.id !== id)
+    );
+    return true;
+  }
+
+  projectDirectory(projectId) {
+    // Project ids come from URLs, so never let one point outside the store
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(projectId || '')) {
+      throw new Error(`Invalid project id: ${projectId}`);
+    }
+    return path.join(this.directory, projectId);
+  }
+
+  filePath(projectId, id) {
+    if (!/^[A-Za-z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid history entry id: ${id}`);
+    }
+    return path.join(this.projectDirectory(projectId), `${id}.json`);
+  }
+
+  // The project's index, rebuilt from the entry files when it is missing
+  // (history written before there was an index)
+  async readIndex(projectId) {
+    const file = path.join(this.projectDirectory(projectId), INDEX_FILE);
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let files;
+    try {
+      files = await fs.readdir(this.projectDirectory(projectId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const entries = await Promise.all(
+      files
+        .filter((name) => /^[A-Za-z0-9-]+\.json$/.test(name))
+        .map((name) => this.get(projectId, path.basename(name, '.json')))
+    );
+    const index = entries.filter(Boolean).map(summarize);
+    await this.write(file, index);
+    return index;
+  }
+
+  // Apply `change` to the project's index; changes to one project run in order
+  updateIndex(projectId, change) {
+    const previous = this.indexUpdates.get(projectId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const index = change(await this.readIndex(projectId));
+      const file = path.join(this.projectDirectory(projectId), INDEX_FILE);
+      await this.write(file, index);
+      return index;
+    });
+
+    const settled = next.catch(() => {});
+    this.indexUpdates.set(projectId, settled);
+    settled.then(() => {
+      if (this.indexUpdates.get(projectId) === settled) {
+        this.indexUpdates.delete(projectId);
+      }
+    });
+    return next;
+  }
+
+  // Write to a temp file and rename, so readers never see half a file
+  async write(target, data) {
+    const temp = `${target}.${randomUUID()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(temp, target);
+  }
+}
+
+// An entry without its report, as kept in the index
+function summarize(entry) {
+  const summary = { ...entry };
+  delete summary.report;
+  return summary;
+}
+
+/**
+ * Open the history store a project's config points at: `history.directory`
+ * resolved against the project, or the FileHistoryStore default.
+ * @param {string} projectPath - Project the history belongs to
+ * @param {Object} [settings] - The `history` section of the config
+ * @returns {FileHistoryStore} The store
+ */
+function openHistoryStore(projectPath, settings = {}) {
+  return new FileHistoryStore({
+    directory:
+      settings.directory && path.resolve(projectPath, settings.directory),
+  });
+}
+
+module.exports = { FileHistoryStore, openHistoryStore };
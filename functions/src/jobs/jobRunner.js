@@ -0,0 +1,300 @@
+const { randomUUID } = require('crypto');
+const os = require('os');
+
+const { runQaPipeline, regenerateBaseline } = require('../graders/qaPipeline');
+const { gradeCodeQuality } = require('../graders/codeQualityGrader');
+const { gradeComponents } = require('../graders/componentGrader');
+const { gradeLanguageImplementation } = require('../graders/languageGrader');
+const { gradeDependencies } = require('../graders/dependencyGrader');
+const { runE2ESuite } = require('../graders/E2ETestGrader');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Running jobs record a heartbeat this often...
+const HEARTBEAT_INTERVAL = 30 * 1000;
+// ...and one whose heartbeat is older than this lost its worker
+const STALE_AFTER = 5 * 60 * 1000;
+
+// Incremental grading params a job passes on to its grader
+const changeOptions = (params) => ({
+  baseRef: params.baseRef,
+  changedFiles: params.changedFiles,
+});
+
+// What each job type runs. Handlers get the job params, the invocation
+// context and `{ signal, onProgress }` for cancellation and progress.
+const DEFAULT_HANDLERS = {
+  pipeline: (params, context, control) =>
+    runQaPipeline(params.projectPath || '.', context, {
+      ...params.options,
+      ...control,
+    }),
+  baseline: (params, context, control) =>
+    regenerateBaseline(params.projectPath || '.', context, {
+      dryRun: params.dryRun,
+      ...control,
+    }),
+  codeQuality: (params, context, control) =>
+    gradeCodeQuality(params.projectPath || '.', context, {
+      ...changeOptions(params),
+      ...control,
+    }),
+  components: (params, context) =>
+    gradeComponents(params.projectPath || '.', context, changeOptions(params)),
+  language: (params, context) =>
+    gradeLanguageImplementation(params.config || {}, context, {
+      projectPath: params.projectPath,
+      ...changeOptions(params),
+    }),
+  dependencies: (params, context) =>
+    gradeDependencies(
+      params.projectPath || '.',
+      context,
+      changeOptions(params)
+    ),
+  e2e: (params, context, control) =>
+    runE2ESuite(params.projectPath || '.', context, {
+      testPath: params.testPath,
+      signal: control.signal,
+    }),
+};
+
+/**
+ * Runs grading jobs in the background, so callers are not kept waiting on
+ * the HTTP request. Callers start a job, get its id back at once and poll the
+ * store for status, progress and the final result. The work still runs in
+ * this process, so the host's `functionTimeout` and instance recycling still
+ * cap how long a job can take.
+ *
+ * A job runs in the worker that started it. Each job records that worker as
+ * its `owner` and a `heartbeatAt` while it runs; reading a job whose worker
+ * has stopped (restarted or recycled host) marks it failed and `interrupted`.
+ */
+class JobRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {import('./jobStore').JobStore} options.store - Where job state is kept
+   * @param {Object} [options.handlers] - Job type to handler map
+   * @param {number} [options.heartbeatInterval] - Milliseconds between heartbeats
+   * @param {number} [options.staleAfter] - Milliseconds without a heartbeat
+   *   after which another worker's job counts as interrupted
+   */
+  constructor({
+    store,
+    handlers = DEFAULT_HANDLERS,
+    heartbeatInterval = HEARTBEAT_INTERVAL,
+    staleAfter = STALE_AFTER,
+  }) {
+    this.store = store;
+    this.handlers = handlers;
+    this.heartbeatInterval = heartbeatInterval;
+    this.staleAfter = staleAfter;
+    this.owner = { id: randomUUID(), host: os.hostname(), pid: process.pid };
+    this.controllers = new Map();
+    this.running = new Map();
+  }
+
+  /**
+   * Create a job and start it without waiting for it to finish.
+   * @param {string} type - Job type, e.g. "pipeline"
+   * @param {Object} params - Parameters passed to the handler
+   * @param {Object} context - The Azure Functions context object
+   * @returns {Promise<Object>} The queued job
+   */
+  async startJob(type, params, context) {
+    if (!this.handlers[type]) {
+      throw new Error(
+        `Unknown job type "${type}". Expected one of: ${Object.keys(this.handlers).join(', ')}`
+      );
+    }
+
+    const now = new Date().toISOString();
+    const job = await this.store.create({
+      id: randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      progress: { completed: 0, total: null, step: null, percent: 0 },
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      owner: this.owner,
+      heartbeatAt: now,
+    });
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    const running = this.runJob(job, controller, context).catch((error) =>
+      context.log.error(`Could not record the outcome of job ${job.id}:`, error)
+    );
+    this.running.set(job.id, running);
+
+    return job;
+  }
+
+  /**
+   * Cancel a job. A job running in this process is aborted straight away;
+   * one running elsewhere sees the cancelled status at its next progress step.
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} The job, or null when it does not exist
+   */
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+    if (!job) return null;
+    if (TERMINAL_STATUSES.includes(job.status)) return job;
+
+    const cancelled = await this.store.update(id, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString(),
+    });
+    const controller = this.controllers.get(id);
+    if (controller) controller.abort();
+    return cancelled;
+  }
+
+  /**
+   * Read a job, marking it interrupted when the worker running it is gone.
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} The job, or null when it does not exist
+   */
+  async getJob(id) {
+    return this.recover(await this.store.get(id));
+  }
+
+  /**
+   * List all jobs, newest first, marking interrupted ones like getJob.
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  async listJobs() {
+    const jobs = await this.store.list();
+    return Promise.all(jobs.map((job) => this.recover(job)));
+  }
+
+  /**
+   * Wait for a job started by this runner to settle (mainly for tests).
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} The final job record
+   */
+  async waitForJob(id) {
+    await this.running.get(id);
+    return this.store.get(id);
+  }
+
+  // Fail a job whose worker is gone; other jobs are returned as they are
+  async recover(job) {
+    if (!job || !this.isInterrupted(job)) return job;
+    return this.store.update(job.id, {
+      status: 'failed',
+      error:
+        'Interrupted: the worker running this job stopped before it finished.',
+      interrupted: true,
+      finishedAt: new Date().toISOString(),
+    });
+  }
+
+  // Whether a queued or running job has lost the worker that runs it
+  isInterrupted(job) {
+    if (TERMINAL_STATUSES.includes(job.status)) return false;
+    const { owner } = job;
+    if (owner && owner.id === this.owner.id) return false;
+    if (owner && owner.host === this.owner.host && !processExists(owner.pid)) {
+      return true;
+    }
+    const lastSeen = Date.parse(job.heartbeatAt || job.updatedAt);
+    return (
+      !Number.isFinite(lastSeen) || Date.now() - lastSeen > this.staleAfter
+    );
+  }
+
+  async runJob(job, controller, context) {
+    const { signal } = controller;
+    let heartbeat;
+
+    const onProgress = async ({ step, completed, total }) => {
+      const current = await this.store.get(job.id);
+      if (current && current.status === 'cancelled') {
+        controller.abort();
+        return;
+      }
+      await this.store.update(job.id, {
+        progress: {
+          step,
+          completed,
+          total,
+          percent: total ? Math.round((completed / total) * 100) : 0,
+        },
+      });
+    };
+
+    try {
+      heartbeat = setInterval(() => {
+        this.store
+          .update(job.id, { heartbeatAt: new Date().toISOString() })
+          .catch((error) =>
+            context.log.warn(`Job ${job.id} heartbeat failed:`, error.message)
+          );
+      }, this.heartbeatInterval);
+      // The heartbeat alone must not keep the worker alive. Timers without
+      // unref (jsdom) just keep it alive until the job ends.
+      if (typeof heartbeat.unref === 'function') heartbeat.unref();
+
+      await this.store.update(job.id, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+      });
+      const result = await this.handlers[job.type](job.params, context, {
+        signal,
+        onProgress,
+      });
+      await this.finish(job.id, signal, { status: 'completed', result });
+    } catch (error) {
+      context.log.error(`Job ${job.id} failed:`, error.message);
+      await this.finish(job.id, signal, {
+        status: 'failed',
+        error: error.message,
+      });
+    } finally {
+      clearInterval(heartbeat);
+      this.controllers.delete(job.id);
+      this.running.delete(job.id);
+    }
+  }
+
+  // A cancelled job keeps its status even if the work finished afterwards
+  async finish(id, signal, changes) {
+    const current = await this.store.get(id);
+    const finishedAt = new Date().toISOString();
+    if (signal.aborted || (current && current.status === 'cancelled')) {
+      // An aborted job must not be left running, whatever overwrote the cancel
+      if (current && !TERMINAL_STATUSES.includes(current.status)) {
+        await this.store.update(id, { status: 'cancelled', finishedAt });
+      }
+      return;
+    }
+
+    if (changes.status === 'completed') {
+      const progress = current.progress || {};
+      changes.progress = {
+        ...progress,
+        completed: progress.total || progress.completed,
+        percent: 100,
+      };
+    }
+    await this.store.update(id, { ...changes, finishedAt });
+  }
+}
+
+// Signal 0 only checks that the process exists; EPERM means it does
+function processExists(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = { JobRunner, DEFAULT_HANDLERS, TERMINAL_STATUSES };
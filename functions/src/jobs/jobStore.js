@@ -0,0 +1,154 @@
+const { randomUUID } = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * Storage interface for grading jobs. Any backend (file system, blob
+ * storage, a database) can be used by the job runner as long as it provides
+ * these async methods:
+ *
+ * @typedef {Object} JobStore
+ * @property {function(Object): Promise<Object>} create - Save a new job record
+ * @property {function(string): Promise<(Object|null)>} get - Read a job by id
+ * @property {function(string, Object): Promise<(Object|null)>} update - Merge fields into a job
+ * @property {function(): Promise<Array<Object>>} list - All jobs, newest first
+ * @property {function(string): Promise<boolean>} remove - Delete a job
+ */
+
+/**
+ * Job store that keeps one JSON file per job in a local directory, so jobs
+ * work (and can be tested) without any cloud storage.
+ *
+ * With more than one instance, every instance must see the same directory:
+ * set `QA_JOBS_DIR` to a shared mount (for example an Azure Files share).
+ * The os.tmpdir() default is per instance, so a poll that lands on another
+ * instance would not find the job.
+ */
+class FileJobStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} [options.directory] - Where job files are written,
+   *   defaults to `QA_JOBS_DIR`, then a folder in os.tmpdir()
+   */
+  constructor(options = {}) {
+    this.directory =
+      options.directory ||
+      process.env.QA_JOBS_DIR ||
+      path.join(os.tmpdir(), 'qa-grader-jobs');
+    // Pending updates per job id, so they run one after the other
+    this.updates = new Map();
+  }
+
+  /**
+   * Save a new job record.
+   * @param {Object} job - Job with at least an `id`
+   * @returns {Promise<Object>} The saved job
+   */
+  async create(job) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.write(job);
+    return job;
+  }
+
+  /**
+   * Read a job by id.
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} The job, or null when it does not exist
+   */
+  async get(id) {
+    try {
+      const data = await fs.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Merge fields into an existing job and bump `updatedAt`. Updates to the
+   * same job run one at a time, so none of them is lost.
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to merge
+   * @returns {Promise<Object|null>} The updated job, or null when it does not exist
+   */
+  update(id, changes) {
+    const previous = this.updates.get(id) || Promise.resolve();
+    const next = previous.then(async () => {
+      const job = await this.get(id);
+      if (!job) return null;
+
+      const updated = {
+        ...job,
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      await this.write(updated);
+      return updated;
+    });
+
+    const settled = next.catch(() => {});
+    this.updates.set(id, settled);
+    settled.then(() => {
+      if (this.updates.get(id) === settled) this.updates.delete(id);
+    });
+    return next;
+  }
+
+  /**
+   * List all jobs, newest first.
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const jobs = await Promise.all(
+      entries
+        .filter((entry) => entry.endsWith('.json'))
+        .map((entry) => this.get(path.basename(entry, '.json')))
+    );
+    return jobs
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete a job.
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} Whether a job was deleted
+   */
+  async remove(id) {
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  filePath(id) {
+    // Ids come from URLs, so never let one point outside the store
+    if (!/^[A-Za-z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  // Write to a temp file and rename, so readers never see half a job
+  async write(job) {
+    const target = this.filePath(job.id);
+    const temp = `${target}.${randomUUID()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(job, null, 2), 'utf8');
+    await fs.rename(temp, target);
+  }
+}
+
+module.exports = { FileJobStore };
@@ -0,0 +1,196 @@
+/**
+ * Persistent cache of per-file analysis results, so unchanged files are not
+ * parsed and analysed again on every run. An entry is keyed by file path and
+ * reused only while the file's content hash, the analyser version and the
+ * config the analysis depends on are all the same.
+ *
+ * Each analyser has a namespace ("components", "language", "scanner"), stored
+ * as one JSON file in the cache directory. Saving drops the entries of files
+ * that were not looked up since the cache was opened and no longer exist, so
+ * deleted and renamed files do not pile up.
+ */
+const { createHash } = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveSection } = require('./configLoader');
+
+const CACHE_VERSION = 1;
+
+class AnalysisCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.directory] - Where the cache files are written
+   * @param {boolean} [options.enabled] - False turns the cache into a no-op
+   */
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.enabled = options.enabled !== false && Boolean(this.directory);
+    this.namespaces = new Map();
+    this.counts = new Map();
+  }
+
+  /**
+   * Return the cached analysis of a file, or compute and cache it.
+   * @param {string} namespace - Analyser, e.g. "components"
+   * @param {Object} entry - What the analysis depends on
+   * @param {string} entry.file - File path
+   * @param {string} entry.content - File content
+   * @param {(number|string)} entry.version - Analyser version; bump it when
+   *   the analysis changes
+   * @param {*} [entry.config] - Config the analysis depends on (JSON-serialisable)
+   * @param {function(): *} compute - Analyses the file; the result must be
+   *   JSON-serialisable
+   * @returns {{value: *, hit: boolean}} The analysis and whether it came from the cache
+   */
+  getOrCompute(namespace, { file, content, version, config }, compute) {
+    if (!this.enabled) return { value: compute(), hit: false };
+
+    const entries = this.load(namespace);
+    const filePath = path.resolve(file);
+    const key = hash(
+      JSON.stringify([
+        hash(content),
+        version,
+        config === undefined ? null : config,
+      ])
+    );
+    const counts = this.countsOf(namespace);
+
+    entries.seen.add(filePath);
+    const cached = entries.data[filePath];
+    if (cached && cached.key === key) {
+      counts.hits++;
+      return { value: cached.value, hit: true };
+    }
+
+    counts.misses++;
+    const value = compute();
+    entries.data[filePath] = { key, value };
+    entries.dirty = true;
+    return { value, hit: false };
+  }
+
+  /**
+   * Hits and misses since the cache was opened.
+   * @param {string} [namespace] - One analyser; all of them when left out
+   * @returns {{hits: number, misses: number}} Counts
+   */
+  stats(namespace) {
+    if (namespace) return { ...this.countsOf(namespace) };
+    const total = { hits: 0, misses: 0 };
+    for (const counts of this.counts.values()) {
+      total.hits += counts.hits;
+      total.misses += counts.misses;
+    }
+    return total;
+  }
+
+  /**
+   * Write the namespaces that changed to disk. A cache that cannot be written
+   * only costs speed, so write errors are returned rather than thrown.
+   * @returns {(Error|null)} The write error, if any
+   */
+  save() {
+    if (!this.enabled) return null;
+    try {
+      for (const [namespace, entries] of this.namespaces) {
+        evictMissingFiles(entries);
+        if (!entries.dirty) continue;
+        fs.mkdirSync(this.directory, { recursive: true });
+        const target = this.filePath(namespace);
+        // Write to a temp file and rename, so readers never see half a cache
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(
+          temp,
+          JSON.stringify({ version: CACHE_VERSION, entries: entries.data }),
+          'utf8'
+        );
+        fs.renameSync(temp, target);
+        entries.dirty = false;
+      }
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  load(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, {
+        data: this.read(namespace),
+        dirty: false,
+        // Files looked up since the cache was opened
+        seen: new Set(),
+      });
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  // A missing, unreadable or outdated cache file starts an empty cache
+  read(namespace) {
+    try {
+      const stored = JSON.parse(
+        fs.readFileSync(this.filePath(namespace), 'utf8')
+      );
+      if (stored && stored.version === CACHE_VERSION && stored.entries) {
+        return stored.entries;
+      }
+    } catch {
+      // Rebuilt on the next save
+    }
+    return {};
+  }
+
+  countsOf(namespace) {
+    if (!this.counts.has(namespace)) {
+      this.counts.set(namespace, { hits: 0, misses: 0 });
+    }
+    return this.counts.get(namespace);
+  }
+
+  filePath(namespace) {
+    if (!/^[A-Za-z0-9_-]+$/.test(namespace)) {
+      throw new Error(`Invalid cache namespace: ${namespace}`);
+    }
+    return path.join(this.directory, `${namespace}.json`);
+  }
+}
+
+// Drop the entries of files that were not looked up and are gone from disk
+function evictMissingFiles(entries) {
+  for (const file of Object.keys(entries.data)) {
+    if (!entries.seen.has(file) && !fs.existsSync(file)) {
+      delete entries.data[file];
+      entries.dirty = true;
+    }
+  }
+}
+
+/**
+ * Open the cache of a project from the `cache` section of its config.
+ * @param {string} projectPath - Project root
+ * @param {Object} [settings] - The `cache` section (defaults are filled in)
+ * @returns {AnalysisCache} Cache, disabled when `settings.enabled` is false
+ */
+function openAnalysisCache(projectPath, settings) {
+  const { enabled, directory } = resolveSection('cache', settings);
+  return new AnalysisCache({
+    enabled,
+    directory: path.resolve(projectPath || '.', directory),
+  });
+}
+
+/**
+ * Hash of a file's content or of any string.
+ * @param {string} text - Text to hash
+ * @returns {string} Hex SHA-1
+ */
+function hash(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+module.exports = {
+  AnalysisCache,
+  openAnalysisCache,
+  hash,
+};
@@ -0,0 +1,161 @@
+/**
+ * Baseline of accepted findings (qa-grader.baseline.json).
+ * Legacy code can be graded without its known findings: the baseline lists
+ * each accepted finding by fingerprint, and the graders leave those out of
+ * their scores, so only new findings count. Fingerprints ignore line numbers,
+ * so moving code around keeps a finding in the baseline.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ConfigValidationError, resolveSection } = require('./configLoader');
+const { collectFindings, fingerprintFinding } = require('./findings');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * @typedef {Object} BaselineEntry
+ * @property {string} fingerprint - From fingerprintFinding
+ * @property {string} grader - Combined-report section, e.g. "components"
+ * @property {string} ruleId - Rule id of the finding
+ * @property {string} file - File path relative to the project
+ * @property {string} message - Finding message, to make the file reviewable
+ */
+
+/**
+ * Build a baseline from every finding in a combined report.
+ * @param {Object} combined - Output of runQaPipeline
+ * @returns {{version: number, findings: Array<BaselineEntry>}} Baseline
+ */
+function createBaseline(combined) {
+  const projectRoot = (combined.meta && combined.meta.projectPath) || '.';
+  const findings = collectFindings(combined).map((finding) => ({
+    fingerprint: fingerprintFinding(finding, projectRoot),
+    grader: finding.grader,
+    ruleId: finding.ruleId,
+    file: finding.file ? relativePath(projectRoot, finding.file) : '',
+    message: finding.message,
+  }));
+
+  // Sorted so regenerating an unchanged project gives the same file
+  findings.sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) ||
+      a.grader.localeCompare(b.grader) ||
+      a.ruleId.localeCompare(b.ruleId) ||
+      a.fingerprint.localeCompare(b.fingerprint)
+  );
+
+  return { version: BASELINE_VERSION, findings };
+}
+
+/**
+ * Load the project's baseline.
+ * @param {string} projectPath - Project root
+ * @param {Object} [settings] - The `baseline` config section
+ * @returns {Object|null} The baseline, or null when it is switched off or
+ *   the file doesn't exist
+ */
+function loadBaseline(projectPath, settings = {}) {
+  const { enabled, file } = resolveSection('baseline', settings);
+  const baselinePath = path.resolve(projectPath, file);
+  if (!enabled || !fs.existsSync(baselinePath)) return null;
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigValidationError(
+      [{ path: '$', message: `not valid JSON (${error.message})` }],
+      file
+    );
+  }
+
+  if (!baseline || !Array.isArray(baseline.findings)) {
+    throw new ConfigValidationError(
+      [{ path: '$.findings', message: 'must be an array' }],
+      file
+    );
+  }
+  const invalid = baseline.findings.findIndex(
+    (entry) => !entry || typeof entry.fingerprint !== 'string'
+  );
+  if (invalid !== -1) {
+    throw new ConfigValidationError(
+      [
+        {
+          path: `$.findings[${invalid}].fingerprint`,
+          message: 'must be a string',
+        },
+      ],
+      file
+    );
+  }
+
+  return baseline;
+}
+
+/**
+ * Write a baseline to the project.
+ * @param {string} projectPath - Project root
+ * @param {Object} baseline - From createBaseline
+ * @param {Object} [settings] - The `baseline` config section
+ * @returns {string} Path of the written file
+ */
+function saveBaseline(projectPath, baseline, settings = {}) {
+  const { file } = resolveSection('baseline', settings);
+  const baselinePath = path.resolve(projectPath, file);
+  fs.writeFileSync(
+    baselinePath,
+    `${JSON.stringify(baseline, null, 2)}\n`,
+    'utf8'
+  );
+  return baselinePath;
+}
+
+/**
+ * Match a grader's findings against the baseline. A fingerprint listed twice
+ * accepts two findings, so a third copy of the same problem still counts.
+ * @param {Object} baseline - From loadBaseline
+ * @param {string} grader - Combined-report section, e.g. "components"
+ * @param {string} [projectRoot] - Root that file paths are made relative to
+ * @returns {{keep: function(Object): boolean, unmatched: function(): number}}
+ *   `keep` returns false for baselined findings; `unmatched` counts the
+ *   grader's baseline entries no finding matched (fixed since)
+ */
+function createBaselineMatcher(baseline, grader, projectRoot = '.') {
+  const remaining = new Map();
+  for (const entry of baseline.findings) {
+    if (entry.grader && entry.grader !== grader) continue;
+    remaining.set(
+      entry.fingerprint,
+      (remaining.get(entry.fingerprint) || 0) + 1
+    );
+  }
+
+  return {
+    keep(finding) {
+      const fingerprint = fingerprintFinding(finding, projectRoot);
+      const count = remaining.get(fingerprint) || 0;
+      if (count === 0) return true;
+      remaining.set(fingerprint, count - 1);
+      return false;
+    },
+    unmatched() {
+      return [...remaining.values()].reduce((sum, count) => sum + count, 0);
+    },
+  };
+}
+
+function relativePath(projectRoot, file) {
+  return path
+    .relative(path.resolve(projectRoot), path.resolve(file))
+    .split(path.sep)
+    .join('/');
+}
+
+module.exports = {
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+  createBaselineMatcher,
+};
@@ -0,0 +1,143 @@
+/**
+ * Commands the code quality grader runs for its checks (lint, tests, type
+ * check). Each check has a default per package manager, which the
+ * `codeQuality.commands` section of qa-grader.config.json can override field
+ * by field.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Lockfiles in the order they are checked
+const LOCKFILES = [
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm'],
+  ['yarn.lock', 'yarn'],
+  ['pnpm-lock.yaml', 'pnpm'],
+];
+
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm'];
+
+const DEFAULT_TIMEOUTS = {
+  lint: 30000,
+  tests: 60000,
+  typeCheck: 30000,
+};
+
+// Script arguments go after `--` for npm; yarn and pnpm pass them on as is
+const DEFAULT_COMMANDS = {
+  npm: {
+    lint: ['npm', 'run', 'lint', '--', '--format', 'json'],
+    tests: [
+      'npm',
+      'test',
+      '--',
+      '--coverage',
+      '--json',
+      '--outputFile=test-results.json',
+    ],
+    typeCheck: ['npx', 'tsc', '--noEmit'],
+  },
+  yarn: {
+    lint: ['yarn', 'lint', '--format', 'json'],
+    tests: [
+      'yarn',
+      'test',
+      '--coverage',
+      '--json',
+      '--outputFile=test-results.json',
+    ],
+    typeCheck: ['yarn', 'tsc', '--noEmit'],
+  },
+  pnpm: {
+    lint: ['pnpm', 'run', 'lint', '--format', 'json'],
+    tests: [
+      'pnpm',
+      'test',
+      '--coverage',
+      '--json',
+      '--outputFile=test-results.json',
+    ],
+    typeCheck: ['pnpm', 'exec', 'tsc', '--noEmit'],
+  },
+};
+
+/**
+ * Work out the project's package manager: the `packageManager` field of
+ * package.json ("pnpm@8.6.0"), then the lockfile, then npm.
+ * @param {string} projectPath - Project root
+ * @returns {'npm'|'yarn'|'pnpm'} Package manager
+ */
+function detectPackageManager(projectPath) {
+  try {
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.resolve(projectPath, 'package.json'), 'utf8')
+    );
+    const name =
+      typeof packageJson.packageManager === 'string' &&
+      packageJson.packageManager.split('@')[0];
+    if (PACKAGE_MANAGERS.includes(name)) return name;
+  } catch {
+    // No readable package.json; fall back to the lockfile
+  }
+
+  const lockfile = LOCKFILES.find(([file]) =>
+    fs.existsSync(path.resolve(projectPath, file))
+  );
+  return lockfile ? lockfile[1] : 'npm';
+}
+
+/**
+ * @typedef {Object} CheckCommand
+ * @property {string} command - Executable, e.g. "npm"
+ * @property {Array<string>} args - Arguments
+ * @property {string} cwd - Absolute working directory
+ * @property {number} timeout - Milliseconds before the command is stopped
+ * @property {Object<string, string>} env - Environment, including process.env
+ * @property {string} commandLine - Shell command line; `command` is used as
+ *   written, so it may hold arguments of its own ("yarn lint:ci")
+ */
+
+/**
+ * Resolve the command of a check from its defaults and the config.
+ * @param {'lint'|'tests'|'typeCheck'} check - Check name
+ * @param {Object} options - Options
+ * @param {string} options.projectPath - Project root
+ * @param {string} options.packageManager - From detectPackageManager
+ * @param {Object} [options.override] - `codeQuality.commands[check]`; a
+ *   `command` without `args` runs without arguments
+ * @returns {CheckCommand} Command to run
+ */
+function resolveCheckCommand(
+  check,
+  { projectPath, packageManager, override = {} }
+) {
+  const [command, ...args] = DEFAULT_COMMANDS[packageManager][check];
+  const resolved = {
+    command: override.command || command,
+    // The default arguments belong to the default command
+    args: override.args || (override.command ? [] : args),
+    cwd: path.resolve(projectPath, override.cwd || '.'),
+    timeout: override.timeout || DEFAULT_TIMEOUTS[check],
+    env: { ...process.env, ...(override.env || {}) },
+  };
+  resolved.commandLine = [
+    resolved.command,
+    ...resolved.args.map((arg) => quoteArgument(arg)),
+  ].join(' ');
+  return resolved;
+}
+
+// Quotes arguments with spaces or shell characters so the shell passes them
+// on as they are. sh expands nothing inside single quotes, and a quote itself
+// is written '\''. cmd.exe only has double quotes, and still expands %VAR%
+// inside them, so arguments for Windows should not contain `%`.
+function quoteArgument(arg, platform = process.platform) {
+  if (/^[\w@+=:,./-]+$/.test(arg)) return arg;
+  if (platform === 'win32') return `"${arg.replace(/"/g, '""')}"`;
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = {
+  detectPackageManager,
+  resolveCheckCommand,
+};
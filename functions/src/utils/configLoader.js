@@ -0,0 +1,274 @@
+/**
+ * Shared loader for qa-grader.config.json.
+ * Validates the file against the published JSON Schema
+ * (functions/src/config/qa-grader.schema.json) and fills in the defaults the
+ * schema declares, so graders can read any field without guarding it.
+ */
+const fs = require('fs');
+const path = require('path');
+const schema = require('../config/qa-grader.schema.json');
+
+const CONFIG_FILE_NAME = 'qa-grader.config.json';
+
+/**
+ * Thrown when a config does not match the schema.
+ * `errors` holds one `{ path, message }` entry per problem.
+ */
+class ConfigValidationError extends Error {
+  constructor(errors, source = CONFIG_FILE_NAME) {
+    super(
+      `Invalid ${source}:\n${errors.map((e) => `  ${e.path}: ${e.message}`).join('\n')}`
+    );
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Load, validate and apply defaults to the project's qa-grader.config.json.
+ * @param {string} projectPath - Project root containing the config file
+ * @returns {Object} Full config with every section defaulted
+ */
+function loadConfig(projectPath) {
+  const configPath = path.resolve(projectPath, CONFIG_FILE_NAME);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(
+      `Configuration file "${CONFIG_FILE_NAME}" not found in the project root.`
+    );
+  }
+
+  let rawConfig;
+  try {
+    rawConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigValidationError([
+      { path: '$', message: `not valid JSON (${error.message})` },
+    ]);
+  }
+
+  const result = validateConfig(rawConfig);
+  if (!result.valid) {
+    throw new ConfigValidationError(result.errors);
+  }
+  return result.config;
+}
+
+/**
+ * Validate a full config object and apply defaults.
+ * @param {Object} rawConfig - Parsed qa-grader.config.json content
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, config: (Object|null)}}
+ */
+function validateConfig(rawConfig) {
+  const errors = validate(schema, rawConfig, '$');
+  if (errors.length > 0) {
+    return { valid: false, errors, config: null };
+  }
+  return { valid: true, errors, config: applyDefaults(schema, rawConfig) };
+}
+
+/**
+ * Validate and default a single section, e.g. a language grader config that
+ * arrives in a request body instead of the config file. Properties the
+ * section does not know about are left alone, since request bodies carry
+ * other fields too.
+ * @param {string} sectionName - Top-level section, e.g. "languageGrader"
+ * @param {Object} sectionConfig - Partial section config
+ * @returns {Object} Section config with defaults applied
+ */
+function resolveSection(sectionName, sectionConfig = {}) {
+  const sectionSchema = schema.properties[sectionName];
+  if (!sectionSchema) {
+    throw new Error(`Unknown config section: ${sectionName}`);
+  }
+
+  const errors = validate(sectionSchema, sectionConfig, `$.${sectionName}`, {
+    allowUnknown: true,
+  });
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+  return applyDefaults(sectionSchema, sectionConfig);
+}
+
+/**
+ * Get the default config (what an empty qa-grader.config.json resolves to).
+ * @returns {Object} Default config
+ */
+function getDefaultConfig() {
+  return applyDefaults(schema, {});
+}
+
+/**
+ * Validate a value against the subset of JSON Schema the grader schema uses:
+ * type, properties, required, additionalProperties, items, enum, minimum,
+ * maximum, minLength and anyOf.
+ * @param {Object} node - Schema node
+ * @param {*} value - Value to check
+ * @param {string} at - JSON path of the value
+ * @param {Object} options - `allowUnknown` skips the top-level additionalProperties check
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+function validate(node, value, at, options = {}) {
+  if (value === undefined) return [];
+
+  if (node.anyOf) {
+    const branches = node.anyOf.map((branch) => validate(branch, value, at));
+    if (branches.some((branchErrors) => branchErrors.length === 0)) return [];
+    return [
+      {
+        path: at,
+        message: `must match one of: ${node.anyOf.map(describeType).join(', ')}`,
+      },
+    ];
+  }
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some((type) => matchesType(type, value))) {
+      return [{ path: at, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    return [
+      {
+        path: at,
+        message: `must be one of ${node.enum.map((v) => JSON.stringify(v)).join(', ')}`,
+      },
+    ];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      errors.push({ path: at, message: `must be >= ${node.minimum}` });
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      errors.push({ path: at, message: `must be <= ${node.maximum}` });
+    }
+  }
+
+  if (
+    typeof value === 'string' &&
+    node.minLength !== undefined &&
+    value.length < node.minLength
+  ) {
+    errors.push({
+      path: at,
+      message: `must be at least ${node.minLength} characters`,
+    });
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(node.items, item, `${at}[${index}]`));
+    });
+  }
+
+  if (isPlainObject(value) && node.required) {
+    for (const key of node.required) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${at}.${key}`, message: 'is required' });
+      }
+    }
+  }
+
+  if (isPlainObject(value) && (node.properties || node.additionalProperties)) {
+    const properties = node.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${at}.${key}`;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, childPath));
+      } else if (isPlainObject(node.additionalProperties)) {
+        errors.push(...validate(node.additionalProperties, child, childPath));
+      } else if (node.additionalProperties === false && !options.allowUnknown) {
+        errors.push({
+          path: childPath,
+          message: unknownPropertyMessage(key, properties),
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in schema defaults for missing properties, recursing into objects.
+ * The input is not modified.
+ * @param {Object} node - Schema node
+ * @param {*} value - Validated value (may be undefined)
+ * @returns {*} Value with defaults applied
+ */
+function applyDefaults(node, value) {
+  if (value === undefined && node.default !== undefined) {
+    value = clone(node.default);
+  }
+  if (!isPlainObject(value)) return value;
+
+  const result = { ...value };
+  for (const [key, child] of Object.entries(node.properties || {})) {
+    const childValue = applyDefaults(child, result[key]);
+    if (childValue !== undefined) result[key] = childValue;
+  }
+  if (isPlainObject(node.additionalProperties)) {
+    for (const key of Object.keys(result)) {
+      if (node.properties && node.properties[key]) continue;
+      result[key] = applyDefaults(node.additionalProperties, result[key]);
+    }
+  }
+  return result;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(node) {
+  if (node.enum) return node.enum.map((v) => JSON.stringify(v)).join(' | ');
+  return Array.isArray(node.type)
+    ? node.type.join(' | ')
+    : node.type || 'value';
+}
+
+// Point at the intended key when a known one differs only in case
+function unknownPropertyMessage(key, properties) {
+  const match = Object.keys(properties).find(
+    (known) => known.toLowerCase() === key.toLowerCase()
+  );
+  return match
+    ? `unknown property "${key}" (did you mean "${match}"?)`
+    : `unknown property "${key}"`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  ConfigValidationError,
+  loadConfig,
+  validateConfig,
+  resolveSection,
+  getDefaultConfig,
+  schema,
+};
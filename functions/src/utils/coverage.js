@@ -0,0 +1,134 @@
+/**
+ * Coverage metrics for the code quality grader, read from the Istanbul
+ * coverage map Jest writes with `--coverage --json`: statement, branch,
+ * function and line coverage per file and overall, and coverage of the lines
+ * a change touched ("diff coverage").
+ */
+const path = require('path');
+
+const METRICS = ['statements', 'branches', 'functions', 'lines'];
+
+/**
+ * @typedef {Object} Metric
+ * @property {number} covered - Items run at least once
+ * @property {number} total - Items
+ * @property {number|null} pct - Percent covered (two decimals), null when there are none
+ */
+
+/**
+ * Summarise a coverage map.
+ * @param {Object} coverageMap - `coverageMap` of Jest's JSON output
+ * @param {Object} [options] - Options
+ * @param {string} [options.projectRoot] - Root that file paths are made relative to
+ * @param {number} [options.fileThreshold] - Percent below which a file is listed
+ * @param {Object} [options.changeSet] - Change set from gitDiff.getChangeSet
+ * @returns {{total: Object<string, Metric>, files: Array<Object>,
+ *   belowThreshold: Array<Object>, diff: (Metric|null)}} Per metric totals,
+ *   per file metrics, files under the threshold (with the metrics that are)
+ *   and the line coverage of changed lines
+ */
+function summarizeCoverage(
+  coverageMap,
+  { projectRoot = '.', fileThreshold, changeSet = null } = {}
+) {
+  const total = emptyMetrics();
+  const diff = { covered: 0, total: 0 };
+  const files = [];
+
+  for (const [key, entry] of Object.entries(coverageMap || {})) {
+    // Serialised FileCoverage objects keep their data under `data`
+    const data = entry && entry.data ? entry.data : entry;
+    if (!data) continue;
+    const file = data.path || key;
+
+    const lines = getLineHits(data);
+    const metrics = {
+      statements: countHits(Object.values(data.s || {})),
+      branches: countHits(Object.values(data.b || {}).flat()),
+      functions: countHits(Object.values(data.f || {})),
+      lines: countHits([...lines.values()]),
+    };
+    for (const metric of METRICS) {
+      total[metric].covered += metrics[metric].covered;
+      total[metric].total += metrics[metric].total;
+    }
+
+    if (changeSet && changeSet.hasFile(file)) {
+      for (const [line, hits] of lines) {
+        if (!changeSet.hasLine(file, line)) continue;
+        diff.total++;
+        if (hits > 0) diff.covered++;
+      }
+    }
+
+    files.push({
+      file: path
+        .relative(path.resolve(projectRoot), path.resolve(file))
+        .split(path.sep)
+        .join('/'),
+      ...Object.fromEntries(
+        METRICS.map((metric) => [metric, withPct(metrics[metric])])
+      ),
+    });
+  }
+  files.sort((a, b) => a.file.localeCompare(b.file));
+
+  const belowThreshold =
+    typeof fileThreshold === 'number'
+      ? files
+          .map((entry) => ({
+            file: entry.file,
+            below: METRICS.filter(
+              (metric) =>
+                entry[metric].pct !== null && entry[metric].pct < fileThreshold
+            ),
+          }))
+          .filter((entry) => entry.below.length > 0)
+      : [];
+
+  return {
+    total: Object.fromEntries(
+      METRICS.map((metric) => [metric, withPct(total[metric])])
+    ),
+    files,
+    belowThreshold,
+    diff: changeSet ? withPct(diff) : null,
+  };
+}
+
+// Hit count per line, from the statements that start on it (as Istanbul does)
+function getLineHits(data) {
+  const lines = new Map();
+  for (const [id, statement] of Object.entries(data.statementMap || {})) {
+    const line = statement.start.line;
+    const hits = (data.s && data.s[id]) || 0;
+    if (!lines.has(line) || hits > lines.get(line)) lines.set(line, hits);
+  }
+  return lines;
+}
+
+function countHits(hits) {
+  return {
+    covered: hits.filter((count) => count > 0).length,
+    total: hits.length,
+  };
+}
+
+function emptyMetrics() {
+  return Object.fromEntries(
+    METRICS.map((metric) => [metric, { covered: 0, total: 0 }])
+  );
+}
+
+function withPct({ covered, total }) {
+  return {
+    covered,
+    total,
+    pct: total > 0 ? Math.round((covered / total) * 10000) / 100 : null,
+  };
+}
+
+module.exports = {
+  METRICS,
+  summarizeCoverage,
+};
@@ -0,0 +1,169 @@
+/**
+ * Custom componentGrader rules: house rules a team writes without touching
+ * the grader. They are loaded from the modules listed in
+ * `componentGrader.plugins` and from every .js file in the project's
+ * `componentGrader.rulesDirectory`, and run next to the built-in rules.
+ *
+ * A rule module exports a rule, an array of rules or `{ rules: [...] }`:
+ *
+ *   module.exports = {
+ *     id: 'requireErrorBoundary',
+ *     category: 'houseRules',
+ *     defaultSeverity: 'error',
+ *     meta: {
+ *       name: 'RequireErrorBoundary',
+ *       description: 'Screens must render an ErrorBoundary.',
+ *       help: 'Wrap the screen in <ErrorBoundary> so a crash shows the fallback.',
+ *     },
+ *     create: (ctx) => ({
+ *       Program(programPath) { ... ctx.report(node, 'Missing ErrorBoundary') },
+ *     }),
+ *   };
+ *
+ * Custom rules are on unless `componentGrader.customRules[id]` is false. Their
+ * findings go into the report and score like those of the built-in rules.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ConfigValidationError } = require('./configLoader');
+const { hash } = require('./analysisCache');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Report category of rules that do not name one
+const DEFAULT_CATEGORY = 'custom';
+
+// Report keys the grader fills in itself, so no category may use them
+const RESERVED_CATEGORIES = ['rules', 'summary', 'suppressions', 'incremental'];
+
+/**
+ * @typedef {Object} RuleContext
+ * @property {string} file - Path of the file being analysed
+ * @property {string} code - Source of the file
+ * @property {function(Object, string, Object=): void} report - Files an
+ *   issue: `report(node, issue, extra)`; `extra` is merged into the issue,
+ *   e.g. `{ component: 'Pressable' }`
+ * @property {Object} utils - The jsxAst helpers (getProp, getBaseName, ...)
+ */
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} id - Unique rule id, also its key in `componentGrader.customRules`
+ * @property {string} [category] - Report category, "custom" by default; not
+ *   one of the report keys the grader fills in (rules, summary, ...)
+ * @property {'error'|'warning'|'info'} defaultSeverity - Severity in exports (e.g. SARIF)
+ * @property {{name: string, description: string, help: (string|undefined)}} meta - Rule documentation
+ * @property {function(RuleContext): Object} create - Returns a Babel visitor
+ *   for the parsed file
+ */
+
+/**
+ * Load the custom rules of a project.
+ * @param {string} projectPath - Project root
+ * @param {Object} config - The `componentGrader` section of the config
+ * @param {Array<string>} [builtInIds] - Ids the custom rules must not reuse
+ * @returns {Array<Rule>} Rules, each with a `source` (the file it came from)
+ *   and a `hash` of that file, so cached analyses are redone when it changes
+ * @throws {ConfigValidationError} When a rule module is missing or invalid
+ */
+function loadCustomRules(projectPath, config, builtInIds = []) {
+  const root = path.resolve(projectPath);
+  const sources = (config.plugins || []).map((specifier, index) => ({
+    specifier,
+    at: `$.componentGrader.plugins[${index}]`,
+  }));
+
+  if (config.rulesDirectory) {
+    const directory = path.resolve(root, config.rulesDirectory);
+    const stat = fs.statSync(directory, { throwIfNoEntry: false });
+    if (stat && stat.isDirectory()) {
+      for (const name of fs.readdirSync(directory).sort()) {
+        if (!/\.c?js$/.test(name)) continue;
+        sources.push({
+          specifier: path.join(directory, name),
+          at: '$.componentGrader.rulesDirectory',
+        });
+      }
+    }
+  }
+
+  const rules = [];
+  const seen = new Set(builtInIds);
+  for (const { specifier, at } of sources) {
+    let file;
+    let exported;
+    try {
+      file = require.resolve(specifier, { paths: [root] });
+      exported = require(file);
+    } catch (error) {
+      throw new ConfigValidationError([
+        {
+          path: at,
+          message: `cannot load rule module "${specifier}": ${error.message}`,
+        },
+      ]);
+    }
+
+    for (const rule of toRuleList(exported)) {
+      const problem = checkRule(rule);
+      if (problem || seen.has(rule.id)) {
+        throw new ConfigValidationError([
+          {
+            path: at,
+            message: `${path.relative(root, file)}: ${problem || `duplicate rule id "${rule.id}"`}`,
+          },
+        ]);
+      }
+      seen.add(rule.id);
+      rules.push({
+        ...rule,
+        meta: { name: rule.id, ...rule.meta },
+        category: rule.category || DEFAULT_CATEGORY,
+        source: path.relative(root, file).split(path.sep).join('/'),
+        hash: hash(fs.readFileSync(file, 'utf8')),
+      });
+    }
+  }
+  return rules;
+}
+
+function toRuleList(exported) {
+  // Modules compiled from ESM keep their export under `default`
+  const value = exported && exported.__esModule ? exported.default : exported;
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.rules)) return value.rules;
+  return [value];
+}
+
+// Describes what is wrong with a rule object, or returns null
+function checkRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'a rule must be an object';
+  if (typeof rule.id !== 'string' || rule.id === '') {
+    return 'a rule needs a string id';
+  }
+  if (typeof rule.create !== 'function') {
+    return `rule "${rule.id}" needs a create(ctx) function`;
+  }
+  if (!rule.meta || typeof rule.meta.description !== 'string') {
+    return `rule "${rule.id}" needs meta.description`;
+  }
+  if (!SEVERITIES.includes(rule.defaultSeverity)) {
+    return `rule "${rule.id}" needs a defaultSeverity of ${SEVERITIES.join(', ')}`;
+  }
+  if (rule.category !== undefined && typeof rule.category !== 'string') {
+    return `rule "${rule.id}" has a category that is not a string`;
+  }
+  // Names like "constructor" would read the report's prototype
+  if (
+    RESERVED_CATEGORIES.includes(rule.category) ||
+    rule.category in Object.prototype
+  ) {
+    return `rule "${rule.id}" cannot use the reserved category "${rule.category}"`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  loadCustomRules,
+};
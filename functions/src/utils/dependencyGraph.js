@@ -0,0 +1,634 @@
+/**
+ * Module dependency graph of a project, built from the imports FileScanner
+ * extracts. Relative imports and path aliases (tsconfig.json/jsconfig.json
+ * `paths` and `baseUrl`, the babel module-resolver plugin's `alias` and
+ * `root`, and `dependencyGraph.aliases`) are resolved to project files, the
+ * way Metro resolves them: with or without an extension, React Native
+ * platform variants (Button.ios.js, Button.android.js) and directory index
+ * files. Anything else is a package import and stays out of the graph.
+ *
+ * The graph is checked for circular dependencies, imports that do not
+ * resolve, orphan files nothing imports, and imports that cross the layering
+ * rules in `dependencyGraph.boundaries`.
+ */
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const FileScanner = require('./fileScanner');
+
+// Tried in this order when an import leaves out the extension
+const EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.json'];
+
+// React Native platform variants, e.g. Button.ios.js for "./Button"
+const PLATFORMS = ['ios', 'android', 'native', 'web'];
+
+const TSCONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// Babel configs read for module-resolver aliases, besides the `babel` key of
+// package.json. JavaScript configs would have to run inside the grader, so
+// they are only reported: their aliases go in `dependencyGraph.aliases`.
+const BABEL_CONFIG_FILES = ['babel.config.json', '.babelrc', '.babelrc.json'];
+const BABEL_SCRIPT_FILES = [
+  'babel.config.js',
+  'babel.config.cjs',
+  'babel.config.mjs',
+  '.babelrc.js',
+  '.babelrc.cjs',
+  '.babelrc.mjs',
+];
+
+/**
+ * @typedef {Object} Alias
+ * @property {string} pattern - Import pattern with at most one `*`, e.g. "@app/*"
+ * @property {Array<string>} targets - Absolute paths with the same `*`
+ */
+
+/**
+ * @typedef {Object} ResolveSettings
+ * @property {Array<Alias>} aliases - Longest matching pattern wins
+ * @property {Array<string>} roots - Absolute directories that bare imports
+ *   are also looked up in (tsconfig `baseUrl`, babel `root`)
+ * @property {Array<string>} warnings - Config files that could not be read
+ */
+
+/**
+ * Read the path aliases of a project.
+ * @param {string} projectPath - Project root
+ * @param {Object} [aliases] - `dependencyGraph.aliases`: pattern to target(s),
+ *   relative to the project. Overrides aliases from tsconfig and babel.
+ * @returns {ResolveSettings} Aliases and root directories
+ */
+function loadResolveSettings(projectPath, aliases = {}) {
+  const root = path.resolve(projectPath);
+  const settings = { aliases: [], roots: [], warnings: [] };
+
+  const tsconfig = readTsConfig(root, settings.warnings);
+  if (tsconfig.baseUrl) settings.roots.push(tsconfig.baseUrl);
+  for (const [pattern, targets] of Object.entries(tsconfig.paths)) {
+    // A catch-all "*" falls back to packages, like baseUrl
+    if (pattern === '*') {
+      settings.roots.push(
+        ...targets
+          .filter((target) => /(^|\/)\*$/.test(target))
+          .map((target) =>
+            path.resolve(tsconfig.pathsBase, target.slice(0, -1))
+          )
+      );
+      continue;
+    }
+    settings.aliases.push({
+      pattern,
+      targets: targets.map((target) =>
+        path.resolve(tsconfig.pathsBase, target)
+      ),
+    });
+  }
+
+  const babel = readBabelResolver(root, settings.warnings);
+  settings.roots.push(...babel.roots);
+  settings.aliases.push(...babel.aliases);
+
+  settings.aliases.push(...toAliases(aliases, root));
+
+  // Later entries override earlier ones with the same pattern
+  const byPattern = new Map(
+    settings.aliases.map((alias) => [alias.pattern, alias])
+  );
+  settings.aliases = [...byPattern.values()];
+  return settings;
+}
+
+// `{ "@app": "./src" }` also covers "@app/...", like babel module-resolver;
+// patterns with a `*` map the way tsconfig `paths` do
+function toAliases(aliases, base) {
+  const result = [];
+  for (const [pattern, target] of Object.entries(aliases)) {
+    const targets = [].concat(target).map((entry) => path.resolve(base, entry));
+    result.push({ pattern, targets });
+    if (!pattern.includes('*')) {
+      result.push({
+        pattern: `${pattern}/*`,
+        targets: targets.map((entry) => path.join(entry, '*')),
+      });
+    }
+  }
+  return result;
+}
+
+// `baseUrl` and `paths` of tsconfig.json (or jsconfig.json), following `extends`
+function readTsConfig(root, warnings) {
+  const result = { baseUrl: null, paths: {}, pathsBase: root };
+  const file = TSCONFIG_FILES.map((name) => path.join(root, name)).find(
+    (candidate) => fs.existsSync(candidate)
+  );
+  if (file) mergeTsConfig(file, result, warnings, new Set());
+  return result;
+}
+
+function mergeTsConfig(file, result, warnings, seen) {
+  if (seen.has(file)) return;
+  seen.add(file);
+
+  let config;
+  try {
+    config = parseJsonc(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    warnings.push(`${file}: ${error.message}`);
+    return;
+  }
+
+  // Parents first, so this file's options win
+  const dir = path.dirname(file);
+  for (const parent of [].concat(config.extends || [])) {
+    const parentFile = resolveExtends(parent, dir);
+    if (parentFile) mergeTsConfig(parentFile, result, warnings, seen);
+    else warnings.push(`${file}: cannot find extended config "${parent}"`);
+  }
+
+  const options = config.compilerOptions || {};
+  if (typeof options.baseUrl === 'string') {
+    result.baseUrl = path.resolve(dir, options.baseUrl);
+  }
+  if (options.paths && typeof options.paths === 'object') {
+    result.paths = options.paths;
+    result.pathsBase = dir;
+  }
+  // `paths` are relative to baseUrl when there is one
+  if (result.baseUrl) result.pathsBase = result.baseUrl;
+}
+
+function resolveExtends(specifier, dir) {
+  const candidates = specifier.endsWith('.json')
+    ? [specifier]
+    : [specifier, `${specifier}.json`];
+  for (const candidate of candidates) {
+    try {
+      return require.resolve(
+        candidate.startsWith('.') ? path.resolve(dir, candidate) : candidate,
+        { paths: [dir] }
+      );
+    } catch {
+      // Try the next form
+    }
+  }
+  return null;
+}
+
+// JSON with comments and trailing commas, as tsconfig.json and .babelrc allow
+function parseJsonc(text) {
+  return JSON.parse(
+    text.replace(
+      /("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\/|,(?=\s*[}\]])/g,
+      (match, string) => string || ''
+    )
+  );
+}
+
+// `alias` and `root` of the babel module-resolver plugin, if the project uses it
+function readBabelResolver(root, warnings) {
+  const result = { aliases: [], roots: [] };
+  for (const name of BABEL_SCRIPT_FILES) {
+    const file = path.join(root, name);
+    if (fs.existsSync(file)) {
+      warnings.push(
+        `${file}: JavaScript babel configs are not run, list their aliases in dependencyGraph.aliases`
+      );
+    }
+  }
+
+  let config;
+  try {
+    config = readBabelConfig(root);
+  } catch (error) {
+    warnings.push(error.message);
+    return result;
+  }
+  if (!config) return result;
+
+  const plugin = ((config && config.plugins) || []).find((entry) =>
+    /(^|[/\\])(babel-plugin-)?module-resolver$/.test([].concat(entry)[0])
+  );
+  const options = plugin && [].concat(plugin)[1];
+  if (!options) return result;
+
+  // cwd "babelrc" and "packagejson" both mean the project root here
+  const base = ['babelrc', 'packagejson'].includes(options.cwd)
+    ? root
+    : path.resolve(root, options.cwd || '.');
+  result.roots = []
+    .concat(options.root || [])
+    .map((dir) => path.resolve(base, dir));
+  // Regular expression aliases ("^@(.+)") cannot be listed as patterns
+  const aliases = Object.fromEntries(
+    Object.entries(options.alias || {}).filter(
+      ([pattern, target]) =>
+        !pattern.startsWith('^') && typeof target === 'string'
+    )
+  );
+  result.aliases = toAliases(aliases, base);
+  return result;
+}
+
+// The first JSON babel config of the project, or null when there is none
+function readBabelConfig(root) {
+  const read = (file) => {
+    try {
+      return parseJsonc(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  };
+
+  for (const name of BABEL_CONFIG_FILES) {
+    const file = path.join(root, name);
+    if (fs.existsSync(file)) return read(file);
+  }
+  const packageFile = path.join(root, 'package.json');
+  return fs.existsSync(packageFile) ? read(packageFile).babel || null : null;
+}
+
+/**
+ * Create a resolver for the imports of project files.
+ * @param {ResolveSettings} settings - From loadResolveSettings
+ * @returns {function(string, string): {status: string, files: Array<string>}}
+ *   `(specifier, fromFile)`: "resolved" with the absolute files the import
+ *   can load (every platform variant), "unresolved" for relative and alias
+ *   imports that match no file, or "external" for packages
+ */
+function createResolver(settings) {
+  const stats = new Map();
+  const isFile = (file) => {
+    if (!stats.has(file)) {
+      const stat = fs.statSync(file, { throwIfNoEntry: false });
+      stats.set(file, Boolean(stat && stat.isFile()));
+    }
+    return stats.get(file);
+  };
+
+  // The file itself, else every extension and platform variant of the
+  // first extension that exists, else the same for the directory's index
+  const findFiles = (base) => {
+    if (isFile(base)) return [base];
+    for (const candidate of [base, path.join(base, 'index')]) {
+      for (const ext of EXTENSIONS) {
+        const files = [
+          `${candidate}${ext}`,
+          ...PLATFORMS.map((platform) => `${candidate}.${platform}${ext}`),
+        ].filter(isFile);
+        if (files.length > 0) return files;
+      }
+    }
+    return [];
+  };
+
+  const found = (files) =>
+    files.length > 0
+      ? { status: 'resolved', files }
+      : { status: 'unresolved', files: [] };
+
+  return (specifier, fromFile) => {
+    if (/^\.{1,2}(\/|$)/.test(specifier) || path.isAbsolute(specifier)) {
+      return found(findFiles(path.resolve(path.dirname(fromFile), specifier)));
+    }
+
+    const alias = matchAlias(settings.aliases, specifier);
+    if (alias) {
+      for (const target of alias.targets) {
+        const files = findFiles(target);
+        if (files.length > 0) return found(files);
+      }
+      return found([]);
+    }
+
+    for (const root of settings.roots) {
+      const files = findFiles(path.resolve(root, specifier));
+      if (files.length > 0) return found(files);
+    }
+    return { status: 'external', files: [] };
+  };
+}
+
+// The alias with the longest prefix before its `*` that matches, with the
+// matched part substituted into its targets
+function matchAlias(aliases, specifier) {
+  let best = null;
+  for (const { pattern, targets } of aliases) {
+    const star = pattern.indexOf('*');
+    let captured;
+    if (star === -1) {
+      if (specifier !== pattern) continue;
+      captured = '';
+    } else {
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (
+        !specifier.startsWith(prefix) ||
+        !specifier.endsWith(suffix) ||
+        specifier.length < prefix.length + suffix.length
+      ) {
+        continue;
+      }
+      captured = specifier.slice(
+        prefix.length,
+        specifier.length - suffix.length
+      );
+    }
+    // An exact pattern beats any wildcard one
+    const rank = star === -1 ? Infinity : star;
+    if (!best || rank > best.rank) {
+      best = {
+        rank,
+        targets: targets.map((target) => target.replace('*', captured)),
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * Build the dependency graph of a set of files.
+ * @param {Array<{file: string, imports: Array<Object>}>} modules - Absolute
+ *   file paths with their imports from FileScanner.extractImports
+ * @param {function(string, string): Object} resolve - From createResolver
+ * @returns {{graph: Map<string, Array<Object>>, unresolved: Array<Object>}}
+ *   Each file's edges (`{ to, module, line }`) and the imports that did not
+ *   resolve (`{ file, line, module }`)
+ */
+function buildGraph(modules, resolve) {
+  const graph = new Map();
+  const unresolved = [];
+
+  for (const { file, imports } of modules) {
+    const edges = [];
+    for (const { module, line } of imports) {
+      const { status, files } = resolve(module, file);
+      if (status === 'unresolved') unresolved.push({ file, line, module });
+      for (const to of files) edges.push({ to, module, line });
+    }
+    graph.set(file, edges);
+  }
+
+  return { graph, unresolved };
+}
+
+/**
+ * Find circular dependencies: one cycle for every group of files that
+ * import each other (strongly connected component), starting at the group's
+ * first file in path order so a cycle is reported the same way every run.
+ * @param {Map<string, Array<Object>>} graph - From buildGraph
+ * @returns {Array<{files: Array<string>, edges: Array<Object>, size: number}>}
+ *   The files of the cycle (the first again at the end), the edge taken from
+ *   each file, and how many files the group has
+ */
+function findCycles(graph) {
+  const cycles = [];
+  for (const component of stronglyConnected(graph)) {
+    const members = new Set(component);
+    const start = [...component].sort()[0];
+    const selfImport = (graph.get(start) || []).find(
+      (edge) => edge.to === start
+    );
+    if (component.length === 1 && !selfImport) continue;
+
+    const edges = selfImport
+      ? [selfImport]
+      : shortestCycle(graph, start, members);
+    cycles.push({
+      files: [start, ...edges.map((edge) => edge.to)],
+      edges,
+      size: component.length,
+    });
+  }
+  return cycles.sort((a, b) => a.files[0].localeCompare(b.files[0]));
+}
+
+// Tarjan's algorithm, iterative so deep import chains cannot overflow the stack
+function stronglyConnected(graph) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const root of graph.keys()) {
+    if (index.has(root)) continue;
+    const work = [{ node: root, next: 0 }];
+    index.set(root, counter);
+    lowLink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const edges = (graph.get(frame.node) || []).filter((edge) =>
+        graph.has(edge.to)
+      );
+
+      if (frame.next < edges.length) {
+        const { to } = edges[frame.next++];
+        if (!index.has(to)) {
+          index.set(to, counter);
+          lowLink.set(to, counter++);
+          stack.push(to);
+          onStack.add(to);
+          work.push({ node: to, next: 0 });
+        } else if (onStack.has(to)) {
+          lowLink.set(
+            frame.node,
+            Math.min(lowLink.get(frame.node), index.get(to))
+          );
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(
+          parent,
+          Math.min(lowLink.get(parent), lowLink.get(frame.node))
+        );
+      }
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+// Breadth-first search inside a component for the shortest way back to start
+function shortestCycle(graph, start, members) {
+  const via = new Map();
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const edge of graph.get(node)) {
+      if (!members.has(edge.to)) continue;
+      if (edge.to === start) {
+        const edges = [edge];
+        for (let at = node; at !== start; at = via.get(at).from) {
+          edges.unshift(via.get(at).edge);
+        }
+        return edges;
+      }
+      if (!via.has(edge.to)) {
+        via.set(edge.to, { from: node, edge });
+        queue.push(edge.to);
+      }
+    }
+  }
+  return [];
+}
+
+/**
+ * Find files no other file imports, leaving out entry points.
+ * @param {Map<string, Array<Object>>} graph - From buildGraph
+ * @param {Set<string>} entryPoints - Absolute paths of files that are not
+ *   imported by design
+ * @returns {Array<string>} Orphan files in path order
+ */
+function findOrphans(graph, entryPoints) {
+  const imported = new Set();
+  for (const [file, edges] of graph) {
+    for (const edge of edges) {
+      if (edge.to !== file) imported.add(edge.to);
+    }
+  }
+  return [...graph.keys()]
+    .filter((file) => !imported.has(file) && !entryPoints.has(file))
+    .sort();
+}
+
+/**
+ * Find imports that break a layering rule.
+ * @param {Map<string, Array<Object>>} graph - From buildGraph
+ * @param {Array<{from: Set<string>, disallow: Array<{pattern: string, files: Set<string>}>}>} boundaries -
+ *   Rules with their globs expanded, see expandBoundaries
+ * @returns {Array<Object>} `{ file, line, module, target, boundary, pattern }`
+ *   for every offending import
+ */
+function findBoundaryViolations(graph, boundaries) {
+  const violations = [];
+  for (const [file, edges] of graph) {
+    for (const boundary of boundaries) {
+      if (!boundary.from.has(file)) continue;
+      for (const edge of edges) {
+        const rule = boundary.disallow.find(({ files }) => files.has(edge.to));
+        if (!rule) continue;
+        violations.push({
+          file,
+          line: edge.line,
+          module: edge.module,
+          target: edge.to,
+          boundary: boundary.index,
+          pattern: rule.pattern,
+        });
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * Expand the globs of `dependencyGraph.boundaries` into sets of files.
+ * @param {string} projectPath - Project root the globs are relative to
+ * @param {Array<Object>} boundaries - `{ from, disallow, message }` rules
+ * @returns {Array<Object>} The rules with `from` as a Set of absolute paths
+ *   and `disallow` as `{ pattern, files }` entries
+ */
+function expandBoundaries(projectPath, boundaries) {
+  const expand = (patterns) => expandGlobs(projectPath, patterns);
+  return boundaries.map((boundary, index) => ({
+    index,
+    message: boundary.message,
+    from: expand(boundary.from),
+    disallow: boundary.disallow.map((pattern) => ({
+      pattern,
+      files: expand(pattern),
+    })),
+  }));
+}
+
+/**
+ * Absolute paths of the files matching project-relative globs.
+ * @param {string} projectPath - Project root
+ * @param {string|Array<string>} patterns - Globs
+ * @returns {Set<string>} Matching files
+ */
+function expandGlobs(projectPath, patterns) {
+  return new Set(
+    glob.sync([].concat(patterns), {
+      cwd: path.resolve(projectPath),
+      absolute: true,
+      nodir: true,
+      ignore: ['node_modules/**'],
+    })
+  );
+}
+
+/**
+ * Scan a project and check its dependency graph.
+ * @param {string} projectPath - Project root
+ * @param {Object} config - The `dependencyGraph` section of the config
+ * @param {Object} [options] - Options
+ * @param {Object} [options.cache] - AnalysisCache shared with FileScanner
+ * @returns {Promise<Object>} `{ files, graph, cycles, unresolved, orphans,
+ *   boundaryViolations, warnings, cache }`; each finding list is empty when
+ *   its check is off
+ */
+async function analyzeDependencies(projectPath, config, options = {}) {
+  const root = path.resolve(projectPath);
+  const scanner = new FileScanner({ cache: options.cache || false });
+  const { files, summary } = await scanner.scanFiles(config.sourcePattern, {
+    cwd: root,
+    ignore: [].concat(config.ignorePattern),
+    analyzeCode: true,
+  });
+
+  const modules = files
+    .filter((file) => file.codeAnalysis)
+    .map((file) => ({
+      file: file.absolutePath,
+      imports: file.codeAnalysis.imports,
+    }));
+
+  const settings = loadResolveSettings(root, config.aliases);
+  const { graph, unresolved } = buildGraph(modules, createResolver(settings));
+  const { checks } = config;
+  const boundaries = checks.boundaries
+    ? expandBoundaries(root, config.boundaries)
+    : [];
+
+  return {
+    files: modules.map((module) => module.file),
+    graph,
+    cycles: checks.cycles ? findCycles(graph) : [],
+    unresolved: checks.unresolvedImports ? unresolved : [],
+    orphans: checks.orphans
+      ? findOrphans(graph, expandGlobs(root, config.entryPoints))
+      : [],
+    boundaryViolations: findBoundaryViolations(graph, boundaries),
+    warnings: settings.warnings,
+    cache: summary.cache,
+  };
+}
+
+module.exports = {
+  analyzeDependencies,
+  loadResolveSettings,
+  createResolver,
+  buildGraph,
+  findCycles,
+  findOrphans,
+  findBoundaryViolations,
+  expandBoundaries,
+};
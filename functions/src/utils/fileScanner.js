@@ -1,9 +1,11 @@
 const fs = require('fs').promises;
 const path = require('path');
 const glob = require('glob');
-const { promisify } = require('util');
+const { findTranslationKeys } = require('./i18nUsage');
+const { AnalysisCache } = require('./analysisCache');
 
-const globAsync = promisify(glob);
+// Bump when analyzeSourceFile changes, so cached analyses are redone
+const ANALYZER_VERSION = 2;
 
 /**
  * File Scanner Utility for Companion Grader Functions
@@ -26,8 +28,8 @@ class FileScanner {
       ],
       translationPatterns: config.translationPatterns || [
         '**/i18n.js',
-        '**/locales/**/*.json',
-        '**/translations/**/*.json',
+        '**/locales/**/*.{json,yaml,yml,po,xlf,xliff}',
+        '**/translations/**/*.{json,yaml,yml,po,xlf,xliff}',
         'store/en.json'
       ],
       testPatterns: config.testPatterns || [
@@ -35,11 +37,23 @@ class FileScanner {
         '**/*.spec.{js,jsx,ts,tsx}',
         '**/__tests__/**/*.{js,jsx,ts,tsx}'
       ],
+      // Translation call styles (translationFunctions, translationComponents, namespaceSeparator)
+      i18n: config.i18n || {},
       // Performance settings
       maxFileSize: config.maxFileSize || 5 * 1024 * 1024, // 5MB
       timeout: config.timeout || 30000, // 30 seconds
+      // Analysis cache directory, e.g. inside the scanned project. Without one
+      // there is no cache, unless `cache: new AnalysisCache(...)` shares one
+      cacheDirectory: config.cacheDirectory,
       ...config
     };
+
+    this.cache = config.cache instanceof AnalysisCache
+      ? config.cache
+      : new AnalysisCache({
+        directory: this.config.cacheDirectory,
+        enabled: config.cache !== false
+      });
   }
 
   /**
@@ -64,14 +78,19 @@ class FileScanner {
       
       // Scan all patterns concurrently
       const allMatches = await Promise.all(
-        normalizedPatterns.map(pattern => globAsync(pattern, scanOptions))
+        normalizedPatterns.map(pattern => glob.glob(pattern, scanOptions))
       );
 
       // Flatten and deduplicate results
       const uniqueFiles = [...new Set(allMatches.flat())];
 
       // Get file metadata in parallel with concurrency limit
-      const fileResults = await this.processFilesInBatches(uniqueFiles, options);
+      const cacheStats = { hits: 0, misses: 0 };
+      const fileResults = await this.processFilesInBatches(uniqueFiles, {
+        ...options,
+        cacheStats
+      });
+      this.cache.save();
 
       const endTime = Date.now();
       
@@ -80,6 +99,7 @@ class FileScanner {
         summary: {
           totalFiles: fileResults.length,
           scanTime: endTime - startTime,
+          cache: cacheStats,
           patterns: normalizedPatterns,
           options: scanOptions
         }
@@ -159,7 +179,11 @@ class FileScanner {
 
       // Add code analysis if it's a source file
       if (options.analyzeCode && this.isSourceFile(filePath)) {
-        fileData.codeAnalysis = await this.analyzeSourceFile(filePath, fileData.content);
+        fileData.codeAnalysis = await this.analyzeSourceFile(
+          filePath,
+          fileData.content,
+          options.cacheStats
+        );
       }
 
       return fileData;
@@ -193,16 +217,41 @@ class FileScanner {
   }
 
   /**
-   * Analyze source code files for patterns and metrics
+   * Analyze source code files for patterns and metrics. Files whose content
+   * has not changed since the last run are served from the analysis cache.
    * @param {string} filePath - Path to source file
    * @param {string} content - File content (optional, will read if not provided)
+   * @param {Object} [cacheStats] - `{ hits, misses }` counters to update
    * @returns {Promise<Object>} Code analysis results
    */
-  async analyzeSourceFile(filePath, content = null) {
+  async analyzeSourceFile(filePath, content = null, cacheStats = null) {
     if (!content) {
       content = await this.readFileContent(filePath);
     }
 
+    const { value, hit } = this.cache.getOrCompute(
+      'scanner',
+      {
+        file: filePath,
+        content,
+        version: ANALYZER_VERSION,
+        config: this.config.i18n
+      },
+      () => this.computeAnalysis(filePath, content)
+    );
+    if (cacheStats && this.cache.enabled) {
+      cacheStats[hit ? 'hits' : 'misses']++;
+    }
+    return value;
+  }
+
+  /**
+   * Analysis behind analyzeSourceFile, without the cache
+   * @param {string} filePath - Path to source file
+   * @param {string} content - File content
+   * @returns {Object} Code analysis results
+   */
+  computeAnalysis(filePath, content) {
     const analysis = {
       // Basic metrics
       lines: content.split('\n').length,
@@ -232,20 +281,21 @@ class FileScanner {
    * @returns {Object} i18n analysis results
    */
   analyzeI18nUsage(content) {
-    const i18nKeyRegex = /i18n\.t\(['"`]([^'"`]+)['"`]\)/g;
     const hardcodedTextRegex = />\s*([A-Za-z][^<{]+?)\s*</g;
     
     const usedKeys = [];
+    const dynamicKeys = [];
     const hardcodedStrings = [];
     
     let match;
     
-    // Find i18n key usage
-    while ((match = i18nKeyRegex.exec(content)) !== null) {
-      usedKeys.push({
-        key: match[1],
-        line: this.getLineNumber(content, match.index)
-      });
+    // Find i18n key usage; dynamic keys only have a known prefix
+    for (const usage of findTranslationKeys(content, this.config.i18n)) {
+      if (usage.dynamic) {
+        dynamicKeys.push({ prefix: usage.key, namespace: usage.namespace, line: usage.line });
+      } else {
+        usedKeys.push({ key: usage.key, namespace: usage.namespace, line: usage.line });
+      }
     }
     
     // Find potential hardcoded strings
@@ -261,6 +311,7 @@ class FileScanner {
     
     return {
       usedKeys,
+      dynamicKeys,
       hardcodedStrings,
       hasI18nImport: /import.*i18n/.test(content),
       keyCount: usedKeys.length,
@@ -287,24 +338,48 @@ class FileScanner {
   }
 
   /**
-   * Extract import statements from source code
+   * Extract import statements from source code: static imports (including
+   * side-effect and type-only ones), `export ... from`, `require()` and
+   * dynamic `import()`
    * @param {string} content - File content
-   * @returns {Array} Array of import objects
+   * @returns {Array} Array of import objects, in source order
    */
   extractImports(content) {
-    const importRegex = /import\s+(?:(?:\*\s+as\s+\w+)|(?:\{[^}]*\})|(?:\w+(?:\s*,\s*\{[^}]*\})?))?\s+from\s+['"`]([^'"`]+)['"`]/g;
-    const imports = [];
-    let match;
-
-    while ((match = importRegex.exec(content)) !== null) {
-      imports.push({
-        module: match[1],
-        line: this.getLineNumber(content, match.index),
-        statement: match[0]
-      });
+    // The module is the last capture group; static imports take their kind
+    // (import or export) from the first
+    const importPatterns = [
+      {
+        regex:
+          /(?<![\w$.])(import|export)\s+(?:type\s+)?(?:[\w$]+\s*,?\s*)?(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})?\s*from\s*['"]([^'"]+)['"]/g
+      },
+      { kind: 'import', regex: /(?<![\w$.])import\s*['"]([^'"]+)['"]/g },
+      {
+        kind: 'require',
+        regex: /(?<![\w$.])require\s*\(\s*['"`]([^'"`$]+)['"`]\s*\)/g
+      },
+      {
+        kind: 'dynamic',
+        regex: /(?<![\w$.])import\s*\(\s*['"`]([^'"`$]+)['"`]\s*\)/g
+      }
+    ];
+    const found = [];
+
+    for (const { kind, regex } of importPatterns) {
+      let match;
+      while ((match = regex.exec(content)) !== null) {
+        found.push({
+          index: match.index,
+          entry: {
+            module: match[match.length - 1],
+            line: this.getLineNumber(content, match.index),
+            statement: match[0],
+            kind: kind || match[1]
+          }
+        });
+      }
     }
 
-    return imports;
+    return found.sort((a, b) => a.index - b.index).map(({ entry }) => entry);
   }
 
   /**
@@ -379,8 +454,12 @@ class FileScanner {
       return 'source';
     }
 
-    // Translation files
-    if (ext === '.json' && 
+    // Translation files: gettext and XLIFF are always translations, JSON and
+    // YAML only in translation folders or with a translation-like name
+    if (['.po', '.pot', '.xlf', '.xliff'].includes(ext)) {
+      return 'translation';
+    }
+    if (['.json', '.yaml', '.yml'].includes(ext) && 
         (filePath.includes('/locales/') || 
          filePath.includes('/translations/') || 
          fileName.includes('i18n') ||
@@ -474,6 +553,15 @@ class FileScanner {
         // Code analysis summary
         i18nSummary: this.summarizeI18nUsage(components.files),
         componentSummary: this.summarizeComponentPatterns(components.files),
+
+        // Analysis cache hits and misses over all scans
+        cache: [sourceFiles, components, translations, tests].reduce(
+          (total, scan) => ({
+            hits: total.hits + scan.summary.cache.hits,
+            misses: total.misses + scan.summary.cache.misses
+          }),
+          { hits: 0, misses: 0 }
+        ),
         
         // Timing
         scanTime: Date.now() - startTime,
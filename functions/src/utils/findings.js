@@ -0,0 +1,258 @@
+const { createHash } = require('crypto');
+const path = require('path');
+
+/**
+ * Findings helpers for the Companion Grader Functions.
+ * Flattens the file-level issues of a combined report (component, language,
+ * dependency graph, ESLint and TypeScript) into one list, with the rule metadata the graders
+ * publish in `report.rules`, so exporters don't need to know each report shape.
+ */
+
+// Combined-report sections that carry file-level findings
+const GRADER_SECTIONS = ['components', 'language', 'quality', 'dependencies'];
+
+const LANGUAGE_MESSAGES = {
+  missingKeys: (finding) =>
+    `Translation key "${finding.namespace ? `${finding.namespace}:` : ''}${
+      finding.key
+    }" is not in the translation file`,
+  hardcodedStrings: (finding) =>
+    `Hardcoded string "${finding.text}" should use a translation key`,
+  malformedKeys: (finding) => `${finding.issue}: "${finding.key}"`,
+  unusedKeys: (finding) => `Translation key "${finding.key}" is never used`,
+  messageErrors: (finding) =>
+    `${finding.locale} "${finding.key}": ${finding.reason}`,
+  truncationRisks: (finding) =>
+    `Translation key "${finding.key}" may be truncated in <${
+      finding.component
+    }> (${Object.entries(finding.limits)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(', ')})`,
+};
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} grader - Combined-report section, e.g. "components"
+ * @property {string} ruleId - Rule id as published by the grader
+ * @property {'error'|'warning'|'info'} severity - Finding severity
+ * @property {string} message - Human readable message
+ * @property {string|null} file - File path as reported by the grader
+ * @property {number} [line] - 1-based start line
+ * @property {number} [column] - 1-based start column
+ * @property {number} [endLine] - 1-based end line
+ * @property {number} [endColumn] - 1-based end column
+ */
+
+/**
+ * Collect the file-level findings of every grader in a combined report.
+ * @param {Object} combined - Output of reportGenerator.combine
+ * @returns {Array<Finding>} Findings in grader order
+ */
+function collectFindings(combined) {
+  const findings = [];
+
+  for (const grader of GRADER_SECTIONS) {
+    const report = getReport(combined, grader);
+    if (!report) continue;
+    for (const { finding } of readFindings(grader, report)) {
+      findings.push(finding);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Remove findings from a single grader's report, e.g. suppressed or
+ * baselined ones, so the grader scores what is left. Arrays are changed in
+ * place; ESLint results left without messages are dropped.
+ * @param {string} grader - Combined-report section, e.g. "components"
+ * @param {Object} report - The grader's report
+ * @param {function(Finding): boolean} keep - Returns false for findings to remove
+ * @returns {Array<Finding>} The removed findings
+ */
+function filterFindings(grader, report, keep) {
+  const removed = [];
+  const removedIndexes = new Map();
+
+  for (const { finding, owner, index } of readFindings(grader, report)) {
+    if (keep(finding)) continue;
+    removed.push(finding);
+    if (!removedIndexes.has(owner)) removedIndexes.set(owner, new Set());
+    removedIndexes.get(owner).add(index);
+  }
+
+  for (const [owner, indexes] of removedIndexes) {
+    replaceContents(
+      owner,
+      owner.filter((entry, index) => !indexes.has(index))
+    );
+  }
+
+  if (grader === 'quality' && report.linting && removed.length > 0) {
+    replaceContents(
+      report.linting.errors,
+      report.linting.errors.filter(
+        (result) => !Array.isArray(result.messages) || result.messages.length
+      )
+    );
+  }
+
+  return removed;
+}
+
+// The findings of one grader's report, each with the array entry it came from
+function readFindings(grader, report) {
+  const items = [];
+  const rules = report.rules || {};
+  const severityOf = (ruleId) =>
+    (rules[ruleId] && rules[ruleId].severity) || 'warning';
+
+  // Both report issues as `{ file, line, rule, issue }` in category arrays
+  if (grader === 'components' || grader === 'dependencies') {
+    for (const [category, issues] of Object.entries(report)) {
+      if (!Array.isArray(issues)) continue;
+      issues.forEach((issue, index) => {
+        const ruleId = issue.rule || category;
+        items.push({
+          owner: issues,
+          index,
+          finding: {
+            grader,
+            ruleId,
+            severity: severityOf(ruleId),
+            message: issue.component
+              ? `${issue.issue} (${issue.component})`
+              : issue.issue,
+            file: issue.file,
+            line: issue.line,
+            column: issue.column,
+          },
+        });
+      });
+    }
+  }
+
+  if (grader === 'language') {
+    for (const [ruleId, describe] of Object.entries(LANGUAGE_MESSAGES)) {
+      const entries = report[ruleId] || [];
+      entries.forEach((entry, index) => {
+        // Unused keys are plain strings that belong to the translation file
+        const finding =
+          typeof entry === 'string'
+            ? { key: entry, file: report.translationFile || null }
+            : entry;
+        items.push({
+          owner: entries,
+          index,
+          finding: {
+            grader,
+            ruleId,
+            severity: severityOf(ruleId),
+            message: describe(finding),
+            file: finding.file,
+            line: finding.line,
+          },
+        });
+      });
+    }
+  }
+
+  if (grader === 'quality') {
+    for (const result of (report.linting && report.linting.errors) || []) {
+      (result.messages || []).forEach((message, index) => {
+        items.push({
+          owner: result.messages,
+          index,
+          finding: {
+            grader,
+            ruleId: `eslint/${message.ruleId || 'fatal'}`,
+            severity: message.severity === 2 ? 'error' : 'warning',
+            message: message.message,
+            file: result.file,
+            line: message.line,
+            column: message.column,
+            endLine: message.endLine,
+            endColumn: message.endColumn,
+          },
+        });
+      });
+    }
+
+    const errors = (report.typeCheck && report.typeCheck.errors) || [];
+    errors.forEach((error, index) => {
+      if (typeof error !== 'object' || !error.code) return;
+      items.push({
+        owner: errors,
+        index,
+        finding: {
+          grader,
+          ruleId: `typescript/${error.code}`,
+          severity: error.category === 'warning' ? 'warning' : 'error',
+          message: error.message,
+          file: error.file,
+          line: error.line,
+          column: error.column,
+        },
+      });
+    });
+  }
+
+  return items;
+}
+
+function replaceContents(array, items) {
+  array.length = 0;
+  array.push(...items);
+}
+
+/**
+ * Collect the rule metadata every grader published in `report.rules`.
+ * @param {Object} combined - Output of reportGenerator.combine
+ * @returns {Map<string, Object>} Rule id to metadata (plus its `grader`)
+ */
+function collectRules(combined) {
+  const rules = new Map();
+
+  for (const grader of GRADER_SECTIONS) {
+    const report = getReport(combined, grader);
+    if (!report || !report.rules) continue;
+    for (const [id, meta] of Object.entries(report.rules)) {
+      rules.set(id, { ...meta, grader });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Stable identity of a finding across runs. Line and column are left out so
+ * a finding keeps its fingerprint when code above it moves.
+ * @param {Finding} finding - Finding from collectFindings
+ * @param {string} [projectRoot] - Root that file paths are made relative to
+ * @returns {string} Hex fingerprint
+ */
+function fingerprintFinding(finding, projectRoot = '.') {
+  const file = finding.file
+    ? path
+        .relative(path.resolve(projectRoot), path.resolve(finding.file))
+        .split(path.sep)
+        .join('/')
+    : '';
+  return createHash('sha1')
+    .update([finding.grader, finding.ruleId, file, finding.message].join('\0'))
+    .digest('hex');
+}
+
+function getReport(combined, grader) {
+  const result = combined && combined[grader];
+  const report = result && result.report;
+  return report && typeof report === 'object' ? report : null;
+}
+
+module.exports = {
+  collectFindings,
+  filterFindings,
+  collectRules,
+  fingerprintFinding,
+};
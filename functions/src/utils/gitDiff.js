@@ -0,0 +1,210 @@
+/**
+ * Git diff helpers for incremental grading.
+ * Works out which files and line ranges changed since a base ref, so graders
+ * can report "new issues only" next to the whole-project result.
+ */
+const { execFile } = require('child_process');
+const path = require('path');
+const util = require('util');
+
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Build a change set from a base ref (via local `git diff`) or from an
+ * explicit list of changed files. Listed files count as changed on every line.
+ * @param {Object} options - Change set options
+ * @param {string} [options.projectPath] - Path inside the git work tree
+ * @param {string} [options.baseRef] - Ref to diff against, e.g. "origin/main"
+ * @param {Array<string>} [options.changedFiles] - Files changed, relative to projectPath
+ * @returns {Promise<Object|null>} Change set, or null when neither option is set
+ */
+async function getChangeSet({ projectPath = '.', baseRef, changedFiles } = {}) {
+  if (!baseRef && !changedFiles) return null;
+
+  const files = new Map();
+  const warnings = [];
+
+  if (baseRef) {
+    const diff = await runGitDiff(projectPath, baseRef);
+    for (const [file, ranges] of parseUnifiedDiff(diff.output)) {
+      files.set(path.resolve(diff.root, file), ranges);
+    }
+    // New files git does not track yet are changed on every line
+    for (const file of diff.untracked) {
+      files.set(path.resolve(diff.root, file), null);
+    }
+    warnings.push(...diff.warnings);
+  }
+
+  for (const file of changedFiles || []) {
+    files.set(path.resolve(projectPath, file), null);
+  }
+
+  return createChangeSet(files, baseRef || null, warnings);
+}
+
+/**
+ * Wrap a map of changed files into a change set.
+ * @param {Map<string, (Array<Array<number>>|null)>} files - Absolute path to
+ *   changed line ranges (`[start, end]`, inclusive), or null for the whole file
+ * @param {string|null} baseRef - Ref the changes are measured against
+ * @param {Array<string>} [warnings] - Caveats about how the changes were found
+ * @returns {Object} Change set with `hasFile` and `hasLine` lookups
+ */
+function createChangeSet(files, baseRef = null, warnings = []) {
+  return {
+    baseRef,
+    files,
+    warnings,
+    hasFile(file) {
+      return files.has(path.resolve(file));
+    },
+    hasLine(file, line) {
+      const key = path.resolve(file);
+      if (!files.has(key)) return false;
+      const ranges = files.get(key);
+      // Findings without a line are kept for any changed file
+      if (ranges === null || !line) return true;
+      return ranges.some(([start, end]) => line >= start && line <= end);
+    },
+  };
+}
+
+/**
+ * Keep only findings that sit on changed lines.
+ * @param {Array<Object>} findings - Findings with `file` and optional `line`
+ * @param {Object} changeSet - Change set from getChangeSet
+ * @returns {Array<Object>} Findings on changed lines
+ */
+function filterToChanges(findings, changeSet) {
+  return findings.filter(
+    (finding) => finding.file && changeSet.hasLine(finding.file, finding.line)
+  );
+}
+
+/**
+ * Parse `git diff --unified=0` output into added/changed line ranges per file.
+ * @param {string} output - Diff output
+ * @returns {Map<string, Array<Array<number>>>} Repo-relative path to ranges
+ */
+function parseUnifiedDiff(output) {
+  const files = new Map();
+  let current = null;
+
+  for (const line of output.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).trim();
+      current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (current && !files.has(current)) files.set(current, []);
+      continue;
+    }
+
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk && current) {
+      const start = parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      // A count of 0 is a pure deletion: nothing new to grade
+      if (count > 0) files.get(current).push([start, start + count - 1]);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read the current branch and commit of a git work tree.
+ * @param {string} [projectPath] - Path inside the git work tree
+ * @returns {Promise<{branch: (string|null), commit: (string|null)}>} Nulls
+ *   when the path is not a git work tree or HEAD is detached (branch only)
+ */
+async function getRevision(projectPath = '.') {
+  const git = (args) =>
+    execFileAsync('git', args, { cwd: projectPath }).then(
+      ({ stdout }) => stdout.trim() || null,
+      () => null
+    );
+
+  const [commit, branch] = await Promise.all([
+    git(['rev-parse', 'HEAD']),
+    git(['rev-parse', '--abbrev-ref', 'HEAD']),
+  ]);
+  return { commit, branch: branch === 'HEAD' ? null : branch };
+}
+
+async function runGitDiff(projectPath, baseRef) {
+  // A ref like "--output=<file>" would be read as an option
+  if (typeof baseRef !== 'string' || baseRef.startsWith('-')) {
+    throw new Error(`Invalid base ref "${baseRef}"`);
+  }
+
+  const git = (args) =>
+    execFileAsync('git', args, {
+      cwd: projectPath,
+      maxBuffer: 50 * 1024 * 1024,
+    }).then(({ stdout }) => stdout.trim());
+  const warnings = [];
+
+  try {
+    const root = await git(['rev-parse', '--show-toplevel']);
+    // Diff from the merge base, like a pull request does, and include
+    // uncommitted changes by diffing against the work tree
+    const commit = await git([
+      'rev-parse',
+      '--verify',
+      '--end-of-options',
+      `${baseRef}^{commit}`,
+    ]);
+    const base = await git([
+      'merge-base',
+      '--end-of-options',
+      commit,
+      'HEAD',
+    ]).catch((error) => {
+      // No common history, e.g. in a shallow clone: the diff then also holds
+      // everything that changed on the base side
+      const reason = (error.stderr || '').trim();
+      warnings.push(
+        `No merge base between "${baseRef}" and HEAD${reason ? ` (${reason})` : ''}, ` +
+          `so changes are measured against "${baseRef}" itself. ` +
+          'A shallow clone may need a deeper fetch.'
+      );
+      return commit;
+    });
+    const output = await git([
+      'diff',
+      '--unified=0',
+      '--no-color',
+      '--no-ext-diff',
+      '--diff-filter=ACMR',
+      '--end-of-options',
+      base,
+    ]);
+    const untracked = await git([
+      'ls-files',
+      '--others',
+      '--exclude-standard',
+      '--full-name',
+      '-z',
+      '--',
+      ':/',
+    ]);
+    return {
+      root,
+      output,
+      untracked: untracked.split('\0').filter(Boolean),
+      warnings,
+    };
+  } catch (error) {
+    throw new Error(
+      `Could not diff against "${baseRef}": ${(error.stderr || error.message).trim()}`
+    );
+  }
+}
+
+module.exports = {
+  getChangeSet,
+  createChangeSet,
+  filterToChanges,
+  parseUnifiedDiff,
+  getRevision,
+};
@@ -0,0 +1,141 @@
+/**
+ * Finds translation keys used in source code.
+ * Recognises translation function calls (`t('key')`, `i18n.t('key')`,
+ * `i18next.t('key', { count })`), translation components
+ * (`<Trans i18nKey="key" />`), namespaced keys (`common:save`) and dynamic
+ * keys with a static prefix (`` t(`errors.${code}`) ``, `t('errors.' + code)`).
+ */
+
+const DEFAULT_OPTIONS = {
+  translationFunctions: ['i18n.t', 'i18next.t', 't'],
+  translationComponents: { Trans: 'i18nKey' },
+  namespaceSeparator: ':',
+};
+
+/**
+ * @typedef {Object} KeyUsage
+ * @property {string} key - Key without its namespace, e.g. "save"; for a
+ *   dynamic key, its static prefix, e.g. "errors."
+ * @property {string|null} namespace - Namespace, e.g. "common"
+ * @property {boolean} dynamic - Whether only the prefix of the key is known
+ * @property {number} line - 1-based line
+ * @property {number} index - Offset of the call or component in the code
+ */
+
+/**
+ * Find the translation keys a source file uses.
+ * @param {string} code - Source code
+ * @param {Object} [options] - Call styles to recognise
+ * @param {Array<string>} [options.translationFunctions] - Function names, e.g. "t" or "i18n.t"
+ * @param {Object<string, string>} [options.translationComponents] - Component name to key prop
+ * @param {string} [options.namespaceSeparator] - Separator in "ns:key"; empty to disable
+ * @returns {Array<KeyUsage>} Keys in order of appearance
+ */
+function findTranslationKeys(code, options = {}) {
+  const { translationFunctions, translationComponents, namespaceSeparator } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  const usages = [];
+  const add = (raw, { dynamic, index, namespace = null }) => {
+    const parsed = splitNamespace(raw, namespaceSeparator);
+    usages.push({
+      key: parsed.key,
+      namespace: parsed.namespace || namespace,
+      dynamic,
+      line: getLineNumber(code, index),
+      index,
+    });
+  };
+
+  if (translationFunctions.length > 0) {
+    // Not part of a longer name: "t(" must not match "split(" or "obj.t("
+    const names = translationFunctions.map(escapeRegExp).join('|');
+    const callRegex = new RegExp(
+      `(?<![\\w$.])(?:${names})\\(\\s*(?:'([^'\\\\\\n]*)'|"([^"\\\\\\n]*)"|\`([^\`]*)\`)(\\s*\\+)?`,
+      'g'
+    );
+    let match;
+    while ((match = callRegex.exec(code)) !== null) {
+      const literal = readLiteral(match[1], match[2], match[3], match[4]);
+      if (literal) add(literal.value, { ...literal, index: match.index });
+    }
+  }
+
+  for (const [component, keyProp] of Object.entries(translationComponents)) {
+    const tagRegex = new RegExp(`<${escapeRegExp(component)}\\b[^>]*>`, 'g');
+    let match;
+    while ((match = tagRegex.exec(code)) !== null) {
+      const literal = readProp(match[0], keyProp);
+      if (!literal) continue;
+      const ns = readProp(match[0], 'ns');
+      add(literal.value, {
+        ...literal,
+        index: match.index,
+        namespace: ns && !ns.dynamic ? ns.value : null,
+      });
+    }
+  }
+
+  return usages
+    .filter((usage) => usage.key || usage.dynamic)
+    .sort((a, b) => a.index - b.index);
+}
+
+// `key="..."`, `key='...'` or `key={'...'}` / `key={`...`}` inside a JSX tag
+function readProp(tag, prop) {
+  const regex = new RegExp(
+    `\\b${escapeRegExp(prop)}=(?:"([^"]*)"|'([^']*)'|\\{\\s*(?:'([^'\\n]*)'|"([^"\\n]*)"|\`([^\`]*)\`)(\\s*\\+)?)`
+  );
+  const match = regex.exec(tag);
+  if (!match) return null;
+  const quoted = match[1] !== undefined ? match[1] : match[2];
+  if (quoted !== undefined) return { value: quoted, dynamic: false };
+  return readLiteral(match[3], match[4], match[5], match[6]);
+}
+
+// A string literal, or the static prefix of a template literal or concatenation
+function readLiteral(single, double, template, concatenated) {
+  let value = single !== undefined ? single : double;
+  let dynamic = Boolean(concatenated);
+  if (template !== undefined) {
+    const placeholder = template.indexOf('${');
+    dynamic = dynamic || placeholder !== -1;
+    value = placeholder === -1 ? template : template.slice(0, placeholder);
+  }
+  if (value === undefined) return null;
+  return { value, dynamic };
+}
+
+function splitNamespace(raw, separator) {
+  if (!separator) return { key: raw, namespace: null };
+  const at = raw.indexOf(separator);
+  if (at <= 0) return { key: raw, namespace: null };
+  return { key: raw.slice(at + separator.length), namespace: raw.slice(0, at) };
+}
+
+/**
+ * Candidate paths of a key in a translation file: the key itself, then the
+ * key under its namespace for files that nest namespaces ({ common: {...} }).
+ * @param {KeyUsage} usage - Key usage
+ * @returns {Array<string>} Dot-notation paths to try in order
+ */
+function getKeyPaths(usage) {
+  return usage.namespace
+    ? [usage.key, `${usage.namespace}.${usage.key}`]
+    : [usage.key];
+}
+
+function getLineNumber(content, index) {
+  return content.substring(0, index).split('\n').length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  findTranslationKeys,
+  getKeyPaths,
+};
@@ -0,0 +1,189 @@
+/**
+ * JSX AST helpers for the Companion Grader Functions.
+ * Parses React Native source files with Babel and answers questions about
+ * JSX elements and their props, following spreads and local variables.
+ */
+const path = require('path');
+const { parse } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+
+/**
+ * Parse a source file into a Babel AST, picking parser plugins by extension.
+ * @param {string} code - File content
+ * @param {string} filePath - Path to the file (used for the extension)
+ * @returns {Object} Babel File node
+ */
+function parseSource(code, filePath = '') {
+  const ext = path.extname(filePath).toLowerCase();
+  const plugins = ['classProperties', 'decorators-legacy'];
+
+  if (ext === '.ts') {
+    // `<T>value` is a type assertion in .ts files, so no JSX here
+    plugins.push('typescript');
+  } else if (ext === '.tsx') {
+    plugins.push('jsx', 'typescript');
+  } else {
+    plugins.push('jsx', 'flow');
+  }
+
+  return parse(code, {
+    sourceType: 'unambiguous',
+    sourceFilename: filePath,
+    errorRecovery: false,
+    plugins,
+  });
+}
+
+/**
+ * Get the display name of a JSX element name node.
+ * @param {Object} nameNode - JSXIdentifier, JSXMemberExpression or JSXNamespacedName
+ * @returns {string} Element name, e.g. "Pressable" or "Animated.View"
+ */
+function getElementName(nameNode) {
+  if (!nameNode) return '';
+  switch (nameNode.type) {
+    case 'JSXIdentifier':
+      return nameNode.name;
+    case 'JSXMemberExpression':
+      return `${getElementName(nameNode.object)}.${nameNode.property.name}`;
+    case 'JSXNamespacedName':
+      return `${nameNode.namespace.name}:${nameNode.name.name}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Get the last segment of an element name, so `Animated.View` matches `View`.
+ * @param {Object} nameNode - JSX element name node
+ * @returns {string} Base component name
+ */
+function getBaseName(nameNode) {
+  const name = getElementName(nameNode);
+  return name.split('.').pop();
+}
+
+/**
+ * Resolve whether a JSX opening element sets a prop.
+ * Spread props are followed into object literals, including object literals
+ * bound to local constants. A spread that cannot be resolved statically makes
+ * the answer "unknown" instead of "missing", so rules do not flag props that
+ * may well be passed through.
+ * @param {Object} openingElement - JSXOpeningElement node
+ * @param {string} propName - Prop to look for
+ * @param {Object} [scope] - Babel scope used to resolve spread variables
+ * @returns {{status: 'present'|'missing'|'unknown', node: (Object|null)}}
+ */
+function getProp(openingElement, propName, scope) {
+  let unknown = false;
+
+  for (const attribute of openingElement.attributes) {
+    if (attribute.type === 'JSXAttribute') {
+      if (getElementName(attribute.name) !== propName) continue;
+      if (isEmptyValue(attribute.value)) continue;
+      return { status: 'present', node: attribute };
+    }
+
+    if (attribute.type === 'JSXSpreadAttribute') {
+      const result = findInObject(attribute.argument, propName, scope);
+      if (result.status === 'present') return result;
+      if (result.status === 'unknown') unknown = true;
+    }
+  }
+
+  return { status: unknown ? 'unknown' : 'missing', node: null };
+}
+
+/**
+ * Get the value expression of a JSX attribute, unwrapping `{...}` containers.
+ * @param {Object} attribute - JSXAttribute node
+ * @returns {Object|null} Expression node, or null for boolean shorthand props
+ */
+function getPropValue(attribute) {
+  if (!attribute || !attribute.value) return null;
+  if (attribute.value.type === 'JSXExpressionContainer') {
+    return attribute.value.expression;
+  }
+  return attribute.value;
+}
+
+/**
+ * Get a 1-based line and column for a node, for the grader reports.
+ * @param {Object} node - Babel node
+ * @returns {{line: number, column: number}} Location
+ */
+function getLocation(node) {
+  const start = (node && node.loc && node.loc.start) || { line: 0, column: 0 };
+  return { line: start.line, column: start.column + 1 };
+}
+
+/**
+ * Resolve an identifier to the expression it was initialised with, if it is
+ * never reassigned.
+ * @param {Object} node - Identifier node
+ * @param {Object} scope - Babel scope
+ * @returns {Object|null} Initialiser expression
+ */
+function resolveIdentifier(node, scope) {
+  if (!scope || !node || node.type !== 'Identifier') return null;
+  const binding = scope.getBinding(node.name);
+  if (!binding || !binding.constant) return null;
+  if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+    return binding.path.node.init;
+  }
+  return null;
+}
+
+function isEmptyValue(value) {
+  if (!value || value.type !== 'JSXExpressionContainer') return false;
+  const expression = value.expression;
+  return (
+    expression.type === 'NullLiteral' ||
+    (expression.type === 'Identifier' && expression.name === 'undefined')
+  );
+}
+
+function findInObject(node, propName, scope, seen = new Set()) {
+  if (!node || seen.has(node)) return { status: 'unknown', node: null };
+  seen.add(node);
+
+  if (node.type === 'Identifier') {
+    const init = resolveIdentifier(node, scope);
+    return init
+      ? findInObject(init, propName, scope, seen)
+      : { status: 'unknown', node: null };
+  }
+
+  if (node.type !== 'ObjectExpression') {
+    return { status: 'unknown', node: null };
+  }
+
+  let unknown = false;
+  for (const property of node.properties) {
+    if (property.type === 'SpreadElement') {
+      const result = findInObject(property.argument, propName, scope, seen);
+      if (result.status === 'present') return result;
+      if (result.status === 'unknown') unknown = true;
+      continue;
+    }
+    if (property.computed) {
+      unknown = true;
+      continue;
+    }
+    const key = property.key.name || property.key.value;
+    if (key === propName) return { status: 'present', node: property };
+  }
+
+  return { status: unknown ? 'unknown' : 'missing', node: null };
+}
+
+module.exports = {
+  parseSource,
+  traverse,
+  getElementName,
+  getBaseName,
+  getProp,
+  getPropValue,
+  getLocation,
+  resolveIdentifier,
+};
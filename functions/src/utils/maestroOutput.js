@@ -0,0 +1,277 @@
+/**
+ * Maestro output helpers for the E2E grader.
+ * Turns what `maestro test` leaves behind (its debug output directory and its
+ * console output) into per-flow and per-step records with the screenshots and
+ * recordings of each flow.
+ */
+const fs = require('fs');
+const path = require('path');
+const { stripVTControlCharacters } = require('util');
+
+const SCREENSHOT_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const RECORDING_EXTENSIONS = ['.mp4', '.mov', '.webm'];
+
+// Maestro command statuses mapped to ours
+const STEP_STATUSES = {
+  COMPLETED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  WARNED: 'warned',
+  PENDING: 'pending',
+  RUNNING: 'pending',
+};
+
+/**
+ * @typedef {Object} MaestroStep
+ * @property {number} index - 0-based position in the flow
+ * @property {string} command - Short description, e.g. `tapOn "Login"`
+ * @property {'passed'|'failed'|'skipped'|'warned'|'pending'} status - Step status
+ * @property {number|null} duration - Milliseconds
+ * @property {string|null} startedAt - ISO timestamp
+ * @property {string|null} error - Failure message
+ */
+
+/**
+ * @typedef {Object} MaestroFlow
+ * @property {string} name - Flow name
+ * @property {'passed'|'failed'} status - Flow status
+ * @property {number|null} duration - Milliseconds
+ * @property {Array<MaestroStep>} steps - Steps in order
+ * @property {string|null} error - First failure message
+ * @property {Array<string>} screenshots - Screenshot files
+ * @property {Array<string>} recordings - Recording files
+ */
+
+/**
+ * Parse a Maestro run into per-flow records. The debug output directory
+ * (`--debug-output`) has a `commands-(<flow>).json` file per flow with the
+ * status and timing of each command; when it is missing the console output
+ * is parsed instead, which gives statuses but no timings.
+ * @param {Object} output - What Maestro left behind
+ * @param {string} [output.stdout] - Console output
+ * @param {string} [output.outputDir] - Debug output directory
+ * @returns {{flows: Array<MaestroFlow>, screenshots: Array<string>, recordings: Array<string>}}
+ */
+function parseMaestroRun({ stdout = '', outputDir } = {}) {
+  const artifacts = outputDir ? listArtifacts(outputDir) : [];
+  let flows = outputDir ? readCommandFiles(outputDir) : [];
+  if (flows.length === 0) flows = parseConsoleOutput(stdout);
+
+  // Maestro puts the flow name in brackets in file names, e.g.
+  // "screenshot-❌-1700000000000-(login).png"
+  for (const flow of flows) {
+    const tag = `(${flow.name})`;
+    const own = artifacts.filter((file) => path.basename(file).includes(tag));
+    flow.screenshots = own.filter((file) =>
+      hasExtension(file, SCREENSHOT_EXTENSIONS)
+    );
+    flow.recordings = own.filter((file) =>
+      hasExtension(file, RECORDING_EXTENSIONS)
+    );
+  }
+
+  return {
+    flows,
+    screenshots: artifacts.filter((file) =>
+      hasExtension(file, SCREENSHOT_EXTENSIONS)
+    ),
+    recordings: artifacts.filter((file) =>
+      hasExtension(file, RECORDING_EXTENSIONS)
+    ),
+  };
+}
+
+/**
+ * Read the `commands-(<flow>).json` files from a Maestro debug output directory.
+ * @param {string} outputDir - Debug output directory
+ * @returns {Array<MaestroFlow>} Flows, ordered by when they started
+ */
+function readCommandFiles(outputDir) {
+  const flows = [];
+
+  for (const file of listFiles(outputDir)) {
+    const match = /^commands-\((.+)\)\.json$/.exec(path.basename(file));
+    if (!match) continue;
+
+    let commands;
+    try {
+      commands = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      continue;
+    }
+    if (!Array.isArray(commands)) continue;
+
+    const steps = commands.map((entry, index) => {
+      const metadata = entry.metadata || {};
+      return {
+        index,
+        command: describeCommand(entry.command),
+        status: STEP_STATUSES[metadata.status] || 'pending',
+        duration:
+          typeof metadata.duration === 'number' ? metadata.duration : null,
+        startedAt:
+          typeof metadata.timestamp === 'number'
+            ? new Date(metadata.timestamp).toISOString()
+            : null,
+        error: (metadata.error && metadata.error.message) || null,
+      };
+    });
+    flows.push(buildFlow(match[1], steps));
+  }
+
+  return flows.sort((a, b) =>
+    String(a.steps[0] && a.steps[0].startedAt).localeCompare(
+      String(b.steps[0] && b.steps[0].startedAt)
+    )
+  );
+}
+
+/**
+ * Parse the steps Maestro prints to the console, e.g.
+ *
+ *     > Flow login
+ *     ✅   Launch app "com.example"
+ *     ❌   Assert that "Welcome" is visible
+ *
+ * @param {string} stdout - Console output
+ * @returns {Array<MaestroFlow>} Flows without timings
+ */
+function parseConsoleOutput(stdout) {
+  const flows = [];
+  let current = null;
+  const start = (name) => {
+    current = { name, steps: [] };
+    flows.push(current);
+  };
+
+  for (const raw of stdout.split('\n')) {
+    // Strip box-drawing borders and colour codes
+    const line = stripVTControlCharacters(raw)
+      .replace(/^[\s║│]+/, '')
+      .trimEnd();
+
+    const flow = /^>\s*Flow:?\s+(.+)$/.exec(line);
+    if (flow) {
+      start(flow[1].trim());
+      continue;
+    }
+
+    const step = /^(✅|❌|⚠️|⚪️|🔲)\s+(.+)$/u.exec(line);
+    if (step) {
+      if (!current) start('flow');
+      const status =
+        { '✅': 'passed', '❌': 'failed', '⚠️': 'warned' }[step[1]] ||
+        'skipped';
+      current.steps.push({
+        index: current.steps.length,
+        command: step[2].trim(),
+        status,
+        duration: null,
+        startedAt: null,
+        error: null,
+      });
+    } else if (
+      current &&
+      current.steps.length > 0 &&
+      /error|exception|not found|failed/i.test(line)
+    ) {
+      // Maestro prints the reason for a failure right under the failing step
+      const last = current.steps[current.steps.length - 1];
+      if (last.status === 'failed' && !last.error) last.error = line.trim();
+    }
+  }
+
+  return flows.map(({ name, steps }) => buildFlow(name, steps));
+}
+
+function buildFlow(name, steps) {
+  const failed = steps.find((step) => step.status === 'failed');
+  const timed = steps.filter((step) => step.duration !== null);
+  return {
+    name,
+    status: failed ? 'failed' : 'passed',
+    duration:
+      timed.length > 0
+        ? timed.reduce((sum, step) => sum + step.duration, 0)
+        : null,
+    steps,
+    error: failed ? failed.error : null,
+    screenshots: [],
+    recordings: [],
+  };
+}
+
+/**
+ * Describe a Maestro command object, e.g. `{ tapOnElement: { selector: { textRegex: 'Login' } } }`
+ * becomes `tapOnElement "Login"`.
+ * @param {Object} command - Command from a commands JSON file
+ * @returns {string} Short description
+ */
+function describeCommand(command) {
+  if (!command || typeof command !== 'object') return 'unknown';
+  const [name] = Object.keys(command);
+  if (!name) return 'unknown';
+
+  const detail = firstString(command[name]);
+  return detail
+    ? `${name.replace(/Command$/, '')} "${detail}"`
+    : name.replace(/Command$/, '');
+}
+
+// The first human readable value in a command: selector text, app id, input text...
+function firstString(value, depth = 0) {
+  if (typeof value === 'string') return value;
+  if (!value || typeof value !== 'object' || depth > 3) return null;
+  for (const key of [
+    'textRegex',
+    'text',
+    'idRegex',
+    'id',
+    'appId',
+    'link',
+    'path',
+    'flowPath',
+  ]) {
+    if (typeof value[key] === 'string') return value[key];
+  }
+  for (const nested of Object.values(value)) {
+    const found = firstString(nested, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function listArtifacts(outputDir) {
+  return listFiles(outputDir).filter((file) =>
+    hasExtension(file, [...SCREENSHOT_EXTENSIONS, ...RECORDING_EXTENSIONS])
+  );
+}
+
+// Files in a directory tree, sorted; empty when the directory does not exist
+function listFiles(directory) {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(directory, entry.name);
+    if (entry.isDirectory()) files.push(...listFiles(full));
+    else files.push(full);
+  }
+  return files.sort();
+}
+
+function hasExtension(file, extensions) {
+  return extensions.includes(path.extname(file).toLowerCase());
+}
+
+module.exports = {
+  parseMaestroRun,
+  readCommandFiles,
+  parseConsoleOutput,
+  describeCommand,
+};
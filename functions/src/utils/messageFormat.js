@@ -0,0 +1,259 @@
+/**
+ * Translation message helpers for the language grader.
+ * Parses i18next-style `{{var}}` interpolation and ICU MessageFormat
+ * (`{name}`, `{count, plural, one {...} other {...}}`) far enough to find
+ * syntax errors, the placeholders a message uses and its plural cases.
+ */
+
+const ICU_TYPES = [
+  'number',
+  'date',
+  'time',
+  'spellout',
+  'ordinal',
+  'duration',
+  'plural',
+  'selectordinal',
+  'select',
+];
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// i18next keys for plural forms: "items_one", "items_other", "place_ordinal_two"
+const I18NEXT_PLURAL_KEY = new RegExp(
+  `^(.+?)(_ordinal)?_(${PLURAL_CATEGORIES.join('|')})$`
+);
+
+/**
+ * @typedef {Object} ParsedMessage
+ * @property {Array<string>} placeholders - Sorted names of `{{var}}` and ICU arguments
+ * @property {Array<{argument: string, type: string, categories: Array<string>}>} plurals -
+ *   ICU plural/selectordinal blocks and the keyword cases they define
+ * @property {string|null} error - First syntax error, if any
+ */
+
+/**
+ * Parse a translation message.
+ * @param {string} text - Message text
+ * @returns {ParsedMessage} Placeholders, plural blocks and syntax error
+ */
+function parseMessage(text) {
+  const placeholders = new Set();
+  let error = null;
+
+  // i18next interpolation: {{name}}, {{- html}}, {{value, number}}
+  let rest = String(text).replace(
+    /\{\{\s*-?\s*([^{}]*?)\s*\}\}/g,
+    (match, inner) => {
+      const name = inner.split(',')[0].trim();
+      if (name) placeholders.add(name);
+      else error = error || 'Empty {{}} placeholder';
+      return '';
+    }
+  );
+  // Nested translations, $t(key) or $t(key, { "count": 2 }), are not ICU
+  rest = rest.replace(/\$t\([^)]*\)/g, '');
+
+  const plurals = [];
+  if (!error && /[{}]/.test(rest)) {
+    const parser = new IcuParser(rest);
+    try {
+      parser.parseMessage(0);
+    } catch (parseError) {
+      error = parseError.message;
+    }
+    parser.arguments.forEach((name) => placeholders.add(name));
+    plurals.push(...parser.plurals);
+  }
+
+  return { placeholders: [...placeholders].sort(), plurals, error };
+}
+
+/**
+ * A small recursive-descent parser for the ICU MessageFormat subset used in
+ * app translations: simple, formatted, select and plural arguments.
+ */
+class IcuParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.arguments = new Set();
+    this.plurals = [];
+  }
+
+  // Reads message text until the end, or the `}` closing a nested message
+  parseMessage(depth) {
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (ch === '{') {
+        this.parseArgument();
+      } else if (ch === '}') {
+        if (depth > 0) return;
+        throw this.error('Unexpected "}"');
+      } else if (ch === "'") {
+        this.skipQuoted();
+      } else {
+        this.pos++;
+      }
+    }
+    if (depth > 0) throw this.error('Unclosed "{"');
+  }
+
+  parseArgument() {
+    this.pos++; // {
+    this.skipSpace();
+    const name = this.readWord();
+    if (!name) throw this.error('Missing argument name');
+    this.arguments.add(name);
+    this.skipSpace();
+    if (this.pos >= this.text.length) throw this.error('Unclosed "{"');
+
+    if (this.eat('}')) return;
+    if (!this.eat(',')) throw this.error(`Expected "," or "}" after "${name}"`);
+
+    this.skipSpace();
+    const type = this.readWord();
+    if (!ICU_TYPES.includes(type)) {
+      throw this.error(`Unknown argument type "${type}" for "${name}"`);
+    }
+    this.skipSpace();
+    if (this.eat('}')) {
+      if (['plural', 'selectordinal', 'select'].includes(type)) {
+        throw this.error(`"${type}" for "${name}" needs cases`);
+      }
+      return;
+    }
+    if (!this.eat(',')) throw this.error(`Expected "," or "}" after "${type}"`);
+
+    if (['plural', 'selectordinal', 'select'].includes(type)) {
+      this.parseCases(name, type);
+    } else {
+      // Number/date style, e.g. "::currency/EUR" or "short"
+      const end = this.text.indexOf('}', this.pos);
+      if (end === -1) throw this.error('Unclosed "{"');
+      this.pos = end + 1;
+    }
+  }
+
+  parseCases(name, type) {
+    const categories = [];
+    const selectors = [];
+    this.skipSpace();
+    if (type !== 'select' && this.text.startsWith('offset:', this.pos)) {
+      this.pos += 'offset:'.length;
+      this.skipSpace();
+      if (!/^\d+/.test(this.text.slice(this.pos))) {
+        throw this.error('Expected a number after "offset:"');
+      }
+      this.readWord();
+    }
+
+    for (;;) {
+      this.skipSpace();
+      if (this.pos >= this.text.length) throw this.error('Unclosed "{"');
+      if (this.eat('}')) break;
+
+      const selector = this.readWord();
+      if (!selector) throw this.error(`Expected a case in "${name}"`);
+      if (selectors.includes(selector)) {
+        throw this.error(`Duplicate case "${selector}" in "${name}"`);
+      }
+      if (
+        type !== 'select' &&
+        !selector.startsWith('=') &&
+        !PLURAL_CATEGORIES.includes(selector)
+      ) {
+        throw this.error(`Unknown plural category "${selector}" in "${name}"`);
+      }
+      selectors.push(selector);
+      if (type !== 'select' && !selector.startsWith('=')) {
+        categories.push(selector);
+      }
+
+      this.skipSpace();
+      if (!this.eat('{')) {
+        throw this.error(`Expected "{" after case "${selector}"`);
+      }
+      this.parseMessage(1);
+      if (!this.eat('}')) throw this.error('Unclosed "{"');
+    }
+
+    if (!selectors.includes('other')) {
+      throw this.error(`"${type}" for "${name}" needs an "other" case`);
+    }
+    if (type !== 'select') {
+      this.plurals.push({ argument: name, type, categories });
+    }
+  }
+
+  // '{' and '}' can be quoted with apostrophes; '' is a literal apostrophe
+  skipQuoted() {
+    const next = this.text[this.pos + 1];
+    if (next === "'") {
+      this.pos += 2;
+    } else if (next === '{' || next === '}' || next === '#') {
+      const end = this.text.indexOf("'", this.pos + 1);
+      this.pos = end === -1 ? this.text.length : end + 1;
+    } else {
+      this.pos++;
+    }
+  }
+
+  readWord() {
+    const match = /^[^\s,{}]+/.exec(this.text.slice(this.pos));
+    if (!match) return '';
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+  }
+
+  eat(ch) {
+    if (this.text[this.pos] !== ch) return false;
+    this.pos++;
+    return true;
+  }
+
+  error(message) {
+    return new Error(`${message} at position ${this.pos}`);
+  }
+}
+
+/**
+ * Plural categories a locale needs, from the CLDR rules built into Intl.
+ * @param {string} locale - Locale, e.g. "fr" or "pt_BR"
+ * @param {'cardinal'|'ordinal'} [type] - Plural or ordinal rules
+ * @returns {Array<string>|null} Categories, or null for an unknown locale
+ */
+function getPluralCategories(locale, type = 'cardinal') {
+  const tag = String(locale).replace(/_/g, '-');
+  try {
+    // PluralRules silently falls back to the default locale, so check first
+    if (Intl.PluralRules.supportedLocalesOf(tag).length === 0) return null;
+    return new Intl.PluralRules(tag, { type }).resolvedOptions()
+      .pluralCategories;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split an i18next plural key into its base key and category.
+ * @param {string} key - Translation key, e.g. "cart.items_one"
+ * @returns {{base: string, ordinal: boolean, category: string}|null} Parts,
+ *   or null when the key is not a plural form
+ */
+function parsePluralKey(key) {
+  const match = I18NEXT_PLURAL_KEY.exec(key);
+  return match
+    ? { base: match[1], ordinal: Boolean(match[2]), category: match[3] }
+    : null;
+}
+
+module.exports = {
+  parseMessage,
+  getPluralCategories,
+  parsePluralKey,
+};
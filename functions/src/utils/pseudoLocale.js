@@ -0,0 +1,150 @@
+/**
+ * Pseudo-localization for the language grader.
+ * Turns base translations into an accented, expanded locale ("[Šáṽé ~~]")
+ * that shows untranslated text, missing glyphs and truncation in the app
+ * without waiting for real translations. Placeholders, ICU syntax, HTML tags
+ * and nested `$t()` calls are kept as they are.
+ */
+
+// prettier-ignore
+const ACCENTS = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í',
+  j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ', n: 'ñ', o: 'ó', p: 'þ', q: 'ǫ', r: 'ŕ',
+  s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í',
+  J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ', N: 'Ñ', O: 'Ó', P: 'Þ', Q: 'Ǫ', R: 'Ŕ',
+  S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+};
+
+// Kept verbatim: {{var}}, $t(key), <tag>, printf-style %s / %1$d
+const PRESERVED = /\{\{[^}]*\}\}|\$t\([^)]*\)|<[^>]+>|%(?:\d+\$)?[sdif@]/y;
+
+const DEFAULT_EXPANSION = 0.35;
+
+/**
+ * Pseudo-localize one message.
+ * @param {string} text - Base message
+ * @param {Object} [options] - Options
+ * @param {number} [options.expansion] - Extra length as a share of the text, e.g. 0.35
+ * @returns {string} Accented message, bracketed and padded to the expanded length
+ */
+function pseudoLocalize(text, { expansion = DEFAULT_EXPANSION } = {}) {
+  if (typeof text !== 'string' || text.trim() === '') return text;
+
+  const { output, visible } = accent(text, 0, text.length, false);
+  // The brackets count towards the expansion: "[" + text + " " + padding + "]"
+  const padding = Math.max(0, Math.round(visible * expansion) - 3);
+  return padding > 0 ? `[${output} ${'~'.repeat(padding)}]` : `[${output}]`;
+}
+
+/**
+ * Pseudo-localize every string in a translation tree.
+ * @param {Object} translations - Base translations
+ * @param {Object} [options] - Same options as pseudoLocalize
+ * @returns {Object} Translations with the same keys
+ */
+function pseudoLocalizeTranslations(translations, options = {}) {
+  if (typeof translations === 'string') {
+    return pseudoLocalize(translations, options);
+  }
+  if (Array.isArray(translations)) {
+    return translations.map((item) =>
+      pseudoLocalizeTranslations(item, options)
+    );
+  }
+  if (translations && typeof translations === 'object') {
+    return Object.fromEntries(
+      Object.entries(translations).map(([key, value]) => [
+        key,
+        pseudoLocalizeTranslations(value, options),
+      ])
+    );
+  }
+  return translations;
+}
+
+// Accent text[start, end), copying placeholders and ICU syntax. Returns the
+// output and the number of characters a user would see.
+function accent(text, start, end, inPlural) {
+  let output = '';
+  let visible = 0;
+  let i = start;
+
+  while (i < end) {
+    PRESERVED.lastIndex = i;
+    const preserved = PRESERVED.exec(text);
+    if (preserved && preserved.index + preserved[0].length <= end) {
+      output += preserved[0];
+      i += preserved[0].length;
+    } else if (text[i] === '{') {
+      const argument = accentArgument(text, i, end);
+      output += argument.output;
+      visible += argument.visible;
+      i = argument.end;
+    } else if (text[i] === '#' && inPlural) {
+      output += '#';
+      i++;
+    } else {
+      output += ACCENTS[text[i]] || text[i];
+      visible++;
+      i++;
+    }
+  }
+
+  return { output, visible };
+}
+
+// An ICU argument starting at text[start] === '{': "{name}", "{n, number}" or
+// "{count, plural, one {...} other {...}}", where only the case messages are
+// accented
+function accentArgument(text, start, end) {
+  const close = findClosing(text, start, end);
+  if (close === -1) {
+    return { output: text.slice(start, end), visible: 0, end };
+  }
+
+  const type = (text.slice(start + 1, close).split(',')[1] || '').trim();
+  if (!['plural', 'selectordinal', 'select'].includes(type)) {
+    return { output: text.slice(start, close + 1), visible: 0, end: close + 1 };
+  }
+
+  const firstCase = text.indexOf('{', start + 1);
+  if (firstCase === -1 || firstCase > close) {
+    return { output: text.slice(start, close + 1), visible: 0, end: close + 1 };
+  }
+
+  // Copy the header and selectors, accent each {case message}
+  let output = text.slice(start, firstCase);
+  let visible = 0;
+  let i = firstCase;
+  while (i < close) {
+    if (text[i] === '{') {
+      const caseEnd = findClosing(text, i, close);
+      const message = accent(text, i + 1, caseEnd, type !== 'select');
+      output += `{${message.output}}`;
+      // Only the longest case is on screen at a time
+      visible = Math.max(visible, message.visible);
+      i = caseEnd + 1;
+    } else {
+      output += text[i];
+      i++;
+    }
+  }
+
+  return { output: `${output}}`, visible, end: close + 1 };
+}
+
+function findClosing(text, open, end) {
+  let depth = 0;
+  for (let i = open; i < end; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+module.exports = {
+  DEFAULT_EXPANSION,
+  pseudoLocalize,
+  pseudoLocalizeTranslations,
+};
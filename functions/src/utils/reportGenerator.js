@@ -2,9 +2,9 @@
  *  reportGenerator.js
  *  -----------------------------------------------------------------------
  *  Utility helpers for turning raw grader results (Language, Code-Quality,
- *  Component-Quality) into pretty / Markdown / JSON reports and then
- *  saving the result to disk.  Designed for the companion-app-backends Functions
- *  project (see folder: functions/src/utils).
+ *  Component-Quality, Dependencies, E2E) into pretty / Markdown / JSON
+ *  reports and then saving the result to disk.  Designed for the
+ *  companion-app-backends Functions project (see folder: functions/src/utils).
  *
  *  USAGE
  *  -----
@@ -15,7 +15,10 @@
  *     const combined = reportGen.combine({
  *       language   : languageResult,   // output from languageGrader
  *       quality    : codeQualityResult,// output from codeQualityGrader
- *       components : componentResult   // output from componentGrader
+ *       components : componentResult,  // output from componentGrader
+ *       dependencies: dependencyResult,// output from dependencyGrader
+ *       e2e        : e2eResult,        // output from E2ETestGrader
+ *       summary    : overallSummary    // optional overall score (qaPipeline)
  *     });
  *
  *     // 2) Produce HTML and save
@@ -28,10 +31,20 @@
  *     // 4) Or simply JSON stringify + save
  *     await reportGen.saveJson(combined, './reports/qa-report.json');
  *
+ *     // 5) SARIF 2.1.0 for code-scanning tools and editors
+ *     await reportGen.saveJson(reportGen.toSarif(combined), './reports/qa.sarif');
+ *
+ *     // 6) JUnit XML for CI dashboards
+ *     await reportGen.save(reportGen.toJUnit(combined), './reports/junit.xml');
+ *
  ******************************************************************************************/
 
 const fs   = require('fs/promises');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { collectFindings, collectRules } = require('./findings');
+
+const GENERATOR_VERSION = '1.0.0';
 
 /* -------------------------------------------------- Helpers  */
 
@@ -42,6 +55,36 @@ const badge = (ok) =>
 
 const percent = (score) => `${(score * 100).toFixed(1)} %`;
 
+// "Change since <commit>" line for a run compared with its history
+const comparisonText = (comparison) => {
+  if (!comparison || comparison.scoreChange === null) return '';
+  const change = comparison.scoreChange * 100;
+  const since = comparison.base.commit || comparison.base.branch || comparison.base.id;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)} % since ${since} (${comparison.newIssues.length} new, ${comparison.fixedIssues.length} fixed issues)${comparison.regression ? ' – regression' : ''}`;
+};
+
+const STEP_ICONS = { passed: '✅', failed: '❌', flaky: '🔁', skipped: '⏭️', warned: '⚠️', pending: '⏳' };
+
+const seconds = (ms) => (typeof ms === 'number' ? `${(ms / 1000).toFixed(1)} s` : '–');
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+// Inline Markdown text, so names cannot add emphasis, links or HTML
+const escapeMarkdown = (text) =>
+  String(text)
+    .replace(/[\\`*_[\]<>|]/g, '\\$&')
+    .replace(/\n/g, ' ');
+
+// Maestro flows parsed by the E2E grader, if any
+const flowsOf = (e2e) => (e2e && e2e.report && Array.isArray(e2e.report.flows) ? e2e.report.flows : []);
+
 const formatJson = (obj) =>
   `<pre style="white-space:pre-wrap;background:#f9f9f9;border:1px solid #eee;padding:10px;border-radius:4px;">${JSON.stringify(
     obj,
@@ -55,18 +98,30 @@ const formatJson = (obj) =>
  * Combine individual grader results into a single object.
  * Anything undefined is safely ignored.
  */
-function combine({ language, quality, components, meta = {} }) {
+function combine({
+  language,
+  quality,
+  components,
+  dependencies,
+  e2e,
+  summary,
+  meta = {},
+}) {
   const startedAt = meta.startedAt || new Date().toISOString();
 
   return {
     meta: {
+      ...meta,
       startedAt,
       finishedAt: new Date().toISOString(),
-      generatorVersion: '1.0.0'
+      generatorVersion: GENERATOR_VERSION
     },
+    summary,
     language,
     quality,
-    components
+    components,
+    dependencies,
+    e2e
   };
 }
 
@@ -74,18 +129,63 @@ function combine({ language, quality, components, meta = {} }) {
  * Render a full-featured HTML report.
  */
 function toHtml(combined) {
-  const { meta, language, quality, components } = combined;
+  const { meta, summary, language, quality, components, dependencies, e2e } =
+    combined;
 
-  const section = (title, result) => {
+  const section = (title, result, body) => {
     if (!result) return '';
     return `
       <section style="margin-bottom:30px;">
         <h2>${title} ${badge(result.success)}</h2>
         <p><strong>Score:</strong> ${percent(result.score)}</p>
-        <details>
+        ${body || `<details>
           <summary style="cursor:pointer;">Raw JSON</summary>
           ${formatJson(result.report)}
-        </details>
+        </details>`}
+      </section>`;
+  };
+
+  // Step timeline of each Maestro flow, with links to its screenshots and recordings
+  const timeline = (flows) => {
+    if (flows.length === 0) return '';
+    const link = (file) => `<a href="${pathToFileURL(file).href}">${escapeHtml(path.basename(file))}</a>`;
+    return flows
+      .map((flow) => {
+        const rows = flow.steps
+          .map(
+            (step) =>
+              `<tr><td>${step.index + 1}</td><td>${escapeHtml(step.command)}</td><td>${STEP_ICONS[step.status] || ''} ${step.status}</td><td>${seconds(step.duration)}</td><td>${escapeHtml(step.error || '')}</td></tr>`
+          )
+          .join('');
+        const artifacts = [...flow.screenshots, ...flow.recordings];
+        return `
+        <h3>${escapeHtml(flow.name)} ${badge(flow.status !== 'failed')} <small>${flow.status === 'flaky' ? `flaky (${flow.attempts} attempts) · ` : ''}${seconds(flow.duration)}</small></h3>
+        <table>
+          <tr><th>#</th><th>Step</th><th>Status</th><th>Duration</th><th>Error</th></tr>
+          ${rows}
+        </table>
+        ${artifacts.length ? `<p><strong>Artifacts:</strong> ${artifacts.map(link).join(' · ')}</p>` : ''}`;
+      })
+      .join('');
+  };
+
+  const overall = (res) => {
+    if (!res) return '';
+    const rows = Object.entries(res.graders || {})
+      .map(
+        ([name, g]) =>
+          `<tr><td>${name}</td><td>${g.skipped ? 'skipped' : percent(g.score)}</td><td>${g.weight}</td><td>${g.skipped ? '' : badge(g.success)}</td></tr>`
+      )
+      .join('');
+    return `
+      <section style="margin-bottom:30px;">
+        <h2>Overall ${badge(res.success)}</h2>
+        <p><strong>Weighted score:</strong> ${percent(res.score)} (minimum ${percent(res.minimumScore)})</p>
+        ${res.comparison ? `<p><strong>Change:</strong> ${comparisonText(res.comparison)}</p>` : ''}
+        <table>
+          <tr><th>Grader</th><th>Score</th><th>Weight</th><th>Result</th></tr>
+          ${rows}
+        </table>
       </section>`;
   };
 
@@ -109,9 +209,12 @@ function toHtml(combined) {
 <p><strong>Started:</strong> ${meta.startedAt}<br/>
 <strong>Finished:</strong> ${meta.finishedAt}</p>
 
+${overall(summary)}
 ${section('Language Implementation', language)}
 ${section('Code Quality', quality)}
 ${section('Component Quality', components)}
+${section('Module Dependencies', dependencies)}
+${section('End-to-End Tests', e2e, timeline(flowsOf(e2e)))}
 
 <footer style="margin-top:60px;font-size:12px;color:#888;">
   Generated by Companion Grader reportGenerator.js
@@ -124,19 +227,56 @@ ${section('Component Quality', components)}
  * Render a compact Markdown report (ideal for GitHub comments).
  */
 function toMarkdown(combined) {
-  const { meta, language, quality, components } = combined;
+  const { meta, summary, language, quality, components, dependencies, e2e } =
+    combined;
 
-  const mdSection = (title, res) =>
+  const mdSection = (title, res, body) =>
     res
       ? `### ${title} ${res.success ? '✅' : '❌'}  
 **Score:** ${percent(res.score)}  
 
-<details><summary>Details</summary>
+${body || `<details><summary>Details</summary>
 
 \`\`\`json
 ${JSON.stringify(res.report.summary || res.report, null, 2)}
 \`\`\`
-</details>\n`
+</details>`}\n`
+      : '';
+
+  const mdTimeline = (flows) =>
+    flows
+      .map((flow) => {
+        const artifacts = [...flow.screenshots, ...flow.recordings]
+          .map((file) => `[${path.basename(file)}](${pathToFileURL(file).href})`)
+          .join(' · ');
+        return `**${escapeMarkdown(flow.name)}** ${STEP_ICONS[flow.status]} ${seconds(flow.duration)}
+
+| # | Step | Status | Duration | Error |
+|---|------|--------|----------|-------|
+${flow.steps
+  .map(
+    (step) =>
+      `| ${step.index + 1} | ${escapeCell(step.command)} | ${STEP_ICONS[step.status] || step.status} | ${seconds(step.duration)} | ${escapeCell(step.error || '')} |`
+  )
+  .join('\n')}
+${artifacts ? `\nArtifacts: ${artifacts}\n` : ''}`;
+      })
+      .join('\n');
+
+  const mdOverall = (res) =>
+    res
+      ? `### Overall ${res.success ? '✅' : '❌'}  
+**Weighted score:** ${percent(res.score)} (minimum ${percent(res.minimumScore)})${res.comparison ? `  \n**Change:** ${comparisonText(res.comparison)}` : ''}
+
+| Grader | Score | Weight |
+|--------|-------|--------|
+${Object.entries(res.graders || {})
+  .map(
+    ([name, g]) =>
+      `| ${name} | ${g.skipped ? 'skipped' : percent(g.score)} | ${g.weight} |`
+  )
+  .join('\n')}
+`
       : '';
 
   return `
@@ -146,13 +286,254 @@ ${JSON.stringify(res.report.summary || res.report, null, 2)}
 |---------|----------|
 | ${meta.startedAt} | ${meta.finishedAt} |
 
+${mdOverall(summary)}
 ${mdSection('Language Implementation', language)}
 ${mdSection('Code Quality', quality)}
 ${mdSection('Component Quality', components)}
+${mdSection('Module Dependencies', dependencies)}
+${mdSection('End-to-End Tests', e2e, mdTimeline(flowsOf(e2e)))}
 
 _This report was auto-generated by **Companion Grader**._`;
 }
 
+/**
+ * Render component, language, dependency, ESLint and TypeScript findings as a
+ * SARIF 2.1.0 log. Rule metadata comes from the `report.rules` each grader
+ * publishes.
+ * File URIs are relative to the project root (`meta.projectPath` unless
+ * `options.projectRoot` is given) so code-scanning tools can map them.
+ */
+function toSarif(combined, options = {}) {
+  const projectRoot = path.resolve(
+    options.projectRoot || (combined.meta && combined.meta.projectPath) || '.'
+  );
+  const findings = collectFindings(combined);
+  const ruleMeta = collectRules(combined);
+
+  const rules = [];
+  const ruleIndex = new Map();
+  const addRule = (id) => {
+    if (ruleIndex.has(id)) return ruleIndex.get(id);
+    const meta = ruleMeta.get(id) || {};
+    const rule = {
+      id,
+      name: meta.name || id,
+      shortDescription: { text: meta.description || id },
+      defaultConfiguration: { level: SARIF_LEVELS[meta.severity] || 'warning' },
+      properties: { grader: meta.grader }
+    };
+    if (meta.help) rule.help = { text: meta.help };
+    if (meta.helpUri) rule.helpUri = meta.helpUri;
+    if (meta.category) rule.properties.category = meta.category;
+    ruleIndex.set(id, rules.length);
+    rules.push(rule);
+    return ruleIndex.get(id);
+  };
+
+  // Every published rule is listed, even when nothing broke it in this run
+  for (const id of ruleMeta.keys()) addRule(id);
+
+  const results = findings.map((finding) => {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex: addRule(finding.ruleId),
+      level: SARIF_LEVELS[finding.severity] || 'warning',
+      message: { text: finding.message }
+    };
+    if (finding.file) {
+      result.locations = [{ physicalLocation: sarifLocation(finding, projectRoot) }];
+    }
+    return result;
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'Companion Grader',
+            version: (combined.meta && combined.meta.generatorVersion) || GENERATOR_VERSION,
+            rules
+          }
+        },
+        originalUriBaseIds: {
+          PROJECTROOT: { uri: pathToFileURL(projectRoot + path.sep).href }
+        },
+        results
+      }
+    ]
+  };
+}
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+function sarifLocation(finding, projectRoot) {
+  // Graders report paths relative to the working directory, like their globs
+  const absolute = path.resolve(finding.file);
+  const relative = path.relative(projectRoot, absolute);
+  const artifactLocation = relative.startsWith('..') || path.isAbsolute(relative)
+    ? { uri: pathToFileURL(absolute).href }
+    : { uri: relative.split(path.sep).map(encodeURIComponent).join('/'), uriBaseId: 'PROJECTROOT' };
+
+  const location = { artifactLocation };
+  if (finding.line > 0) {
+    location.region = { startLine: finding.line };
+    if (finding.column > 0) location.region.startColumn = finding.column;
+    if (finding.endLine > 0) location.region.endLine = finding.endLine;
+    if (finding.endColumn > 0) location.region.endColumn = finding.endColumn;
+  }
+  return location;
+}
+
+/**
+ * Render a JUnit XML report: one <testsuite> per grader and one <testcase>
+ * per check (code quality), rule (components, language, dependencies) or
+ * Maestro flow.
+ * Failures list the file, line and message of every finding.
+ */
+function toJUnit(combined) {
+  const findings = collectFindings(combined);
+  const ruleMeta = collectRules(combined);
+  const timestamp = (combined.meta && combined.meta.startedAt) || new Date().toISOString();
+
+  const suites = JUNIT_SUITES
+    .filter(({ key }) => combined[key])
+    .map(({ key, title }) => {
+      const result = combined[key];
+      const report = result.report || {};
+      let cases;
+
+      if (report.error) {
+        // The grader itself crashed, so there is nothing to list per rule
+        cases = [{ name: title, error: report.error }];
+      } else if (key === 'e2e' && flowsOf(result).length > 0) {
+        cases = flowsOf(result).map((flow) => ({
+          name: flow.name,
+          time: (flow.duration || 0) / 1000,
+          failure: flow.status !== 'failed' ? null : {
+            message: flow.error || 'Maestro flow failed',
+            details: flow.steps
+              .filter((step) => step.status === 'failed')
+              .map((step) => `Step ${step.index + 1} ${step.command}: ${step.error || 'failed'}`)
+          }
+        }));
+      } else if (key === 'e2e') {
+        cases = [{
+          name: report.testFlow || 'Maestro flow',
+          time: report.duration,
+          failure: report.passed ? null : { message: 'Maestro flow failed', details: [report.output] }
+        }];
+      } else if (key === 'quality') {
+        cases = QUALITY_CHECKS
+          .filter(({ check }) => report[check] && report[check].run)
+          .map(({ check, name, prefix }) => {
+            const details = prefix
+              ? findings.filter((f) => f.grader === key && f.ruleId.startsWith(prefix)).map(describeFinding)
+              : (report[check].failures || []).map(String);
+            return {
+              name,
+              failure: report[check].passed ? null : { message: `${name} failed`, details }
+            };
+          });
+      } else {
+        const ruleIds = new Set(
+          [...ruleMeta].filter(([, meta]) => meta.grader === key).map(([id]) => id)
+        );
+        findings.filter((f) => f.grader === key).forEach((f) => ruleIds.add(f.ruleId));
+        cases = [...ruleIds].map((id) => {
+          const matches = findings.filter((f) => f.grader === key && f.ruleId === id);
+          const meta = ruleMeta.get(id) || {};
+          return {
+            name: id,
+            failure: matches.length === 0 ? null : {
+              message: `${matches.length} issue(s): ${meta.description || id}`,
+              type: meta.severity,
+              details: matches.map(describeFinding)
+            }
+          };
+        });
+      }
+
+      return { key, title, result, cases };
+    });
+
+  const count = (cases, field) => cases.filter((c) => c[field]).length;
+  const time = (cases) => cases.reduce((sum, c) => sum + (c.time || 0), 0);
+  const allCases = suites.flatMap((suite) => suite.cases);
+
+  const renderCase = (key, c) => {
+    const attrs = `name="${xmlEscape(c.name)}" classname="companion.${key}"${c.time !== undefined ? ` time="${c.time}"` : ''}`;
+    if (c.error) {
+      return `    <testcase ${attrs}>\n      <error message="${xmlEscape(c.error)}"/>\n    </testcase>`;
+    }
+    if (c.failure) {
+      const type = c.failure.type ? ` type="${xmlEscape(c.failure.type)}"` : '';
+      return `    <testcase ${attrs}>\n      <failure message="${xmlEscape(c.failure.message)}"${type}>${xmlEscape(c.failure.details.join('\n'))}</failure>\n    </testcase>`;
+    }
+    return `    <testcase ${attrs}/>`;
+  };
+
+  const renderSuite = ({ key, title, result, cases }) =>
+    `  <testsuite name="${xmlEscape(title)}" tests="${cases.length}" failures="${count(cases, 'failure')}" errors="${count(cases, 'error')}" skipped="0" time="${time(cases)}" timestamp="${xmlEscape(timestamp)}">
+    <properties>
+      <property name="score" value="${result.score}"/>
+      <property name="success" value="${result.success}"/>
+    </properties>
+${cases.map((c) => renderCase(key, c)).join('\n')}
+  </testsuite>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Companion Grader" tests="${allCases.length}" failures="${count(allCases, 'failure')}" errors="${count(allCases, 'error')}" time="${time(allCases)}">
+${suites.map(renderSuite).join('\n')}
+</testsuites>
+`;
+}
+
+const JUNIT_SUITES = [
+  { key: 'language', title: 'Language Implementation' },
+  { key: 'quality', title: 'Code Quality' },
+  { key: 'components', title: 'Component Quality' },
+  { key: 'dependencies', title: 'Module Dependencies' },
+  { key: 'e2e', title: 'End-to-End Tests' }
+];
+
+// Code-quality checks, and the rule-id prefix of their findings
+const QUALITY_CHECKS = [
+  { check: 'linting', name: 'ESLint', prefix: 'eslint/' },
+  { check: 'tests', name: 'Unit tests' },
+  { check: 'typeCheck', name: 'TypeScript', prefix: 'typescript/' }
+];
+
+const describeFinding = (f) =>
+  `${[f.file || '(project)', f.line, f.column].filter((part) => part !== undefined && part !== null).join(':')} ${f.message}`;
+
+// The Char production of XML 1.0: no control characters other than tab, newline
+// and carriage return, no U+FFFE/U+FFFF and no surrogates without their pair
+const isXmlCharacter = (char) => {
+  const code = char.codePointAt(0);
+  return (
+    code === 0x09 ||
+    code === 0x0a ||
+    code === 0x0d ||
+    (code >= 0x20 && code <= 0xd7ff) ||
+    (code >= 0xe000 && code <= 0xfffd) ||
+    code >= 0x10000
+  );
+};
+
+// Array.from splits by code point, so a surrogate pair stays one character
+const xmlEscape = (value) =>
+  Array.from(String(value))
+    .filter(isXmlCharacter)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
 /**
  * Save a string (HTML/Markdown) to disk (creates directory tree automatically).
  */
@@ -173,6 +554,8 @@ module.exports = {
   combine,
   toHtml,
   toMarkdown,
+  toSarif,
+  toJUnit,
   save,
   saveJson
 };
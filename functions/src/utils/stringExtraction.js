@@ -0,0 +1,148 @@
+/**
+ * Fix mode for the language grader: moves hardcoded JSX text into the base
+ * translation file under stable keys and replaces it with translation calls.
+ */
+const path = require('path');
+
+/**
+ * @typedef {Object} HardcodedText
+ * @property {string} text - Text as written in the JSX
+ * @property {number} start - Offset of the text in the file
+ * @property {number} end - Offset just after the text
+ * @property {number} line - 1-based line
+ */
+
+/**
+ * Plan the extraction of hardcoded strings. Nothing is written here.
+ * @param {Object} options - Extraction input
+ * @param {Object} options.translations - Parsed base translation file
+ * @param {Array<{file: string, code: string, strings: Array<HardcodedText>}>} options.sources -
+ *   Source files and the hardcoded text found in them
+ * @param {string} [options.translationFunction] - Call to insert, e.g. "t" or "i18n.t"
+ * @returns {{translations: Object, keys: Array<Object>, sources: Array<{file: string, before: string, after: string}>}}
+ *   The updated translations, the key used for each string, and the rewritten sources
+ */
+function extractStrings({
+  translations,
+  sources,
+  translationFunction = 'i18n.t',
+}) {
+  const updated = JSON.parse(JSON.stringify(translations));
+  const existing = new Map();
+  for (const [key, value] of flatten(updated)) {
+    if (typeof value === 'string' && !existing.has(value)) {
+      existing.set(value, key);
+    }
+  }
+
+  const keys = [];
+  const rewritten = [];
+
+  for (const { file, code, strings } of sources) {
+    const ordered = [...strings].sort((a, b) => a.start - b.start);
+    const fileKeys = ordered.map(({ text, line }) => {
+      const value = text.replace(/\s+/g, ' ').trim();
+      // The same text gets the same key, in this file or any other
+      let key = existing.get(value);
+      const reused = Boolean(key);
+      if (!key) {
+        key = createKey(value, file, updated);
+        setKey(updated, key, value);
+        existing.set(value, key);
+      }
+      return { file, line, text: value, key, reused };
+    });
+    keys.push(...fileKeys);
+
+    // Replace from the end so earlier offsets stay valid
+    let after = code;
+    for (let i = ordered.length - 1; i >= 0; i--) {
+      const { start, end } = ordered[i];
+      after = `${after.slice(0, start)}{${translationFunction}('${fileKeys[i].key}')}${after.slice(end)}`;
+    }
+    if (after !== code) rewritten.push({ file, before: code, after });
+  }
+
+  return { translations: updated, keys, sources: rewritten };
+}
+
+/**
+ * Stable key for a text: the file name as scope and the first words of the
+ * text, e.g. "loginScreen.welcomeBack" for "Welcome back!" in LoginScreen.jsx.
+ * A number is added when the key is already taken.
+ * @param {string} text - Translation value
+ * @param {string} file - Source file the text comes from
+ * @param {Object} translations - Translations the key must not clash with
+ * @returns {string} Dot-notation key
+ */
+function createKey(text, file, translations) {
+  let name = path.basename(file, path.extname(file));
+  if (name === 'index') name = path.basename(path.dirname(path.resolve(file)));
+  const scope = camelCase(name) || 'common';
+  const slug = camelCase(text.split(/\s+/).slice(0, 4).join(' ')) || 'text';
+
+  for (let n = 1; ; n++) {
+    const key = `${scope}.${n === 1 ? slug : `${slug}${n}`}`;
+    if (isFree(translations, key)) return key;
+  }
+}
+
+// No value at the key, and nothing but objects on the way there
+function isFree(obj, key) {
+  let current = obj;
+  for (const part of key.split('.')) {
+    if (current === undefined) return true;
+    if (
+      current === null ||
+      typeof current !== 'object' ||
+      Array.isArray(current)
+    ) {
+      return false;
+    }
+    current = Object.prototype.hasOwnProperty.call(current, part)
+      ? current[part]
+      : undefined;
+  }
+  return current === undefined;
+}
+
+function setKey(obj, key, value) {
+  const parts = key.split('.');
+  let current = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!current[part]) current[part] = {};
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+function flatten(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([key, value]) => {
+    const full = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' && !Array.isArray(value)
+      ? flatten(value, full)
+      : [[full, value]];
+  });
+}
+
+function camelCase(text) {
+  const words = text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return words
+    .map((word, index) =>
+      index === 0
+        ? word === word.toUpperCase()
+          ? word.toLowerCase()
+          : word.charAt(0).toLowerCase() + word.slice(1)
+        : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+    )
+    .join('');
+}
+
+module.exports = {
+  extractStrings,
+  createKey,
+};
@@ -0,0 +1,136 @@
+/**
+ * Suppression comments for the graders, in the style of eslint-disable.
+ * `// qa-grader-disable-next-line checkTestID, checkInlineStyles` disables
+ * rules on the next line (in JSX, as a block comment inside braces), and a
+ * `qa-grader-disable <rules>` comment anywhere disables them for the file.
+ * Rules are the ids graders publish in `report.rules`, e.g. `hardcodedStrings`
+ * or `eslint/no-console`; no rules means every rule, and text after ` -- ` is
+ * a reason. Suppressed findings, and findings recorded in the project's
+ * baseline, are removed from a report before it is scored.
+ */
+const fs = require('fs');
+const path = require('path');
+const { filterFindings } = require('./findings');
+const { createBaselineMatcher } = require('./baseline');
+
+// Stands for "every rule" in a parsed directive
+const ALL_RULES = '*';
+
+const DIRECTIVE_REGEX =
+  /(?:\/\/|\/\*|#)\s*qa-grader-disable(-next-line)?(?![\w-])([^\n]*)/g;
+
+/**
+ * @typedef {Object} Suppressions
+ * @property {Set<string>} file - Rules disabled for the whole file
+ * @property {Map<number, Set<string>>} lines - Rules disabled per 1-based line
+ */
+
+/**
+ * Read the suppression comments of a source file.
+ * @param {string} code - File content
+ * @returns {Suppressions} Disabled rules; `*` stands for every rule
+ */
+function parseSuppressions(code) {
+  const suppressions = { file: new Set(), lines: new Map() };
+  let match;
+
+  DIRECTIVE_REGEX.lastIndex = 0;
+  while ((match = DIRECTIVE_REGEX.exec(code)) !== null) {
+    const rules = parseRules(match[2]);
+    let target = suppressions.file;
+    if (match[1]) {
+      const line = code.slice(0, match.index).split('\n').length + 1;
+      if (!suppressions.lines.has(line))
+        suppressions.lines.set(line, new Set());
+      target = suppressions.lines.get(line);
+    }
+    rules.forEach((rule) => target.add(rule));
+  }
+
+  return suppressions;
+}
+
+/**
+ * Whether a rule is disabled for a line.
+ * @param {Suppressions} suppressions - From parseSuppressions
+ * @param {string} ruleId - Rule id of the finding
+ * @param {number} [line] - 1-based line of the finding
+ * @returns {boolean} True when a comment disables the rule there
+ */
+function isSuppressed(suppressions, ruleId, line) {
+  const matches = (rules) =>
+    Boolean(rules) && (rules.has(ALL_RULES) || rules.has(ruleId));
+  return (
+    matches(suppressions.file) ||
+    (line !== undefined && matches(suppressions.lines.get(line)))
+  );
+}
+
+/**
+ * Remove suppressed and baselined findings from a grader's report before it
+ * is scored, and count them in `report.suppressions`.
+ * @param {string} grader - Combined-report section, e.g. "components"
+ * @param {Object} report - The grader's report, changed in place
+ * @param {Object} [options] - Options
+ * @param {string} [options.projectRoot] - Root the baseline's file paths are relative to
+ * @param {Object|null} [options.baseline] - Baseline from loadBaseline
+ * @returns {Object} `{ comments, baseline, baselineUnmatched }` counts
+ */
+function applySuppressions(
+  grader,
+  report,
+  { projectRoot = '.', baseline = null } = {}
+) {
+  const files = new Map();
+  const suppressionsOf = (file) => {
+    if (!file) return null;
+    const resolved = path.resolve(file);
+    if (!files.has(resolved)) {
+      let code = null;
+      try {
+        code = fs.readFileSync(resolved, 'utf8');
+      } catch {
+        // Files that can't be read have no suppression comments
+      }
+      files.set(resolved, code === null ? null : parseSuppressions(code));
+    }
+    return files.get(resolved);
+  };
+
+  const suppressed = filterFindings(grader, report, (finding) => {
+    const suppressions = suppressionsOf(finding.file);
+    return !(
+      suppressions && isSuppressed(suppressions, finding.ruleId, finding.line)
+    );
+  });
+
+  const counts = {
+    comments: suppressed.length,
+    baseline: 0,
+    baselineUnmatched: 0,
+  };
+  if (baseline) {
+    const matcher = createBaselineMatcher(baseline, grader, projectRoot);
+    counts.baseline = filterFindings(grader, report, matcher.keep).length;
+    counts.baselineUnmatched = matcher.unmatched();
+  }
+
+  report.suppressions = counts;
+  return counts;
+}
+
+// "a, b -- reason */}" => ["a", "b"]; nothing listed means every rule
+function parseRules(text) {
+  const rules = text
+    .replace(/\*\/.*$/, '')
+    .replace(/(?:^|\s)--(?:\s.*)?$/, '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  return rules.length > 0 ? rules : [ALL_RULES];
+}
+
+module.exports = {
+  parseSuppressions,
+  isSuppressed,
+  applySuppressions,
+};
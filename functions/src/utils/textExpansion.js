@@ -0,0 +1,180 @@
+/**
+ * Text-expansion check for the language grader.
+ * Translations are often 30-40% longer than English, so a translated string
+ * inside a component with a fixed width or a `numberOfLines` limit is likely
+ * to be cut off. This finds the translation keys rendered in such components.
+ */
+const {
+  parseSource,
+  traverse,
+  getBaseName,
+  getPropValue,
+  getLocation,
+} = require('./jsxAst');
+const { findTranslationKeys } = require('./i18nUsage');
+
+// Style and prop names that limit how much text fits
+const LIMITS = ['width', 'maxWidth', 'numberOfLines'];
+
+/**
+ * @typedef {Object} TruncationRisk
+ * @property {string} file - Source file
+ * @property {number} line - 1-based line of the translation call
+ * @property {string} key - Translation key
+ * @property {string|null} namespace - Namespace of the key
+ * @property {string} component - Component the text is rendered in, e.g. "Button"
+ * @property {Object<string, number>} limits - Limits that apply, e.g. { width: 80 }
+ */
+
+/**
+ * Find translation keys rendered in components with a fixed width or a
+ * `numberOfLines` limit, set as a prop, inline style or StyleSheet style.
+ * @param {string} code - Source code
+ * @param {string} file - Source file path
+ * @param {Object} [options] - Check options
+ * @param {Array<string>} [options.components] - Components to check
+ * @param {Object} [options.i18n] - Translation call styles, see i18nUsage
+ * @returns {Array<TruncationRisk>} Risks in file order
+ */
+function findTruncationRisks(
+  code,
+  file,
+  { components = ['Button', 'Text'], i18n = {} } = {}
+) {
+  let ast;
+  try {
+    ast = parseSource(code, file);
+  } catch {
+    return [];
+  }
+
+  const styleSheets = collectStyleSheets(ast);
+  // Keyed by line and key, so the innermost component wins for nested ones
+  const risks = new Map();
+
+  traverse(ast, {
+    JSXElement(path) {
+      const opening = path.node.openingElement;
+      const component = getBaseName(opening.name);
+      if (!components.includes(component)) return;
+
+      const limits = getLimits(opening, styleSheets);
+      if (Object.keys(limits).length === 0) return;
+
+      const { line } = getLocation(path.node);
+      const snippet = code.slice(path.node.start, path.node.end);
+      for (const usage of findTranslationKeys(snippet, i18n)) {
+        if (usage.dynamic) continue;
+        const risk = {
+          file,
+          line: line + usage.line - 1,
+          key: usage.key,
+          namespace: usage.namespace,
+          component,
+          limits,
+        };
+        risks.set(`${risk.line}:${risk.key}`, risk);
+      }
+    },
+  });
+
+  return [...risks.values()].sort((a, b) => a.line - b.line);
+}
+
+// Limits from `numberOfLines={n}` and numeric width/maxWidth in `style`
+function getLimits(opening, styleSheets) {
+  const limits = {};
+  for (const attribute of opening.attributes) {
+    if (attribute.type !== 'JSXAttribute') continue;
+    const value = getPropValue(attribute);
+    if (attribute.name.name === 'numberOfLines' && isNumber(value)) {
+      limits.numberOfLines = value.value;
+    } else if (attribute.name.name === 'style') {
+      Object.assign(limits, getStyleLimits(value, styleSheets));
+    }
+  }
+  return limits;
+}
+
+// Walks style={styles.a}, style={[styles.a, cond && styles.b]} and style={{ width: 80 }}
+function getStyleLimits(node, styleSheets) {
+  if (!node) return {};
+  switch (node.type) {
+    case 'MemberExpression': {
+      const sheet =
+        node.object.type === 'Identifier' && styleSheets.get(node.object.name);
+      const name = node.computed ? node.property.value : node.property.name;
+      return (sheet && sheet.get(name)) || {};
+    }
+    case 'ObjectExpression':
+      return readLimits(node);
+    case 'ArrayExpression':
+      return Object.assign(
+        {},
+        ...node.elements.map((element) => getStyleLimits(element, styleSheets))
+      );
+    case 'LogicalExpression':
+      return getStyleLimits(node.right, styleSheets);
+    case 'ConditionalExpression':
+      return {
+        ...getStyleLimits(node.alternate, styleSheets),
+        ...getStyleLimits(node.consequent, styleSheets),
+      };
+    default:
+      return {};
+  }
+}
+
+// `const styles = StyleSheet.create({ button: { width: 80 } })` as
+// Map("styles" => Map("button" => { width: 80 }))
+function collectStyleSheets(ast) {
+  const sheets = new Map();
+  traverse(ast, {
+    VariableDeclarator(path) {
+      const { id, init } = path.node;
+      if (
+        id.type !== 'Identifier' ||
+        !init ||
+        init.type !== 'CallExpression' ||
+        init.callee.type !== 'MemberExpression' ||
+        init.callee.object.name !== 'StyleSheet' ||
+        init.callee.property.name !== 'create' ||
+        !init.arguments[0] ||
+        init.arguments[0].type !== 'ObjectExpression'
+      ) {
+        return;
+      }
+
+      const styles = new Map();
+      for (const property of init.arguments[0].properties) {
+        if (property.type !== 'ObjectProperty') continue;
+        const name = property.key.name || property.key.value;
+        if (property.value.type === 'ObjectExpression') {
+          styles.set(name, readLimits(property.value));
+        }
+      }
+      sheets.set(id.name, styles);
+    },
+  });
+  return sheets;
+}
+
+function readLimits(objectExpression) {
+  const limits = {};
+  for (const property of objectExpression.properties) {
+    if (property.type !== 'ObjectProperty' || property.computed) continue;
+    const name = property.key.name || property.key.value;
+    if (LIMITS.includes(name) && isNumber(property.value)) {
+      limits[name] = property.value.value;
+    }
+  }
+  return limits;
+}
+
+function isNumber(node) {
+  return Boolean(node) && node.type === 'NumericLiteral';
+}
+
+module.exports = {
+  findTruncationRisks,
+};
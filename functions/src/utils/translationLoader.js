@@ -0,0 +1,270 @@
+/**
+ * Translation file loader for the language grader.
+ * Reads JSON, YAML, gettext (.po) and XLIFF files into the nested key tree
+ * that `resolveKey` and `extractAllKeys` work on, so every format is graded
+ * the same way.
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// File extensions of each format
+const FORMATS = {
+  json: ['.json'],
+  yaml: ['.yaml', '.yml'],
+  po: ['.po', '.pot'],
+  xliff: ['.xlf', '.xliff'],
+};
+
+const XML_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Work out the format of a translation file from its extension.
+ * @param {string} file - Translation file
+ * @param {string} [override] - Format from the config, wins over the extension
+ * @returns {string} "json", "yaml", "po" or "xliff"
+ */
+function detectFormat(file, override) {
+  if (override) return override;
+  const ext = path.extname(file).toLowerCase();
+  const format = Object.keys(FORMATS).find((name) =>
+    FORMATS[name].includes(ext)
+  );
+  if (!format) {
+    throw new Error(
+      `Unknown translation format for "${file}". Set translationFormat to one of: ${Object.keys(
+        FORMATS
+      ).join(', ')}`
+    );
+  }
+  return format;
+}
+
+/**
+ * Glob for the files of a format in a directory, e.g. "locales/*.{yaml,yml}".
+ * @param {string} directory - Directory with one file per locale
+ * @param {string} format - Translation format
+ * @returns {string} Glob pattern
+ */
+function localeFilePattern(directory, format) {
+  const extensions = FORMATS[format].map((ext) => ext.slice(1));
+  const names =
+    extensions.length === 1 ? extensions[0] : `{${extensions.join(',')}}`;
+  return path.join(directory, `*.${names}`);
+}
+
+/**
+ * Load a translation file as a nested key tree.
+ * @param {string} file - Translation file
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.format] - Format override
+ * @returns {{translations: Object, text: string, format: string}} Parsed
+ *   translations, the file as written and its format
+ */
+function loadTranslations(file, { format } = {}) {
+  const resolved = detectFormat(file, format);
+  const text = fs.readFileSync(file, 'utf8');
+  return {
+    translations: parseTranslations(text, resolved),
+    text,
+    format: resolved,
+  };
+}
+
+/**
+ * Parse translation file content.
+ * @param {string} text - File content
+ * @param {string} format - "json", "yaml", "po" or "xliff"
+ * @returns {Object} Nested key tree
+ */
+function parseTranslations(text, format) {
+  switch (format) {
+    case 'json':
+      return JSON.parse(text);
+    case 'yaml':
+      return yaml.load(text) || {};
+    case 'po':
+      return toTree(parsePo(text));
+    case 'xliff':
+      return toTree(parseXliff(text));
+    default:
+      throw new Error(`Unsupported translation format: ${format}`);
+  }
+}
+
+/**
+ * Serialise translations in the format and style of an existing file. Only
+ * JSON and YAML can be written; gettext and XLIFF files come from translators.
+ * @param {Object} translations - Nested key tree
+ * @param {string} format - Translation format
+ * @param {string} original - Current file content
+ * @returns {string} File content
+ */
+function formatTranslations(translations, format, original) {
+  const indent = (/^[ \t]+(?=\S)/m.exec(original) || ['  '])[0];
+  if (format === 'json') {
+    const json = JSON.stringify(translations, null, indent);
+    return original.endsWith('\n') ? `${json}\n` : json;
+  }
+  if (format === 'yaml') {
+    return yaml.dump(translations, {
+      indent: indent.length,
+      lineWidth: -1,
+    });
+  }
+  throw new Error(`Writing ${format} translation files is not supported`);
+}
+
+/**
+ * Read the entries of a gettext catalogue. The key is `msgctxt` when there
+ * is one, otherwise `msgid`. Plural forms become `key_0`, `key_1`, ...
+ * Fuzzy entries count as untranslated, as gettext ignores them at runtime.
+ * @param {string} text - .po file content
+ * @returns {Array<Array<string>>} [key, value] pairs
+ */
+function parsePo(text) {
+  const entries = [];
+  let entry = {};
+  let field = null;
+
+  const finish = () => {
+    const key = entry.msgctxt !== undefined ? entry.msgctxt : entry.msgid;
+    // The entry with an empty msgid is the catalogue header
+    if (key) {
+      const value = (translation) => (entry.fuzzy ? '' : translation || '');
+      if (entry.msgid_plural !== undefined) {
+        Object.keys(entry)
+          .filter((name) => /^msgstr\[\d+\]$/.test(name))
+          .forEach((name) => {
+            entries.push([`${key}_${name.slice(7, -1)}`, value(entry[name])]);
+          });
+      } else {
+        entries.push([key, value(entry.msgstr)]);
+      }
+    }
+    entry = {};
+    field = null;
+  };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line === '') {
+      finish();
+    } else if (line.startsWith('#,')) {
+      if (/\bfuzzy\b/.test(line)) entry.fuzzy = true;
+    } else if (line.startsWith('#')) {
+      continue;
+    } else {
+      const keyword =
+        /^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/.exec(line);
+      if (keyword) {
+        // A new msgctxt or msgid after a msgstr starts the next entry
+        if (
+          (keyword[1] === 'msgctxt' || keyword[1] === 'msgid') &&
+          Object.keys(entry).some((name) => name.startsWith('msgstr'))
+        ) {
+          finish();
+        }
+        field = keyword[1];
+        entry[field] = unescapeC(keyword[2]);
+      } else if (field && /^".*"$/.test(line)) {
+        entry[field] += unescapeC(line.slice(1, -1));
+      }
+    }
+  }
+  finish();
+
+  return entries;
+}
+
+/**
+ * Read the units of an XLIFF 1.2 (`<trans-unit>`) or 2.0 (`<unit>`) file.
+ * The key is the unit's `resname` or `id`; the value its `<target>`, or an
+ * empty string when it isn't translated yet. Inline markup is dropped.
+ * @param {string} text - XLIFF content
+ * @returns {Array<Array<string>>} [key, value] pairs
+ */
+function parseXliff(text) {
+  const entries = [];
+  const unitRegex = /<(trans-unit|unit)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let match;
+
+  while ((match = unitRegex.exec(text)) !== null) {
+    const attributes = match[2];
+    const key = attribute(attributes, 'resname') || attribute(attributes, 'id');
+    if (!key) continue;
+    const target = /<target\b[^>]*>([\s\S]*?)<\/target>/.exec(match[3]);
+    entries.push([key, target ? xmlText(target[1]) : '']);
+  }
+
+  return entries;
+}
+
+function attribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(
+    attributes
+  );
+  if (!match) return null;
+  return xmlText(match[2] !== undefined ? match[2] : match[3]);
+}
+
+// Text content of an XML fragment: CDATA kept, tags dropped, entities decoded.
+// CDATA text has its & escaped first so the entity pass gives it back as is.
+function xmlText(fragment) {
+  return fragment
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>|<[^>]+>/g, (tag, cdata) =>
+      cdata !== undefined ? cdata.replace(/&/g, '&amp;') : ''
+    )
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code =
+          name[1].toLowerCase() === 'x'
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+    });
+}
+
+function unescapeC(text) {
+  return text.replace(/\\(["\\nrt])/g, (escape, ch) =>
+    ch === 'n' ? '\n' : ch === 'r' ? '\r' : ch === 't' ? '\t' : ch
+  );
+}
+
+// Flat "a.b.c" keys into nested objects; a key clashing with a value stays flat
+function toTree(entries) {
+  const tree = {};
+  for (const [key, value] of entries) {
+    const parts = key.split('.');
+    let current = tree;
+    let clash = false;
+    for (const part of parts.slice(0, -1)) {
+      if (current[part] === undefined) current[part] = {};
+      if (typeof current[part] !== 'object') {
+        clash = true;
+        break;
+      }
+      current = current[part];
+    }
+    if (clash) tree[key] = value;
+    else current[parts[parts.length - 1]] = value;
+  }
+  return tree;
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  localeFilePattern,
+  loadTranslations,
+  parseTranslations,
+  formatTranslations,
+};
@@ -0,0 +1,159 @@
+/**
+ * Unified diff output for changes the graders propose (e.g. the language
+ * grader's fix mode), in the format `git apply` and `patch -p1` accept.
+ */
+
+// Above this many cells the line diff gives up on finding common lines
+const MAX_DIFF_CELLS = 4e7;
+
+/**
+ * Create a unified diff between two versions of a file.
+ * @param {string} file - Path shown in the `--- a/` and `+++ b/` headers
+ * @param {string} before - Current content
+ * @param {string} after - New content
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.context] - Unchanged lines around each change
+ * @returns {string} Patch, or an empty string when nothing changed
+ */
+function createPatch(file, before, after, { context = 3 } = {}) {
+  if (before === after) return '';
+
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const name = file.split('\\').join('/').replace(/^\.\//, '');
+  const output = [`--- a/${name}`, `+++ b/${name}`];
+
+  // Line numbers before each op
+  const oldLine = [];
+  const newLine = [];
+  let oldCount = 0;
+  let newCount = 0;
+  for (const op of ops) {
+    oldLine.push(oldCount);
+    newLine.push(newCount);
+    if (op.type !== '+') oldCount++;
+    if (op.type !== '-') newCount++;
+  }
+
+  const changed = ops
+    .map((op, index) => (op.type === ' ' ? -1 : index))
+    .filter((index) => index !== -1);
+
+  let i = 0;
+  while (i < changed.length) {
+    // Changes closer than 2 * context lines share a hunk
+    let last = i;
+    while (
+      last + 1 < changed.length &&
+      changed[last + 1] - changed[last] <= 2 * context + 1
+    ) {
+      last++;
+    }
+    const start = Math.max(0, changed[i] - context);
+    const end = Math.min(ops.length, changed[last] + context + 1);
+    const hunk = ops.slice(start, end);
+    const oldLength = hunk.filter((op) => op.type !== '+').length;
+    const newLength = hunk.filter((op) => op.type !== '-').length;
+
+    output.push(
+      `@@ -${range(oldLine[start], oldLength)} +${range(
+        newLine[start],
+        newLength
+      )} @@`
+    );
+    for (const op of hunk) {
+      output.push(`${op.type}${op.line.replace(/\n$/, '')}`);
+      if (!op.line.endsWith('\n')) output.push('\\ No newline at end of file');
+    }
+    i = last + 1;
+  }
+
+  return `${output.join('\n')}\n`;
+}
+
+// "start,length" with git's conventions for empty ranges and single lines
+function range(before, length) {
+  if (length === 0) return `${before},0`;
+  return length === 1 ? `${before + 1}` : `${before + 1},${length}`;
+}
+
+// Lines with their line breaks, so a missing final newline shows as a change
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Line diff based on the longest common subsequence, after trimming the
+ * common start and end.
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Edit script
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const same = (line) => ({ type: ' ', line });
+
+  return [
+    ...a.slice(0, prefix).map(same),
+    ...diffMiddle(oldMiddle, newMiddle),
+    ...a.slice(a.length - suffix).map(same),
+  ];
+}
+
+function diffMiddle(a, b) {
+  const removed = a.map((line) => ({ type: '-', line }));
+  const added = b.map((line) => ({ type: '+', line }));
+  if (
+    a.length === 0 ||
+    b.length === 0 ||
+    a.length * b.length > MAX_DIFF_CELLS
+  ) {
+    return [...removed, ...added];
+  }
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push(removed[i++]);
+    } else {
+      ops.push(added[j++]);
+    }
+  }
+  return [...ops, ...removed.slice(i), ...added.slice(j)];
+}
+
+module.exports = {
+  createPatch,
+  diffLines,
+};